@@ -0,0 +1,225 @@
+/*
+  Aegis Detect — CAP test receiver (demo-only)
+  --------------------------------------------
+  A webhook endpoint for checking outbound alerts. Node.js only, no dependencies:
+
+    node cap-receiver.js                 (listens on http://localhost:8091/cap)
+    PORT=9001 node cap-receiver.js
+    FAIL_FIRST=2 node cap-receiver.js    (answers 503 twice per message, to watch retries)
+
+  - Accepts POSTed CAP 1.2 XML on any path and checks the parts Aegis Detect
+    relies on: required elements, enumerated values, date format, references
+    on updates and closed polygons. Problems are answered with 400 and listed
+  - Repeats of an identifier are acknowledged but not counted again
+  - GET / lists the messages received since start
+
+  Checks are pattern-based, not a full XML Schema validation. CORS is open so
+  the page can post from any origin.
+*/
+
+"use strict";
+
+const http = require("http");
+
+const PORT = Number(process.env.PORT) || 8091;
+const FAIL_FIRST = Number(process.env.FAIL_FIRST) || 0;
+const MAX_BODY_BYTES = 1024 * 1024;
+const CAP_NAMESPACE = "urn:oasis:names:tc:emergency:cap:1.2";
+
+const ENUMS = {
+  status: ["Actual", "Exercise", "System", "Test", "Draft"],
+  msgType: ["Alert", "Update", "Cancel", "Ack", "Error"],
+  scope: ["Public", "Restricted", "Private"],
+  category: [
+    "Geo",
+    "Met",
+    "Safety",
+    "Security",
+    "Rescue",
+    "Fire",
+    "Health",
+    "Env",
+    "Transport",
+    "Infra",
+    "CBRNE",
+    "Other",
+  ],
+  responseType: ["Shelter", "Evacuate", "Prepare", "Execute", "Avoid", "Monitor", "Assess", "AllClear", "None"],
+  urgency: ["Immediate", "Expected", "Future", "Past", "Unknown"],
+  severity: ["Extreme", "Severe", "Moderate", "Minor", "Unknown"],
+  certainty: ["Observed", "Likely", "Possible", "Unlikely", "Unknown"],
+};
+const CAP_DATE_TIME = /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d[-+]\d\d:\d\d$/;
+
+/**
+ * Received messages by identifier, in arrival order.
+ * @type {Map<string, {receivedAtIso: string, msgType: string, status: string, headline: string}>}
+ */
+const received = new Map();
+/** 503 answers given so far per identifier (FAIL_FIRST). @type {Map<string, number>} */
+const failuresGiven = new Map();
+
+// ===== Validation ============================================================
+
+/** Text of every <name> element directly in `xml` (no nesting of the same name in CAP). */
+function elements(xml, name) {
+  const pattern = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, "g");
+  return [...xml.matchAll(pattern)].map((match) => match[1].trim());
+}
+
+function first(xml, name) {
+  return elements(xml, name)[0];
+}
+
+/**
+ * @param {string} xml
+ * @returns {{errors: string[], identifier: string | undefined}}
+ */
+function validateCap(xml) {
+  const errors = [];
+  const root = /<alert\s[^>]*xmlns="([^"]*)"/.exec(xml);
+  if (!root) return { errors: ["No <alert> root element with a namespace."], identifier: undefined };
+  if (root[1] !== CAP_NAMESPACE) errors.push(`Namespace is ${root[1]}, expected ${CAP_NAMESPACE}.`);
+
+  // Only the alert-level part: everything before the first <info>.
+  const head = xml.split("<info>")[0];
+  for (const name of ["identifier", "sender", "sent", "status", "msgType", "scope"]) {
+    if (!first(head, name)) errors.push(`<alert> is missing <${name}>.`);
+  }
+  const identifier = first(head, "identifier");
+  if (identifier && /[\s,<&]/.test(identifier)) {
+    errors.push("<identifier> contains a space, comma or reserved character.");
+  }
+  const sent = first(head, "sent");
+  if (sent && !CAP_DATE_TIME.test(sent)) {
+    errors.push(`<sent> "${sent}" is not a CAP date-time (e.g. 2026-10-19T17:33:10-00:00).`);
+  }
+  for (const name of ["status", "msgType", "scope"]) {
+    const value = first(head, name);
+    if (value && !ENUMS[name].includes(value)) {
+      errors.push(`<${name}> "${value}" is not one of ${ENUMS[name].join(", ")}.`);
+    }
+  }
+  const msgType = first(head, "msgType");
+  if ((msgType === "Update" || msgType === "Cancel") && !first(head, "references")) {
+    errors.push(`<msgType> ${msgType} must have <references>.`);
+  }
+
+  elements(xml, "info").forEach((info, i) => {
+    const where = `<info> #${i + 1}`;
+    for (const name of ["category", "event", "urgency", "severity", "certainty"]) {
+      const values = elements(info, name);
+      if (values.length === 0) errors.push(`${where} is missing <${name}>.`);
+      for (const value of ENUMS[name] ? values : []) {
+        if (!ENUMS[name].includes(value)) errors.push(`${where}: <${name}> "${value}" is not a CAP value.`);
+      }
+    }
+    for (const value of elements(info, "responseType")) {
+      if (!ENUMS.responseType.includes(value)) errors.push(`${where}: <responseType> "${value}" is not a CAP value.`);
+    }
+    elements(info, "area").forEach((area, j) => {
+      const areaWhere = `${where} <area> #${j + 1}`;
+      if (!first(area, "areaDesc")) errors.push(`${areaWhere} is missing <areaDesc>.`);
+      for (const polygon of elements(area, "polygon")) errors.push(...polygonErrors(polygon, areaWhere));
+    });
+  });
+
+  return { errors, identifier };
+}
+
+/** A CAP polygon: at least four "lat,lon" pairs, the first repeated last. */
+function polygonErrors(text, where) {
+  const pairs = text.split(/\s+/);
+  const errors = [];
+  if (pairs.length < 4) errors.push(`${where}: <polygon> needs at least 4 points.`);
+  if (pairs[0] !== pairs[pairs.length - 1]) errors.push(`${where}: <polygon> is not closed.`);
+  const bad = pairs.find((pair) => {
+    const [lat, lon] = pair.split(",").map(Number);
+    return !(Math.abs(lat) <= 90 && Math.abs(lon) <= 180);
+  });
+  if (bad !== undefined) errors.push(`${where}: <polygon> point "${bad}" is not "lat,lon".`);
+  return errors;
+}
+
+// ===== Server ================================================================
+
+function reply(res, code, text) {
+  res.writeHead(code, {
+    "Content-Type": "text/plain; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "POST, GET, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  });
+  res.end(text ? `${text}\n` : "");
+}
+
+function handlePost(res, xml) {
+  const { errors, identifier } = validateCap(xml);
+  if (errors.length > 0) {
+    console.warn(`Rejected ${identifier || "message"}:\n  ${errors.join("\n  ")}`);
+    reply(res, 400, `Invalid CAP: ${errors.join(" ")}`);
+    return;
+  }
+
+  const failures = failuresGiven.get(identifier) || 0;
+  if (failures < FAIL_FIRST) {
+    failuresGiven.set(identifier, failures + 1);
+    console.log(`503 for ${identifier} (FAIL_FIRST ${failures + 1}/${FAIL_FIRST})`);
+    reply(res, 503, "Temporarily unavailable (FAIL_FIRST).");
+    return;
+  }
+
+  if (received.has(identifier)) {
+    console.log(`Repeat of ${identifier}, already received.`);
+    reply(res, 200, `Already received ${identifier}.`);
+    return;
+  }
+  const entry = {
+    receivedAtIso: new Date().toISOString(),
+    msgType: first(xml, "msgType"),
+    status: first(xml, "status"),
+    headline: first(xml, "headline") || "(no info)",
+  };
+  received.set(identifier, entry);
+  const severity = first(xml, "severity") || "—";
+  console.log(`${entry.receivedAtIso} ${entry.status} ${entry.msgType} ${severity}: ${entry.headline} [${identifier}]`);
+  reply(res, 200, `Accepted ${identifier}.`);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") {
+    reply(res, 204, "");
+    return;
+  }
+  if (req.method === "GET") {
+    const lines = [...received].map(
+      ([identifier, e]) => `${e.receivedAtIso}  ${e.status} ${e.msgType}  ${e.headline}  [${identifier}]`
+    );
+    reply(res, 200, [`Aegis Detect CAP test receiver. ${received.size} message(s) received.`, ...lines].join("\n"));
+    return;
+  }
+  if (req.method !== "POST") {
+    reply(res, 405, "Use POST with a CAP 1.2 message.");
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reply(res, 413, "Message too large.");
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on("end", () => {
+    if (!res.writableEnded) handlePost(res, Buffer.concat(chunks).toString("utf8"));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Aegis Detect CAP test receiver on http://localhost:${PORT}/cap`);
+  if (FAIL_FIRST > 0) console.log(`Answering 503 to the first ${FAIL_FIRST} attempt(s) of every message.`);
+});
@@ -3,10 +3,32 @@
   -----------------------------
   Requirements covered:
   - Leaflet map (CDN)
-  - Simple "Select Area" rectangle draw mode (demo-level)
-  - Store selected bounds in JS
-  - "Run Detection" simulates analysis delay (2–3 seconds)
-  - No detection results yet (foundation only)
+  - "Select Area" draw modes: rectangle, polygon (click vertices) and freehand lasso
+  - Store the selected geometry in JS
+  - "Run Detection" delegates to a pluggable detection provider
+    (built-in simulation, an HTTP endpoint such as a local model server, or a local folder)
+  - Append-only audit trail of AI and operator actions
+  - Named areas of interest (AOIs) with optional scheduled scanning
+  - AOI import from GeoJSON and KML files (file picker or drag-and-drop)
+  - Bulk incident export as GeoJSON, KML or CSV
+  - Printable incident briefing (print / save as PDF) with a static map extract
+  - Rule-based impact model (wind, slope, fuel) with a downwind spread ellipse
+  - Time-stepped spread projection (+1/+3/+6/+12 h) with a map timeline
+  - Infrastructure overlays (local GeoJSON) and impact zone exposure lists
+  - Incident lifecycle state machine (allowed transitions, reasons, time in state)
+  - Incident details: name, assigned unit, priority, notes thread and image attachments
+  - Incident list search, filters and sort order, kept in the URL
+  - Incident marker clustering (colored by most severe status) and a detection heatmap
+  - Duplicate detection flagging (proximity + time window) and merging into open incidents
+  - Versioned triage policy: suppress / second review / high priority by confidence
+  - Optional two-person confirmation for high-priority or High-risk detections
+  - Local operator sign-in with roles (viewer / operator / supervisor) and a shift handover export
+  - Detection evidence panel (image chips, sensor, acquisition time) and hotspot outlines on the map
+  - Basemap switcher (street, terrain, imagery, local tile server) and offline tile cache (service worker)
+  - Multi-operator sync over WebSocket (reference server: sync-server.js) and across tabs, with presence
+  - CAP 1.2 alerts on confirmation and status changes, sent to webhooks with retries (test receiver: cap-receiver.js)
+  - Metrics over a date range: false positive rate by confidence band, median time to decision,
+    dispatch and resolution (charts + CSV)
 */
 
 /* global L */
@@ -26,6 +48,7 @@ function byId(id) {
 // ===== UI elements ===========================================================
 
 const selectAreaBtn = byId("selectAreaBtn");
+const selectionToolSelect = byId("selectionToolSelect");
 const clearSelectionBtn = byId("clearSelectionBtn");
 const runDetectionBtn = byId("runDetectionBtn");
 
@@ -38,6 +61,10 @@ const detectionCard = byId("detectionCard");
 const detectionConfidence = byId("detectionConfidence");
 const detectionTime = byId("detectionTime");
 const detectionDispositionTag = byId("detectionDispositionTag");
+const detectionConfirmedBy = byId("detectionConfirmedBy");
+const evidenceImg = byId("evidenceImg");
+const evidenceChips = byId("evidenceChips");
+const evidenceMeta = byId("evidenceMeta");
 const confirmFireBtn = byId("confirmFireBtn");
 const rejectDetectionBtn = byId("rejectDetectionBtn");
 const incidentDetails = byId("incidentDetails");
@@ -46,17 +73,171 @@ const impactRiskPill = byId("impactRiskPill");
 const impactRiskText = byId("impactRiskText");
 const impactAreaText = byId("impactAreaText");
 const impactNotes = byId("impactNotes");
+const windSpeedInput = byId("windSpeedInput");
+const windFromInput = byId("windFromInput");
+const slopeInput = byId("slopeInput");
+const fuelClassSelect = byId("fuelClassSelect");
+const conditionsErrors = byId("conditionsErrors");
+const suppressBelowInput = byId("suppressBelowInput");
+const highPriorityFromInput = byId("highPriorityFromInput");
+const twoPersonInput = byId("twoPersonInput");
+const policyErrors = byId("policyErrors");
+const policySummary = byId("policySummary");
+const savePolicyBtn = byId("savePolicyBtn");
+const loadConditionsBtn = byId("loadConditionsBtn");
+const conditionsFileInput = byId("conditionsFileInput");
+const overlayCategorySelect = byId("overlayCategorySelect");
+const loadOverlayBtn = byId("loadOverlayBtn");
+const overlayFileInput = byId("overlayFileInput");
+const overlayErrors = byId("overlayErrors");
+const overlayEmpty = byId("overlayEmpty");
+const overlayList = byId("overlayList");
+const impactExposure = byId("impactExposure");
+const incidentExposure = byId("incidentExposure");
+const projectionControl = byId("projectionControl");
+const projectionSlider = byId("projectionSlider");
+const projectionPlayBtn = byId("projectionPlayBtn");
+const projectionTimeLabel = byId("projectionTimeLabel");
+const projectionSummary = byId("projectionSummary");
 const exportIncidentBtn = byId("exportIncidentBtn");
+const printBriefingBtn = byId("printBriefingBtn");
+const briefingOverlay = byId("briefingOverlay");
+const briefingReport = byId("briefingReport");
+const briefingPrintBtn = byId("briefingPrintBtn");
+const briefingCloseBtn = byId("briefingCloseBtn");
+const basemapSelect = byId("basemapSelect");
+const customTileField = byId("customTileField");
+const customTileUrlInput = byId("customTileUrlInput");
+const basemapErrors = byId("basemapErrors");
+const mapViewSelect = byId("mapViewSelect");
+const heatmapOptions = byId("heatmapOptions");
+const heatmapSourceSelect = byId("heatmapSourceSelect");
+const heatmapRangeSelect = byId("heatmapRangeSelect");
+const mapViewSummary = byId("mapViewSummary");
+const heatLegend = byId("heatLegend");
+const networkStatus = byId("networkStatus");
+const offlineAreaSelect = byId("offlineAreaSelect");
+const offlineZoomMinInput = byId("offlineZoomMinInput");
+const offlineZoomMaxInput = byId("offlineZoomMaxInput");
+const offlineEstimate = byId("offlineEstimate");
+const offlineProgress = byId("offlineProgress");
+const cacheTilesBtn = byId("cacheTilesBtn");
+const cancelCacheBtn = byId("cancelCacheBtn");
+const clearTileCacheBtn = byId("clearTileCacheBtn");
+const offlineStorage = byId("offlineStorage");
+const incidentFilters = byId("incidentFilters");
+const incidentSearchInput = byId("incidentSearchInput");
+const incidentStatusFilter = byId("incidentStatusFilter");
+const incidentRiskFilter = byId("incidentRiskFilter");
+const confidenceMinInput = byId("confidenceMinInput");
+const confidenceMaxInput = byId("confidenceMaxInput");
+const incidentSortSelect = byId("incidentSortSelect");
+const inMapViewToggle = byId("inMapViewToggle");
+const clearIncidentFiltersBtn = byId("clearIncidentFiltersBtn");
+const incidentFilterSummary = byId("incidentFilterSummary");
 const incidentEmpty = byId("incidentEmpty");
 const incidentList = byId("incidentList");
 const incidentControls = byId("incidentControls");
 const incidentFocusLabel = byId("incidentFocusLabel");
+const incidentConfirmationLabel = byId("incidentConfirmationLabel");
 const incidentStatusSelect = byId("incidentStatusSelect");
+const incidentStatusBadge = byId("incidentStatusBadge");
+const incidentStatusSince = byId("incidentStatusSince");
+const statusReasonInput = byId("statusReasonInput");
+const applyStatusBtn = byId("applyStatusBtn");
+const incidentStatusHistory = byId("incidentStatusHistory");
+const incidentTimeInStatus = byId("incidentTimeInStatus");
+const mergedDetectionsBlock = byId("mergedDetectionsBlock");
+const mergedDetectionCount = byId("mergedDetectionCount");
+const mergedDetectionList = byId("mergedDetectionList");
+const incidentNameInput = byId("incidentNameInput");
+const incidentUnitInput = byId("incidentUnitInput");
+const incidentPrioritySelect = byId("incidentPrioritySelect");
+const incidentNotesList = byId("incidentNotesList");
+const incidentNotesEmpty = byId("incidentNotesEmpty");
+const incidentNoteInput = byId("incidentNoteInput");
+const addNoteBtn = byId("addNoteBtn");
+const attachmentList = byId("attachmentList");
+const attachmentEmpty = byId("attachmentEmpty");
+const attachmentErrors = byId("attachmentErrors");
+const addAttachmentBtn = byId("addAttachmentBtn");
+const attachmentFileInput = byId("attachmentFileInput");
 const detectionActionBar = byId("detectionActionBar");
 const actionBarConfidence = byId("actionBarConfidence");
+const actionBarAlert = byId("actionBarAlert");
 const actionConfirmBtn = byId("actionConfirmBtn");
 const actionRejectBtn = byId("actionRejectBtn");
+const actionMergeBtn = byId("actionMergeBtn");
+const actionBarTriage = byId("actionBarTriage");
+const actionBarDuplicate = byId("actionBarDuplicate");
 const panelDecisionActions = byId("panelDecisionActions");
+const cancelDetectionBtn = byId("cancelDetectionBtn");
+const providerSelect = byId("providerSelect");
+const endpointField = byId("endpointField");
+const endpointInput = byId("endpointInput");
+const folderField = byId("folderField");
+const chooseFolderBtn = byId("chooseFolderBtn");
+const folderInput = byId("folderInput");
+const folderSummary = byId("folderSummary");
+const timeWindowSelect = byId("timeWindowSelect");
+const actionBarQueuePos = byId("actionBarQueuePos");
+const actionNextBtn = byId("actionNextBtn");
+const reviewQueueCard = byId("reviewQueue");
+const reviewQueueSummary = byId("reviewQueueSummary");
+const reviewQueueList = byId("reviewQueueList");
+const reviewPrevBtn = byId("reviewPrevBtn");
+const reviewNextBtn = byId("reviewNextBtn");
+const operatorIdInput = byId("operatorIdInput");
+const operatorRoleSelect = byId("operatorRoleSelect");
+const signInForm = byId("signInForm");
+const signInBtn = byId("signInBtn");
+const sessionInfo = byId("sessionInfo");
+const sessionSummary = byId("sessionSummary");
+const handoverSummary = byId("handoverSummary");
+const exportHandoverBtn = byId("exportHandoverBtn");
+const signOutBtn = byId("signOutBtn");
+const syncUrlInput = byId("syncUrlInput");
+const syncConnectBtn = byId("syncConnectBtn");
+const syncDisconnectBtn = byId("syncDisconnectBtn");
+const syncStatus = byId("syncStatus");
+const presenceList = byId("presenceList");
+const syncConflictList = byId("syncConflictList");
+const auditFilterSelect = byId("auditFilterSelect");
+const auditEmpty = byId("auditEmpty");
+const auditList = byId("auditList");
+const aoiNameInput = byId("aoiNameInput");
+const saveAoiBtn = byId("saveAoiBtn");
+const aoiEmpty = byId("aoiEmpty");
+const aoiList = byId("aoiList");
+const importAoiBtn = byId("importAoiBtn");
+const importFileInput = byId("importFileInput");
+const mapShell = byId("mapShell");
+const importCard = byId("importCard");
+const importSummary = byId("importSummary");
+const importList = byId("importList");
+const importErrors = byId("importErrors");
+const clearImportBtn = byId("clearImportBtn");
+const bulkExportScopeSelect = byId("bulkExportScopeSelect");
+const bulkExportFormatSelect = byId("bulkExportFormatSelect");
+const bulkExportBtn = byId("bulkExportBtn");
+const bulkExportSummary = byId("bulkExportSummary");
+const alertSenderInput = byId("alertSenderInput");
+const alertStatusSelect = byId("alertStatusSelect");
+const alertEndpointInput = byId("alertEndpointInput");
+const alertErrors = byId("alertErrors");
+const addAlertEndpointBtn = byId("addAlertEndpointBtn");
+const sendTestAlertBtn = byId("sendTestAlertBtn");
+const alertEndpointEmpty = byId("alertEndpointEmpty");
+const alertEndpointList = byId("alertEndpointList");
+const alertLogEmpty = byId("alertLogEmpty");
+const alertLog = byId("alertLog");
+const metricsFromInput = byId("metricsFromInput");
+const metricsToInput = byId("metricsToInput");
+const metricsErrors = byId("metricsErrors");
+const metricsSummary = byId("metricsSummary");
+const metricsBandChart = byId("metricsBandChart");
+const metricsTimingChart = byId("metricsTimingChart");
+const exportMetricsBtn = byId("exportMetricsBtn");
 
 // ===== Map setup =============================================================
 
@@ -67,11 +248,73 @@ const map = L.map("detectMap", {
   // Keep boxZoom enabled for normal browsing. We'll temporarily disable it in select mode.
 });
 
-// OpenStreetMap tiles (CDN). This is a demo-only basemap.
-L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-  maxZoom: 19,
-  attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
-}).addTo(map);
+/**
+ * @typedef {{
+ *   id: "street" | "terrain" | "imagery" | "custom",
+ *   label: string,
+ *   url: string,
+ *   maxZoom: number,
+ *   attribution: string,
+ *   credit: string
+ * }} Basemap
+ */
+
+/**
+ * Basemaps offered in the Map Display card (demo-only public tile services).
+ * The custom entry points at a tile server on the local network; its URL template is
+ * entered by the operator. The briefing report and the offline tile cache use the
+ * same template as the map.
+ * @type {Record<Basemap["id"], Basemap>}
+ */
+const BASEMAPS = {
+  street: {
+    id: "street",
+    label: "Street",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    maxZoom: 19,
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
+    credit: "© OpenStreetMap contributors",
+  },
+  terrain: {
+    id: "terrain",
+    label: "Terrain",
+    url: "https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png",
+    maxZoom: 17,
+    attribution:
+      '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>, SRTM | ' +
+      'Style &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)',
+    credit: "© OpenStreetMap contributors, SRTM; style © OpenTopoMap",
+  },
+  imagery: {
+    id: "imagery",
+    label: "Imagery",
+    url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+    maxZoom: 19,
+    attribution: "Imagery &copy; Esri, Maxar, Earthstar Geographics",
+    credit: "Esri World Imagery",
+  },
+  custom: {
+    id: "custom",
+    label: "Local tile server",
+    url: "http://localhost:8081/tiles/{z}/{x}/{y}.png",
+    maxZoom: 19,
+    attribution: "Local tile server",
+    credit: "from a local tile server",
+  },
+};
+
+/** The basemap on the map (the custom entry carries the operator's URL). @type {Basemap} */
+let basemap = BASEMAPS.street;
+
+/** @param {Basemap} next */
+function makeBasemapLayer(next) {
+  return L.tileLayer(next.url, {
+    maxZoom: next.maxZoom,
+    attribution: next.attribution,
+  });
+}
+
+let basemapLayer = makeBasemapLayer(basemap).addTo(map);
 
 // A calm default starting area.
 map.setView([37.25, -119.6], 6);
@@ -79,46 +322,334 @@ map.setView([37.25, -119.6], 6);
 // Optional scale (useful for operators).
 L.control.scale({ imperial: false, position: "bottomright" }).addTo(map);
 
+// ===== Operator sign-in (identity + roles) ===================================
+
+/*
+  Operator sign-in
+  ----------------
+  Every audited action has to say who acted, so operators sign in with an ID
+  and a role. The role decides which actions are available:
+  - viewer: look, filter and export, and choose what the map shows (basemap,
+    display mode, which overlay layers are visible, offline tiles)
+  - operator: also run detection, decide on detections, edit incidents and AOIs,
+    load or remove infrastructure overlays and change the fire conditions
+  - supervisor: also resolve or close incidents, change the triage policy and
+    the outbound alert settings
+  While nobody is signed in the page is read-only apart from those map choices.
+
+  Sign-in is local and unauthenticated (demo-only); a real deployment would take
+  identity and roles from its identity provider and enforce them server-side.
+
+  A shift starts at sign-in. The handover summary lists the open incidents, the
+  detections still awaiting a decision and every audit entry since then.
+*/
+
+const SESSION_STORAGE_KEY = "aegisDetect.session";
+const OPERATOR_STORAGE_KEY = "aegisDetect.operatorId";
+
+/**
+ * @typedef {"viewer" | "operator" | "supervisor"} OperatorRole
+ * @typedef {"run_detection" | "decide_detection" | "edit_incident" | "resolve_incident"
+ *   | "manage_aois" | "manage_overlays" | "edit_conditions" | "edit_policy" | "manage_alerts"} Permission
+ * @typedef {{operatorId: string, role: OperatorRole, signedInAtIso: string}} OperatorSession
+ */
+
+/** @type {Record<OperatorRole, {label: string, permissions: Permission[]}>} */
+const OPERATOR_ROLES = {
+  viewer: { label: "Viewer", permissions: [] },
+  operator: {
+    label: "Operator",
+    permissions: [
+      "run_detection",
+      "decide_detection",
+      "edit_incident",
+      "manage_aois",
+      "manage_overlays",
+      "edit_conditions",
+    ],
+  },
+  supervisor: {
+    label: "Supervisor",
+    permissions: [
+      "run_detection",
+      "decide_detection",
+      "edit_incident",
+      "manage_aois",
+      "manage_overlays",
+      "edit_conditions",
+      "resolve_incident",
+      "edit_policy",
+      "manage_alerts",
+    ],
+  },
+};
+
+/** Completes "Viewers cannot …" in refusal messages. @type {Record<Permission, string>} */
+const PERMISSION_LABELS = {
+  run_detection: "run detection",
+  decide_detection: "confirm, reject or merge detections",
+  edit_incident: "change incidents",
+  resolve_incident: "resolve or close incidents",
+  manage_aois: "change areas of interest",
+  manage_overlays: "load or remove infrastructure overlays",
+  edit_conditions: "change the fire conditions",
+  edit_policy: "change the triage policy",
+  manage_alerts: "change outbound alert settings",
+};
+
+/** Lifecycle statuses only a supervisor may move an incident into. */
+const SUPERVISOR_STATUSES = ["Resolved", "Closed"];
+
+/** @type {OperatorSession | null} */
+let operatorSession = null;
+
+function getOperatorId() {
+  return operatorSession ? operatorSession.operatorId : "unidentified";
+}
+
+/** @param {Permission} permission */
+function can(permission) {
+  return operatorSession !== null && OPERATOR_ROLES[operatorSession.role].permissions.includes(permission);
+}
+
+/**
+ * Why the current operator may not do this, or null when they may.
+ * @param {Permission} permission
+ */
+function permissionRefusal(permission) {
+  if (can(permission)) return null;
+  if (!operatorSession) return `Sign in to ${PERMISSION_LABELS[permission]}.`;
+  return `${OPERATOR_ROLES[operatorSession.role].label}s cannot ${PERMISSION_LABELS[permission]}.`;
+}
+
+/**
+ * Show the refusal (if any) in the status line.
+ * @param {Permission} permission
+ * @returns {boolean} true when the action may go ahead
+ */
+function requirePermission(permission) {
+  const refusal = permissionRefusal(permission);
+  if (refusal) {
+    setStatus("error", "Not permitted");
+    setInstruction(refusal);
+  }
+  return refusal === null;
+}
+
+function saveOperatorSession() {
+  try {
+    if (operatorSession) {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(operatorSession));
+      localStorage.setItem(OPERATOR_STORAGE_KEY, operatorSession.operatorId);
+    } else {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  } catch (err) {
+    console.warn("Aegis Detect: could not save operator session.", err);
+  }
+}
+
+function signIn() {
+  const operatorId = operatorIdInput.value.trim();
+  /** @type {OperatorRole} */
+  const role = operatorRoleSelect.value;
+  if (!operatorId || !OPERATOR_ROLES[role]) return;
+
+  operatorSession = { operatorId, role, signedInAtIso: new Date().toISOString() };
+  saveOperatorSession();
+  recordAuditEvent({ type: "operator_signed_in", after: { role } });
+  applyOperatorRole();
+  announcePresence();
+  setInstruction(`Signed in as ${operatorId} (${OPERATOR_ROLES[role].label}). Your shift starts now.`);
+}
+
+function signOut() {
+  if (!operatorSession) return;
+  recordAuditEvent({ type: "operator_signed_out", before: { role: operatorSession.role } });
+  operatorSession = null;
+  saveOperatorSession();
+  applyOperatorRole();
+  announcePresence();
+  setInstruction("Signed out. The page is read-only until an operator signs in.");
+}
+
+/** Re-render every control whose availability depends on the role. */
+function applyOperatorRole() {
+  renderOperatorSession();
+  // A running detection keeps its controls locked; they are restored when it ends.
+  if (!activeDetectionRun) updateSelectionUI();
+  renderAoiList();
+  renderConditionsControls();
+  renderOverlayList();
+  renderTriagePolicy();
+  renderAlertSettings();
+  const detection = getActiveDetection();
+  if (detection && isAwaitingDecision(detection)) showActionBar(detection);
+  setIncidentControls(getFocusedIncident());
+}
+
+function renderOperatorSession() {
+  signInForm.hidden = operatorSession !== null;
+  sessionInfo.hidden = operatorSession === null;
+  signInBtn.disabled = !operatorIdInput.value.trim();
+  if (!operatorSession) return;
+
+  const { operatorId, role, signedInAtIso } = operatorSession;
+  sessionSummary.textContent = `${operatorId} • ${OPERATOR_ROLES[role].label} • shift started ${formatDetectionTime(signedInAtIso)}`;
+  renderHandoverSummary();
+}
+
+/** Counts for the handover card; kept current as audit entries are added. */
+function renderHandoverSummary() {
+  if (!operatorSession) return;
+  const openCount = incidents.filter(isOpenIncident).length;
+  const pendingCount = countPendingReviews();
+  const actionCount = shiftAuditEntries().length;
+  handoverSummary.textContent = `Handover: ${openCount} open incident(s) • ${pendingCount} pending detection(s) • ${actionCount} action(s) this shift`;
+}
+
+function shiftAuditEntries() {
+  const startMs = Date.parse(operatorSession.signedInAtIso);
+  return auditLog.filter((entry) => Date.parse(entry.atIso) >= startMs);
+}
+
+/**
+ * Shift handover summary for the incoming operator.
+ * @param {string} endedAtIso
+ */
+function buildHandover(endedAtIso) {
+  return {
+    shift: {
+      operatorId: operatorSession.operatorId,
+      role: operatorSession.role,
+      startedAtIso: operatorSession.signedInAtIso,
+      endedAtIso,
+    },
+    openIncidents: incidents.filter(isOpenIncident).map(incidentExportRecord),
+    pendingDetections: reviewQueue.filter(isAwaitingDecision).map((detection) => ({
+      detectionId: detection.id,
+      state: detection.state,
+      confidencePct: detection.confidencePct,
+      triage: detection.triage,
+      detectedAtIso: detection.detectedAtIso,
+      lat: Number(detection.location.lat.toFixed(6)),
+      lng: Number(detection.location.lng.toFixed(6)),
+      aoi: detection.aoi ? detection.aoi.name : null,
+      firstConfirmation: detection.firstConfirmation || null,
+    })),
+    actions: shiftAuditEntries().map((entry) => ({
+      atIso: entry.atIso,
+      event: AUDIT_EVENT_LABELS[entry.type],
+      actor: entry.actor,
+      operator: entry.operator,
+      subject: entry.subjectId ? describeAuditSubject(entry.subjectId) : null,
+      change: `${describeAuditValue(entry.before)} → ${describeAuditValue(entry.after)}`,
+    })),
+    disclaimer: "Demo / Non-operational data",
+  };
+}
+
+operatorIdInput.addEventListener("input", () => {
+  signInBtn.disabled = !operatorIdInput.value.trim();
+});
+operatorIdInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter" && !signInBtn.disabled) signInBtn.click();
+});
+signInBtn.addEventListener("click", signIn);
+signOutBtn.addEventListener("click", signOut);
+
+exportHandoverBtn.addEventListener("click", () => {
+  if (!operatorSession) return;
+  recordAuditEvent({ type: "handover_exported", after: { format: "json" } });
+
+  const endedAtIso = new Date().toISOString();
+  const stamp = endedAtIso.slice(0, 19).replace(/[:T]/g, "-");
+  downloadFile(
+    `aegis_detect_handover_${operatorSession.operatorId}_${stamp}.json`,
+    "application/json",
+    JSON.stringify(buildHandover(endedAtIso), null, 2)
+  );
+});
+
+// The session survives a reload (the shift goes on); the last ID pre-fills the sign-in form.
+try {
+  const stored = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || "null");
+  if (stored && typeof stored.operatorId === "string" && OPERATOR_ROLES[stored.role]) operatorSession = stored;
+  operatorIdInput.value = localStorage.getItem(OPERATOR_STORAGE_KEY) || "";
+} catch (err) {
+  console.warn("Aegis Detect: could not restore operator session.", err);
+}
+
 // ===== Selection state =======================================================
 
 /**
- * When true, the user can click-drag to draw a rectangle.
+ * When true, the user can draw a selection with the active tool.
  * We also temporarily disable panning/zoom gestures to reduce accidental map movement.
  */
 let isSelecting = false;
 
-/** @type {L.LatLng|null} */
+/** @type {"rectangle" | "polygon" | "freehand"} */
+let selectionTool = "rectangle";
+
+/**
+ * A selected area of interest. `ring` is the outline (not closed: first vertex is not repeated);
+ * `bounds` is its bounding box, kept alongside for map fitting and coarse filtering.
+ * @typedef {{type:"rectangle"|"polygon"|"freehand", ring:L.LatLng[], bounds:L.LatLngBounds}} SelectionArea
+ */
+
+/** @type {SelectionArea|null} */
+let selectedArea = null;
+
+/** Rectangle/freehand drag origin. @type {L.LatLng|null} */
 let dragStartLatLng = null;
 
-/** @type {L.Rectangle|null} */
-let selectionRect = null;
+/** Vertices of an in-progress polygon or freehand outline. @type {L.LatLng[]} */
+let draftVertices = [];
 
-/** @type {L.LatLngBounds|null} */
-let selectedBounds = null;
+/** The drawn selection (or the in-progress draft). @type {L.Polygon|L.Polyline|null} */
+let selectionLayer = null;
 
-/** @type {L.Marker|null} */
-let detectionMarker = null;
+/** Polygon tool: rubber-band line from the last vertex to the cursor. @type {L.Polyline|null} */
+let draftGuide = null;
 
-/** @type {L.Circle|null} */
+/** @type {L.Polygon|null} */
 let impactZone = null;
 
-/** @type {null | {risk:"Low"|"Medium"|"High", radiusMeters:number, areaKm2:number, notes:string}} */
+/** @type {null | ImpactAssessment} */
 let lastImpactAssessment = null;
 
 /**
- * The most recent AI detection (demo-only).
- * In production this would be a server-side record with an audit trail and operator identity.
- * @type {null | {
+ * Review queue: every AI detection returned by the most recent run (demo-only).
+ * Each detection has its own marker and its own operator decision.
+ * In production these would be server-side records with an audit trail and operator identity.
+ * @type {Array<{
  *   id: string,
  *   bounds: L.LatLngBounds,
  *   location: L.LatLng,
  *   confidencePct: number,
  *   detectedAtIso: string,
- *   state: "unconfirmed" | "confirmed" | "rejected",
- *   confirmedAtIso?: string
- * }}
+ *   evidence: DetectionEvidence | null,
+ *   triage: TriageLevel,
+ *   policyVersion: number,
+ *   policyId?: string,
+ *   state: "unconfirmed" | "pending_verification" | "confirmed" | "rejected" | "merged",
+ *   firstConfirmation?: {operator: string, atIso: string, impact?: ImpactAssessment},
+ *   confirmedAtIso?: string,
+ *   rejectedAtIso?: string,
+ *   mergedIntoId?: string,
+ *   aoi: {id:string, name:string} | null,
+ *   sync?: SyncMeta,
+ *   marker: L.Marker | null
+ * }>}
  */
-let currentDetection = null;
+let reviewQueue = [];
+
+/** Index into reviewQueue of the detection under review (-1 when the queue is empty). */
+let activeReviewIndex = -1;
+
+function getActiveDetection() {
+  return reviewQueue[activeReviewIndex] || null;
+}
 
 /**
  * Active incidents stored client-side (demo-only).
@@ -128,18 +659,46 @@ let currentDetection = null;
  * A real deployment would persist these to a backend system-of-record.
  * @type {Array<{
  *   id: string,
- *   status: "Confirmed — Awaiting response" | "Confirmed — Response dispatched" | "Resolved",
+ *   status: LifecycleStatus,
+ *   statusHistory: StatusTransition[],
  *   location: L.LatLng,
  *   confidencePct: number,
  *   detectedAtIso: string,
  *   confirmedAtIso: string,
+ *   confirmedBy: string,
+ *   verifiedBy: string | null,
+ *   verifiedAtIso: string | null,
  *   operatorNote: string,
- *   impact: {risk:"Low"|"Medium"|"High", radiusMeters:number, areaKm2:number, notes:string} | null,
+ *   impact: ImpactAssessment | null,
+ *   aoi: {id:string, name:string} | null,
+ *   triage: TriageLevel | null,
+ *   policyVersion: number | null,
+ *   policyId: string | null,
+ *   name: string,
+ *   assignedUnit: string,
+ *   priority: IncidentPriority,
+ *   notes: IncidentNote[],
+ *   attachments: IncidentAttachment[],
+ *   mergedDetections: MergedDetection[],
+ *   lastAlert: AlertReference | null,
+ *   sync: SyncMeta | null,
  *   marker: L.Marker
  * }>}
  */
 const incidents = [];
 
+/**
+ * Detections the operator rejected as false positives (kept for history, persisted).
+ * @type {Array<{
+ *   id: string,
+ *   location: L.LatLng,
+ *   confidencePct: number,
+ *   detectedAtIso: string,
+ *   rejectedAtIso: string
+ * }>}
+ */
+const rejectedDetections = [];
+
 /** @type {string|null} */
 let focusedIncidentId = null;
 
@@ -154,7 +713,7 @@ const selectionStyle = {
 };
 
 function setStatus(state, text) {
-  // state: "idle" | "busy" | "alert" | "confirmed" | "rejected"
+  // state: "idle" | "busy" | "alert" | "confirmed" | "rejected" | "error"
   statusText.textContent = text;
 
   const dot = statusValue.querySelector(".status-dot");
@@ -164,6 +723,7 @@ function setStatus(state, text) {
     dot.classList.toggle("alert", state === "alert");
     dot.classList.toggle("confirmed", state === "confirmed");
     dot.classList.toggle("rejected", state === "rejected");
+    dot.classList.toggle("error", state === "error");
   }
 }
 
@@ -173,6 +733,7 @@ function setInstruction(text) {
 
 function hideDetectionCard() {
   detectionCard.hidden = true;
+  clearEvidenceOutline();
   detectionConfidence.textContent = "—";
   detectionTime.textContent = "—";
   detectionDispositionTag.textContent = "Detected";
@@ -180,20 +741,57 @@ function hideDetectionCard() {
   incidentDetails.hidden = true;
   impactAssessment.hidden = true;
   exportIncidentBtn.disabled = true;
+  printBriefingBtn.disabled = true;
   // Panel decision buttons are not used (Action Bar is the operational interface).
   panelDecisionActions.hidden = true;
   confirmFireBtn.disabled = true;
   rejectDetectionBtn.disabled = true;
   detectionCard.classList.remove("confirmed", "rejected");
-  currentDetection = null;
   lastImpactAssessment = null;
   hideActionBar();
 }
 
-function showActionBar(confidencePct) {
+function showActionBar(detection) {
   // Operational UX: the most critical actions must be available without scrolling.
   detectionActionBar.hidden = false;
-  actionBarConfidence.textContent = `Confidence ${confidencePct}%`;
+  actionBarConfidence.textContent = `Confidence ${detection.confidencePct}%`;
+
+  // Second step of two-person confirmation: the same bar approves or rejects.
+  const pending = detection.state === "pending_verification";
+  actionBarAlert.textContent = pending
+    ? `Pending verification • confirmed by ${detection.firstConfirmation.operator}`
+    : "Potential wildfire detected";
+  actionConfirmBtn.textContent = pending ? "Approve" : "Confirm fire";
+  // Viewers see the bar but cannot act on it.
+  for (const btn of [actionConfirmBtn, actionRejectBtn, actionMergeBtn]) btn.disabled = !can("decide_detection");
+
+  const triage = TRIAGE_LEVELS[detection.triage];
+  detectionActionBar.classList.toggle("triage-high", detection.triage === "high_priority");
+  detectionActionBar.classList.toggle("triage-review", detection.triage === "second_review");
+  actionBarTriage.hidden = !triage;
+  actionBarTriage.className = `meta-pill meta-pill-${triage ? triage.className : "muted"}`;
+  actionBarTriage.textContent = triage ? `${triage.label} • policy v${detection.policyVersion}` : "—";
+
+  const multiple = reviewQueue.length > 1;
+  actionBarQueuePos.hidden = !multiple && !detection.aoi;
+  actionBarQueuePos.textContent = [
+    multiple ? `${activeReviewIndex + 1} of ${reviewQueue.length}` : "",
+    detection.aoi ? `AOI: ${detection.aoi.name}` : "",
+  ]
+    .filter(Boolean)
+    .join(" • ");
+  actionNextBtn.hidden = !multiple;
+
+  const duplicate = pending ? null : findDuplicateIncident(detection);
+  actionBarDuplicate.hidden = !duplicate;
+  actionMergeBtn.hidden = !duplicate;
+  if (duplicate) {
+    const label = shortIncidentLabel(duplicate.incident.id);
+    actionBarDuplicate.textContent = `Likely duplicate of ${label} (${formatDistance(Math.round(duplicate.distanceMeters))})`;
+    actionMergeBtn.textContent = `Merge into ${label}`;
+  }
+
+  showEvidenceOutline(detection);
 
   // Ensure there is no duplicate confirm/reject UI in the panel during "Detected" state.
   panelDecisionActions.hidden = true;
@@ -204,6 +802,7 @@ function showActionBar(confidencePct) {
 function hideActionBar() {
   detectionActionBar.hidden = true;
   actionBarConfidence.textContent = "Confidence —";
+  clearEvidenceOutline();
 }
 
 function isEditableTarget(target) {
@@ -218,25 +817,41 @@ function isEditableTarget(target) {
 }
 
 // Hotkeys (operational UX): when a detection requires a decision, allow fast actions.
-// - C = Confirm fire
+// - C = Confirm fire (Approve for a detection pending verification)
 // - R = Reject detection
+// - M = Merge into the matching incident (only when the detection is a likely duplicate)
+// - N = Next detection in the review queue
 // Notes:
-// - Only active when the action bar is visible AND the detection is unconfirmed.
+// - C/R are only active when the action bar is visible AND the active detection awaits a decision.
+// - N is active whenever the review queue holds more than one detection.
 // - Ignored while typing in form controls to avoid accidental actions.
 document.addEventListener("keydown", (e) => {
   if (e.defaultPrevented) return;
   if (e.ctrlKey || e.metaKey || e.altKey) return;
   if (isEditableTarget(e.target)) return;
-  if (detectionActionBar.hidden) return;
-  if (!currentDetection || currentDetection.state !== "unconfirmed") return;
+  // The briefing preview is modal; review shortcuts stay inactive behind it.
+  if (!briefingOverlay.hidden) return;
 
   const key = e.key.toLowerCase();
+  if (key === "n" && reviewQueue.length > 1) {
+    e.preventDefault();
+    stepReviewQueue(1);
+    return;
+  }
+
+  if (detectionActionBar.hidden) return;
+  const detection = getActiveDetection();
+  if (!detection || !isAwaitingDecision(detection)) return;
+
   if (key === "c") {
     e.preventDefault();
     actionConfirmBtn.click();
   } else if (key === "r") {
     e.preventDefault();
     actionRejectBtn.click();
+  } else if (key === "m" && !actionMergeBtn.hidden) {
+    e.preventDefault();
+    actionMergeBtn.click();
   }
 });
 
@@ -250,23 +865,55 @@ function formatBounds(bounds) {
   return `SW (${formatLatLng(sw)}) → NE (${formatLatLng(ne)})`;
 }
 
+/**
+ * Approximate planar area of a ring in km² (equirectangular projection; fine at AOI scale).
+ * @param {L.LatLng[]} ring
+ */
+function ringAreaKm2(ring) {
+  const kmPerDegLat = 111.32;
+  const meanLat = ring.reduce((sum, p) => sum + p.lat, 0) / ring.length;
+  const kmPerDegLng = kmPerDegLat * Math.cos((meanLat * Math.PI) / 180);
+
+  let twiceArea = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const a = ring[i];
+    const b = ring[(i + 1) % ring.length];
+    twiceArea += a.lng * kmPerDegLng * (b.lat * kmPerDegLat) - b.lng * kmPerDegLng * (a.lat * kmPerDegLat);
+  }
+  return Math.abs(twiceArea) / 2;
+}
+
+/** @param {SelectionArea} area */
+function formatArea(area) {
+  const size = `~${ringAreaKm2(area.ring).toFixed(1)} km²`;
+  if (area.type === "rectangle") return `${formatBounds(area.bounds)} • ${size}`;
+  const label = area.type === "polygon" ? "Polygon" : "Freehand";
+  return `${label}, ${area.ring.length} vertices • ${size} • bbox ${formatBounds(area.bounds)}`;
+}
+
 function updateSelectionUI() {
-  if (!selectedBounds) {
+  saveAoiBtn.disabled = !selectedArea || !can("manage_aois");
+  renderOfflineCard();
+
+  if (!selectedArea) {
     selectionSummary.textContent = "No area selected.";
     clearSelectionBtn.disabled = true;
     runDetectionBtn.disabled = true;
     return;
   }
 
-  selectionSummary.textContent = formatBounds(selectedBounds);
+  selectionSummary.textContent = formatArea(selectedArea);
   clearSelectionBtn.disabled = false;
-  runDetectionBtn.disabled = false;
+  runDetectionBtn.disabled = !can("run_detection");
 }
 
 function clearDetectionOnMap() {
-  if (detectionMarker) {
-    map.removeLayer(detectionMarker);
-    detectionMarker = null;
+  // Confirmed detections hand their marker to the incident, so only draft markers remain here.
+  for (const detection of reviewQueue) {
+    if (detection.marker) {
+      map.removeLayer(detection.marker);
+      detection.marker = null;
+    }
   }
 }
 
@@ -275,6 +922,7 @@ function clearImpactZone() {
     map.removeLayer(impactZone);
     impactZone = null;
   }
+  hideSpreadProjection();
 }
 
 function setSelectingUI(enabled) {
@@ -299,113 +947,293 @@ function setSelectingUI(enabled) {
     if (map.tap) map.tap.enable();
   }
 
-  mapHint.textContent = enabled
-    ? "Click and drag to draw a rectangle selection."
-    : "Tip: Zoom and pan to your area of interest.";
+  mapHint.textContent = enabled ? SELECTION_TOOL_HINTS[selectionTool] : "Tip: Zoom and pan to your area of interest.";
 }
 
+/** @type {Record<typeof selectionTool, string>} */
+const SELECTION_TOOL_HINTS = {
+  rectangle: "Click and drag to draw a rectangle selection.",
+  polygon: "Click to add vertices. Double-click, Enter or click the first vertex to finish; Esc cancels.",
+  freehand: "Click and drag to draw a freehand outline; release to close it.",
+};
+
 function enterSelectMode() {
   isSelecting = true;
-  dragStartLatLng = null;
+  resetDraft();
   setSelectingUI(true);
-  setInstruction("Select mode active. Click and drag on the map to define an area.");
+  setInstruction(`Select mode active. ${SELECTION_TOOL_HINTS[selectionTool]}`);
 }
 
 function exitSelectMode() {
   isSelecting = false;
-  dragStartLatLng = null;
+  resetDraft();
   setSelectingUI(false);
   setInstruction(
-    selectedBounds
+    selectedArea
       ? "Area selected. You may run detection when ready."
       : "Select an area on the map to begin detection."
   );
 }
 
-function clearSelection() {
-  selectedBounds = null;
+function removeSelectionLayer() {
+  if (selectionLayer) {
+    map.removeLayer(selectionLayer);
+    selectionLayer = null;
+  }
+}
+
+/** Discard any in-progress drawing (the committed selection, if any, stays on the map). */
+function resetDraft() {
+  const drawing = dragStartLatLng !== null || draftVertices.length > 0;
   dragStartLatLng = null;
-  if (selectionRect) {
-    map.removeLayer(selectionRect);
-    selectionRect = null;
+  draftVertices = [];
+  if (draftGuide) {
+    map.removeLayer(draftGuide);
+    draftGuide = null;
   }
-  clearDetectionOnMap();
+  if (drawing) {
+    removeSelectionLayer();
+    if (selectedArea) selectionLayer = L.polygon(selectedArea.ring, selectionStyle).addTo(map);
+  }
+}
+
+function clearSelection() {
+  if (selectedArea) {
+    recordAuditEvent({ type: "selection_changed", before: serializeArea(selectedArea), after: null });
+  }
+  selectedArea = null;
+  resetDraft();
+  removeSelectionLayer();
+  clearReviewQueue();
   clearImpactZone();
   hideDetectionCard();
-  hideActionBar();
   focusedIncidentId = null;
   renderIncidentList();
   setIncidentControls(null);
   updateSelectionUI();
+  saveState();
   setInstruction("Select an area on the map to begin detection.");
 }
 
-// ===== Map events (rectangle drawing) =======================================
+// ===== Selection geometry ====================================================
+
+/**
+ * @param {SelectionArea["type"]} type
+ * @param {L.LatLng[]} ring
+ * @returns {SelectionArea}
+ */
+function makeSelectionArea(type, ring) {
+  return { type, ring, bounds: L.latLngBounds(ring) };
+}
+
+function rectangleRing(bounds) {
+  return [bounds.getSouthWest(), bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthEast()];
+}
+
+function isTinyBounds(bounds) {
+  // Ignore extremely small selections (e.g., a click without a drag).
+  return (
+    Math.abs(bounds.getNorth() - bounds.getSouth()) < 0.002 ||
+    Math.abs(bounds.getEast() - bounds.getWest()) < 0.002
+  );
+}
+
+/**
+ * Even-odd ray casting in lat/lng space (adequate for AOI-sized shapes away from the antimeridian).
+ * @param {L.LatLng} latlng
+ * @param {L.LatLng[]} ring
+ */
+function isPointInRing(latlng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    const crosses = a.lat > latlng.lat !== b.lat > latlng.lat;
+    if (crosses && latlng.lng < ((b.lng - a.lng) * (latlng.lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * @param {L.LatLng} latlng
+ * @param {SelectionArea} area
+ */
+function isPointInArea(latlng, area) {
+  return area.bounds.contains(latlng) && isPointInRing(latlng, area.ring);
+}
+
+/**
+ * Screen-space distance between two map points (used for vertex snapping / thinning).
+ * @param {L.LatLng} a
+ * @param {L.LatLng} b
+ */
+function pixelDistance(a, b) {
+  return map.latLngToContainerPoint(a).distanceTo(map.latLngToContainerPoint(b));
+}
+
+/** @param {SelectionArea} area */
+function commitSelection(area) {
+  const previous = selectedArea;
+  selectedArea = area;
+  dragStartLatLng = null;
+  draftVertices = [];
+  if (draftGuide) {
+    map.removeLayer(draftGuide);
+    draftGuide = null;
+  }
+
+  // Single active selection: the committed shape replaces any earlier one.
+  removeSelectionLayer();
+  selectionLayer = L.polygon(area.ring, selectionStyle).addTo(map);
+
+  updateSelectionUI();
+  recordAuditEvent({
+    type: "selection_changed",
+    before: previous ? serializeArea(previous) : null,
+    after: serializeArea(area),
+  });
+  exitSelectMode();
+}
+
+function finishPolygonDraft() {
+  if (draftVertices.length < 3) {
+    setInstruction("A polygon needs at least 3 vertices. Keep clicking to add more, or press Esc to cancel.");
+    return;
+  }
+  const area = makeSelectionArea("polygon", draftVertices);
+  if (isTinyBounds(area.bounds)) {
+    resetDraft();
+    setInstruction("Selection too small. Click to add vertices around a larger area.");
+    return;
+  }
+  commitSelection(area);
+}
+
+// ===== Map events (selection drawing) =======================================
 
 map.on("mousedown touchstart", (e) => {
-  if (!isSelecting) return;
+  if (!isSelecting || selectionTool === "polygon") return;
 
   dragStartLatLng = e.latlng;
+  removeSelectionLayer();
 
-  // Remove any prior rectangle (this is a single-selection MVP).
-  if (selectionRect) {
-    map.removeLayer(selectionRect);
-    selectionRect = null;
+  if (selectionTool === "rectangle") {
+    // Create a tiny rectangle to start; we'll expand it on mousemove.
+    selectionLayer = L.rectangle([dragStartLatLng, dragStartLatLng], selectionStyle).addTo(map);
+  } else {
+    draftVertices = [e.latlng];
+    selectionLayer = L.polyline(draftVertices, selectionStyle).addTo(map);
   }
-
-  // Create a tiny rectangle to start; we'll expand it on mousemove.
-  selectionRect = L.rectangle([dragStartLatLng, dragStartLatLng], selectionStyle).addTo(map);
 });
 
 map.on("mousemove touchmove", (e) => {
-  if (!isSelecting || !dragStartLatLng || !selectionRect) return;
+  if (!isSelecting) return;
+
+  if (selectionTool === "polygon") {
+    if (draftVertices.length === 0) return;
+    const last = draftVertices[draftVertices.length - 1];
+    if (draftGuide) draftGuide.setLatLngs([last, e.latlng]);
+    else draftGuide = L.polyline([last, e.latlng], { ...selectionStyle, opacity: 0.6 }).addTo(map);
+    return;
+  }
+
+  if (!dragStartLatLng || !selectionLayer) return;
+
+  if (selectionTool === "rectangle") {
+    selectionLayer.setBounds(L.latLngBounds(dragStartLatLng, e.latlng));
+    return;
+  }
 
-  const bounds = L.latLngBounds(dragStartLatLng, e.latlng);
-  selectionRect.setBounds(bounds);
+  // Freehand: thin the trace so the outline stays light (one vertex per ~4 px of movement).
+  const last = draftVertices[draftVertices.length - 1];
+  if (pixelDistance(last, e.latlng) >= 4) {
+    draftVertices.push(e.latlng);
+    selectionLayer.setLatLngs(draftVertices);
+  }
 });
 
 map.on("mouseup touchend", (e) => {
-  if (!isSelecting || !dragStartLatLng) return;
+  if (!isSelecting || selectionTool === "polygon" || !dragStartLatLng) return;
+
+  if (selectionTool === "rectangle") {
+    const bounds = L.latLngBounds(dragStartLatLng, e.latlng);
+    if (isTinyBounds(bounds)) {
+      resetDraft();
+      setInstruction("Selection too small. Click and drag to define a larger area.");
+      return;
+    }
+    commitSelection(makeSelectionArea("rectangle", rectangleRing(bounds)));
+    return;
+  }
 
-  const bounds = L.latLngBounds(dragStartLatLng, e.latlng);
+  const area = draftVertices.length >= 3 ? makeSelectionArea("freehand", draftVertices) : null;
+  if (!area || isTinyBounds(area.bounds)) {
+    resetDraft();
+    setInstruction("Outline too small. Click and drag to trace a larger area.");
+    return;
+  }
+  commitSelection(area);
+});
 
-  // Ignore extremely small selections (e.g., a click without a drag).
-  const isTiny =
-    Math.abs(bounds.getNorth() - bounds.getSouth()) < 0.002 ||
-    Math.abs(bounds.getEast() - bounds.getWest()) < 0.002;
+map.on("click", (e) => {
+  if (!isSelecting || selectionTool !== "polygon") return;
 
-  if (isTiny) {
-    // Clean up the tiny rectangle if it exists.
-    if (selectionRect) {
-      map.removeLayer(selectionRect);
-      selectionRect = null;
-    }
-    dragStartLatLng = null;
-    setInstruction("Selection too small. Click and drag to define a larger area.");
+  // Clicking the first vertex closes the polygon.
+  if (draftVertices.length >= 3 && pixelDistance(draftVertices[0], e.latlng) < 10) {
+    finishPolygonDraft();
     return;
   }
 
-  selectedBounds = bounds;
-  dragStartLatLng = null;
-  updateSelectionUI();
-  exitSelectMode();
+  // Double-clicks also deliver two clicks; skip near-duplicate vertices.
+  const last = draftVertices[draftVertices.length - 1];
+  if (last && pixelDistance(last, e.latlng) < 4) return;
+
+  if (draftVertices.length === 0) removeSelectionLayer();
+  draftVertices.push(e.latlng);
+  if (selectionLayer) selectionLayer.setLatLngs(draftVertices);
+  else selectionLayer = L.polyline(draftVertices, selectionStyle).addTo(map);
+});
+
+map.on("dblclick", () => {
+  if (!isSelecting || selectionTool !== "polygon") return;
+  finishPolygonDraft();
+});
+
+document.addEventListener("keydown", (e) => {
+  if (!isSelecting || isEditableTarget(e.target)) return;
+  if (e.key === "Escape") {
+    e.preventDefault();
+    resetDraft();
+    setInstruction(`Drawing cancelled. ${SELECTION_TOOL_HINTS[selectionTool]}`);
+  } else if (e.key === "Enter" && selectionTool === "polygon" && draftVertices.length > 0) {
+    e.preventDefault();
+    finishPolygonDraft();
+  }
 });
 
 // If the user releases the mouse outside the map, also end gracefully.
 document.addEventListener("mouseup", () => {
-  if (!isSelecting) return;
+  if (!isSelecting || selectionTool === "polygon") return;
   // If a drag started on the map but ended elsewhere, clear the in-progress selection
-  // rectangle to avoid leaving a "ghost" selection on screen.
-  if (dragStartLatLng && selectionRect) {
-    map.removeLayer(selectionRect);
-    selectionRect = null;
-    dragStartLatLng = null;
+  // outline to avoid leaving a "ghost" selection on screen.
+  if (dragStartLatLng) {
+    resetDraft();
     setInstruction("Selection cancelled. Click and drag on the map to define an area.");
   }
 });
 
 // ===== Controls ==============================================================
 
+selectionToolSelect.addEventListener("change", () => {
+  selectionTool = /** @type {typeof selectionTool} */ (selectionToolSelect.value);
+  if (!isSelecting) return;
+  resetDraft();
+  mapHint.textContent = SELECTION_TOOL_HINTS[selectionTool];
+  setInstruction(`Select mode active. ${SELECTION_TOOL_HINTS[selectionTool]}`);
+});
+
 selectAreaBtn.addEventListener("click", () => {
   if (isSelecting) {
     exitSelectMode();
@@ -420,12 +1248,40 @@ clearSelectionBtn.addEventListener("click", () => {
 
 function setControlsDisabled(disabled) {
   selectAreaBtn.disabled = disabled;
-  clearSelectionBtn.disabled = disabled || !selectedBounds;
-  runDetectionBtn.disabled = disabled || !selectedBounds;
+  selectionToolSelect.disabled = disabled;
+  clearSelectionBtn.disabled = disabled || !selectedArea;
+  runDetectionBtn.disabled = disabled || !selectedArea || !can("run_detection");
+  providerSelect.disabled = disabled;
+  endpointInput.disabled = disabled;
+  chooseFolderBtn.disabled = disabled;
+  timeWindowSelect.disabled = disabled;
+  // AOI "Select" buttons change the selection too.
+  renderAoiList();
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal] Rejects with an AbortError if the signal fires first.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        },
+        { once: true }
+      );
+    }
+  });
 }
 
 function randomBetween(min, max) {
@@ -449,473 +1305,8196 @@ function randomPointInBounds(bounds) {
   return L.latLng(lat, lng);
 }
 
-function makeFireIcon() {
-  // Use a simple emoji marker for a friendly demo effect.
-  // Production would likely use a standardized icon set + severity coding.
-  return L.divIcon({
-    className: "fire-marker-wrap",
-    html: '<div class="fire-marker detected" title="Detected (awaiting operator confirmation)">🔥</div>',
-    iconSize: [34, 34],
-    iconAnchor: [17, 17],
-  });
-}
-
-function makeIncidentIcon(status) {
-  const cls =
-    status === "Confirmed — Awaiting response"
-      ? "awaiting"
-      : status === "Confirmed — Response dispatched"
-        ? "dispatched"
-        : "resolved";
-
-  return L.divIcon({
-    className: "fire-marker-wrap",
-    html: `<div class="fire-marker ${cls}" title="${status}">🔥</div>`,
-    iconSize: [34, 34],
-    iconAnchor: [17, 17],
-  });
+/**
+ * Demo-only: generate a random point inside a selection shape (rejection sampling in its bounds).
+ * @param {SelectionArea} area
+ * @returns {L.LatLng}
+ */
+function randomPointInArea(area) {
+  for (let attempt = 0; attempt < 500; attempt++) {
+    const candidate = randomPointInBounds(area.bounds);
+    if (isPointInArea(candidate, area)) return candidate;
+  }
+  // Degenerate sliver: fall back to a vertex, which is on the outline by definition.
+  return area.ring[0];
 }
 
-function showDetectionResult({ confidencePct, when, location }) {
-  detectionConfidence.textContent = `${confidencePct}%`;
-  detectionTime.textContent = when;
-  detectionCard.hidden = false;
-  incidentDetails.hidden = true;
-  panelDecisionActions.hidden = true;
-  confirmFireBtn.disabled = true;
-  rejectDetectionBtn.disabled = true;
-  detectionCard.classList.remove("confirmed", "rejected");
-  detectionDispositionTag.textContent = "Detected";
-  detectionDispositionTag.className = "tag tag-warning";
-  impactAssessment.hidden = true;
-  lastImpactAssessment = null;
-
-  clearDetectionOnMap();
-  detectionMarker = L.marker(location, {
-    icon: makeFireIcon(),
-    keyboard: false,
-    title: "Potential wildfire detected (unconfirmed)",
-  }).addTo(map);
-
-  // Show the no-scroll action bar immediately after detection.
-  showActionBar(confidencePct);
+/**
+ * GeoJSON Polygon (lng/lat order, closed ring) for a selection.
+ * @param {SelectionArea} area
+ */
+function areaToGeoJsonPolygon(area) {
+  const coords = area.ring.map((p) => [p.lng, p.lat]);
+  coords.push(coords[0]);
+  return { type: "Polygon", coordinates: [coords] };
 }
 
-// Leaflet sizing: when using a fixed-height layout, ensure the map recalculates size.
-requestAnimationFrame(() => map.invalidateSize());
-window.addEventListener("resize", () => map.invalidateSize());
+// ===== Detection providers ===================================================
 
 /*
-  Human-in-the-loop confirmation
-  ------------------------------
-  For government-facing workflows, automated AI output must not be treated as a confirmed incident.
-  A trained operator reviews evidence and explicitly confirms/rejects the detection.
-  This provides accountability, reduces false alarms, and supports auditability.
+  Detection provider contract
+  ---------------------------
+  A provider turns "selected area + time window" into zero or more detections:
+
+    detect({ bounds, area, timeWindow, signal }) -> Promise<Array<{
+      location: L.LatLng,
+      confidencePct: number,   // 0–100
+      detectedAtIso: string,
+      evidence?: DetectionEvidence | null
+    }>>
+
+  - bounds:     L.LatLngBounds of the operator selection
+  - area:       SelectionArea (rectangle, polygon or freehand outline) inside those bounds
+  - timeWindow: { startIso, endIso } of the imagery to analyze
+  - signal:     AbortSignal; providers must stop work and reject when it fires
+
+  Providers never touch the UI. The Run Detection handler owns status, errors and controls.
+
+  Evidence is what the operator looks at before deciding: image chips (before /
+  after, or band combinations), the hotspot outline and the sensor pass that
+  produced it. It is optional; without it the card shows a placeholder.
 */
 
-function confirmDetection() {
-  if (!currentDetection || currentDetection.state !== "unconfirmed") return;
+/**
+ * @typedef {{label: string, url: string}} EvidenceChip
+ * @typedef {{
+ *   chips: EvidenceChip[],
+ *   outline: L.LatLng[] | null,
+ *   sensor: string | null,
+ *   acquiredAtIso: string | null
+ * }} DetectionEvidence
+ */
 
-  // Once the operator makes a decision, hide the action bar (normal flow resumes).
-  hideActionBar();
+/** Default HTTP provider settings. Override per session with ?provider=http&endpoint=... */
+const HTTP_PROVIDER_DEFAULT_ENDPOINT = "http://localhost:8000/detect";
+const HTTP_PROVIDER_TIMEOUT_MS = 15000;
 
-  // Human confirmation overrides AI output:
-  // - The AI suggested a detection
-  // - The operator makes the final decision to treat it as an active incident
-  currentDetection.state = "confirmed";
-  currentDetection.confirmedAtIso = new Date().toISOString();
+/** Sensors the simulation pretends to have used. */
+const MOCK_SENSORS = ["Sentinel-2 MSI", "Landsat 9 OLI/TIRS", "VIIRS (NOAA-21)"];
 
-  // Create a persistent incident record (client-side demo).
-  const incidentId = currentDetection.id;
-  const operatorNote = "Confirmed by operator";
+/**
+ * Demo-only provider: simulates analysis delay and returns a few plausible hotspots,
+ * each with mock image chips and a hotspot outline.
+ */
+const simulationProvider = {
+  id: "simulation",
+  label: "Simulation (demo)",
+  async detect({ area, signal }) {
+    // Demo-only delay: 2–3 seconds.
+    const delayMs = 2000 + Math.floor(Math.random() * 1000);
+    await sleep(delayMs, signal);
+
+    // Larger scans surface more candidates: 1–4 hotspots.
+    const count = 1 + Math.floor(Math.random() * 4);
+    const detectedAtIso = new Date().toISOString();
+    return Array.from({ length: count }, () => {
+      const location = randomPointInArea(area);
+      return {
+        location,
+        confidencePct: 82 + Math.floor(Math.random() * 11), // 82–92%
+        detectedAtIso,
+        evidence: mockEvidence(location, detectedAtIso),
+      };
+    });
+  },
+};
 
-  setStatus("confirmed", "Confirmed — Awaiting response");
-  setInstruction("Confirmed by operator. Incident status: Confirmed — Awaiting response.");
+/**
+ * Demo-only evidence: drawn chips of the same scene before and after ignition, plus a
+ * SWIR false-color chip (SWIR sees through smoke), and an irregular outline 120–350 m across.
+ * @param {L.LatLng} location
+ * @param {string} detectedAtIso
+ * @returns {DetectionEvidence}
+ */
+function mockEvidence(location, detectedAtIso) {
+  const fields = Array.from({ length: 7 }, () => ({
+    cx: Math.round(Math.random() * 160),
+    cy: Math.round(Math.random() * 100),
+    rx: 18 + Math.round(Math.random() * 36),
+    ry: 10 + Math.round(Math.random() * 22),
+    tone: Math.random(),
+  }));
+  const radiusMeters = 60 + Math.random() * 115;
+  const outline = Array.from({ length: 10 }, (_, i) =>
+    destinationPoint(location, radiusMeters * (0.7 + Math.random() * 0.6), i * 36)
+  );
+  // The satellite pass precedes the detection by the processing latency.
+  const acquiredAtMs = Date.parse(detectedAtIso) - (5 + Math.floor(Math.random() * 35)) * 60_000;
 
-  detectionDispositionTag.textContent = "Confirmed";
-  detectionDispositionTag.className = "tag tag-confirmed";
-  detectionCard.classList.add("confirmed");
+  return {
+    chips: [
+      { label: "Before", url: mockChipUrl("before", fields) },
+      { label: "After", url: mockChipUrl("after", fields) },
+      { label: "SWIR", url: mockChipUrl("swir", fields) },
+    ],
+    outline,
+    sensor: MOCK_SENSORS[Math.floor(Math.random() * MOCK_SENSORS.length)],
+    acquiredAtIso: new Date(acquiredAtMs).toISOString(),
+  };
+}
 
-  incidentDetails.hidden = false;
-  confirmFireBtn.disabled = true;
-  rejectDetectionBtn.disabled = true;
+/**
+ * @param {"before" | "after" | "swir"} kind
+ * @param {Array<{cx:number, cy:number, rx:number, ry:number, tone:number}>} fields Shared scene layout.
+ */
+function mockChipUrl(kind, fields) {
+  const swir = kind === "swir";
+  const ground = swir ? "#5b4a3a" : "#4b5a3a";
+  const shapes = fields
+    .map((f) => {
+      const fill = swir
+        ? `hsl(${100 + Math.round(f.tone * 40)}, 45%, ${22 + Math.round(f.tone * 18)}%)`
+        : `hsl(${60 + Math.round(f.tone * 50)}, 28%, ${24 + Math.round(f.tone * 20)}%)`;
+      return `<ellipse cx="${f.cx}" cy="${f.cy}" rx="${f.rx}" ry="${f.ry}" fill="${fill}"/>`;
+    })
+    .join("");
+  const fire = {
+    before: "",
+    after:
+      '<ellipse cx="80" cy="50" rx="15" ry="10" fill="#2b211c"/><circle cx="80" cy="50" r="4" fill="#ff5a1f"/>' +
+      '<path d="M78 47 C98 32 126 24 160 10 L160 30 C130 38 104 46 84 53 Z" fill="rgba(215,215,215,0.6)"/>',
+    swir:
+      '<ellipse cx="80" cy="50" rx="15" ry="10" fill="#1a120e"/><circle cx="80" cy="50" r="7" fill="#ffb020"/>' +
+      '<circle cx="80" cy="50" r="3" fill="#fff6d0"/>',
+  }[kind];
+  const svg =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="320" height="200" viewBox="0 0 160 100">' +
+    `<rect width="160" height="100" fill="${ground}"/>${shapes}${fire}</svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
 
-  // Convert the current detection marker into a persistent incident marker.
-  if (!detectionMarker) return;
+/**
+ * HTTP provider: POSTs the selection to a configurable endpoint (local model server or mock).
+ *
+ * Request body:
+ *   { bounds: { south, west, north, east }, geometry: GeoJSON Polygon, timeWindow: { startIso, endIso } }
+ * Expected response (JSON):
+ *   { detections: [{ lat, lng, confidencePct, detectedAtIso?, evidence? }] }
+ * where evidence is
+ *   { chips?: [{ label, url }], outline?: [[lat, lng], ...], sensor?, acquiredAtIso? }
+ * Relative chip URLs are resolved against the endpoint.
+ */
+const httpProvider = {
+  id: "http",
+  label: "HTTP endpoint",
+  async detect({ bounds, area, timeWindow, signal }) {
+    const endpoint = endpointInput.value.trim() || HTTP_PROVIDER_DEFAULT_ENDPOINT;
+
+    // Combine operator cancellation with a request timeout.
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+    const timer = setTimeout(() => {
+      controller.abort(new Error(`Detection endpoint timed out after ${HTTP_PROVIDER_TIMEOUT_MS / 1000}s.`));
+    }, HTTP_PROVIDER_TIMEOUT_MS);
+
+    try {
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Accept: "application/json" },
+          body: JSON.stringify({
+            bounds: {
+              south: bounds.getSouth(),
+              west: bounds.getWest(),
+              north: bounds.getNorth(),
+              east: bounds.getEast(),
+            },
+            geometry: areaToGeoJsonPolygon(area),
+            timeWindow,
+          }),
+          signal: controller.signal,
+        });
+      } catch (err) {
+        // fetch() rejects with the abort reason; keep that so callers can tell cancel from timeout.
+        if (controller.signal.aborted) throw controller.signal.reason;
+        throw new Error(`Detection endpoint unreachable (${endpoint}).`);
+      }
+
+      if (!response.ok) {
+        throw new Error(`Detection endpoint returned HTTP ${response.status}.`);
+      }
+
+      let payload;
+      try {
+        payload = await response.json();
+      } catch {
+        throw new Error("Detection endpoint returned invalid JSON.");
+      }
+      if (!payload || !Array.isArray(payload.detections)) {
+        throw new Error("Detection endpoint response is missing a detections array.");
+      }
+
+      return payload.detections.map((raw) =>
+        normalizeProviderDetection(raw, "Detection endpoint", (url) => new URL(url, endpoint).href)
+      );
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", onAbort);
+    }
+  },
+};
 
-  /*
-    Impact zone / spread assessment (demo-only placeholder)
-    -------------------------------------------------------
-    This is NOT a fire behavior model and does not predict real outcomes.
-    It exists to demonstrate how an operator-confirmed incident could trigger
-    downstream "impact assessment" modules in a government workflow.
+const FOLDER_MANIFEST_NAME = "detections.json";
 
-    Future integration points could include:
-    - Wind/terrain/fuel inputs from authoritative sources
-    - Physics-based fire spread modeling or ML-based forecasting
-    - Evacuation planning overlays and infrastructure impact analysis
-  */
-  const impact = generateImpactAssessment(currentDetection);
-  renderImpactAssessment(impact);
-  drawImpactZone(currentDetection.location, impact.radiusMeters);
-  lastImpactAssessment = impact;
+/** Files of the chosen detections folder, by path relative to it. @type {Map<string, File>} */
+const folderFiles = new Map();
+let folderName = "";
 
-  const incident = {
-    id: incidentId,
-    status: "Confirmed — Awaiting response",
-    location: currentDetection.location,
-    confidencePct: currentDetection.confidencePct,
-    detectedAtIso: currentDetection.detectedAtIso,
-    confirmedAtIso: currentDetection.confirmedAtIso,
-    operatorNote,
-    impact,
-    marker: detectionMarker,
-  };
+/**
+ * Object URLs for folder images, by path. Not revoked when another folder is chosen:
+ * detections from the earlier folder may still be under review.
+ * @type {Map<string, string>}
+ */
+const folderImageUrls = new Map();
 
-  // Update the marker appearance based on incident lifecycle status.
-  incident.marker.setIcon(makeIncidentIcon(incident.status));
-  incident.marker.options.title = incident.status;
+/**
+ * Local folder provider: reads detections.json and the images it references from a folder
+ * chosen in the panel, so evidence can be reviewed without a server. Nothing is uploaded.
+ * detections.json has the same shape as the HTTP provider's response; chip URLs are paths
+ * relative to the folder (http(s) and data: URLs are used as they are).
+ */
+const folderProvider = {
+  id: "folder",
+  label: "Local folder",
+  async detect({ signal }) {
+    const manifest = folderFiles.get(FOLDER_MANIFEST_NAME);
+    if (!manifest) {
+      throw new Error(
+        folderFiles.size > 0 ? `The chosen folder has no ${FOLDER_MANIFEST_NAME}.` : "Choose a detections folder first."
+      );
+    }
 
-  incidents.push(incident);
-  detectionMarker = null; // Draft marker is now owned by the incident.
+    let payload;
+    try {
+      payload = JSON.parse(await manifest.text());
+    } catch {
+      throw new Error(`${FOLDER_MANIFEST_NAME} is not valid JSON.`);
+    }
+    if (signal.aborted) throw signal.reason;
+    if (!payload || !Array.isArray(payload.detections)) {
+      throw new Error(`${FOLDER_MANIFEST_NAME} is missing a detections array.`);
+    }
 
-  // Focus the map + show controls for the newly confirmed incident.
-  focusedIncidentId = incident.id;
-  renderIncidentList();
-  setIncidentControls(incident);
-  focusIncidentOnMap(incident);
-}
+    return payload.detections.map((raw) => normalizeProviderDetection(raw, "Detections folder", folderImageUrl));
+  },
+};
 
-function rejectDetection() {
-  if (!currentDetection || currentDetection.state !== "unconfirmed") return;
+/**
+ * @param {string} path Relative to the chosen folder.
+ * @returns {string}
+ */
+function folderImageUrl(path) {
+  if (/^(https?:|data:)/i.test(path)) return path;
+  const key = path.replace(/^\.\//, "");
+  const file = folderFiles.get(key);
+  if (!file) throw new Error(`Detections folder has no image "${path}".`);
+  if (!folderImageUrls.has(key)) folderImageUrls.set(key, URL.createObjectURL(file));
+  return folderImageUrls.get(key);
+}
 
-  // Once the operator makes a decision, hide the action bar (normal flow resumes).
-  hideActionBar();
+function renderFolderSummary() {
+  if (folderFiles.size === 0) {
+    folderSummary.textContent = `No folder chosen. It needs a ${FOLDER_MANIFEST_NAME}; image paths in it are relative to the folder.`;
+    return;
+  }
+  const manifest = folderFiles.has(FOLDER_MANIFEST_NAME) ? `${FOLDER_MANIFEST_NAME} found` : `no ${FOLDER_MANIFEST_NAME}`;
+  folderSummary.textContent = `"${folderName}": ${folderFiles.size} file(s), ${manifest}.`;
+}
 
-  // Human rejection overrides AI output:
-  // - The AI suggested a detection
-  // - The operator can reject it as a false positive
-  currentDetection.state = "rejected";
+chooseFolderBtn.addEventListener("click", () => folderInput.click());
 
-  setStatus("rejected", "Detection rejected");
-  setInstruction("Detection rejected by operator. Marked as false positive. You may run detection again.");
+folderInput.addEventListener("change", () => {
+  const files = Array.from(folderInput.files || []);
+  folderInput.value = "";
+  if (files.length === 0) return;
 
-  detectionDispositionTag.textContent = "False positive";
-  detectionDispositionTag.className = "tag tag-false";
-  detectionCard.classList.add("rejected");
+  folderFiles.clear();
+  for (const file of files) {
+    // webkitRelativePath starts with the chosen folder's own name.
+    const [top, ...rest] = (file.webkitRelativePath || file.name).split("/");
+    folderName = rest.length > 0 ? top : "";
+    folderFiles.set(rest.length > 0 ? rest.join("/") : file.name, file);
+  }
+  renderFolderSummary();
+});
 
-  incidentDetails.hidden = true;
-  confirmFireBtn.disabled = true;
-  rejectDetectionBtn.disabled = true;
+/** @type {Record<string, {id:string, label:string, detect:Function}>} */
+const detectionProviders = {
+  [simulationProvider.id]: simulationProvider,
+  [httpProvider.id]: httpProvider,
+  [folderProvider.id]: folderProvider,
+};
 
-  clearDetectionOnMap();
-  clearImpactZone();
-  lastImpactAssessment = null;
-  // Allow the operator to run detection again without changing the selected bounds.
-  setControlsDisabled(false);
-}
+/**
+ * Validate one raw detection from an external provider.
+ * @param {any} raw
+ * @param {string} source Names the provider in error messages.
+ * @param {(url: string) => string} resolveImage Turns a chip URL from the provider into one the page can load.
+ * @returns {{location:L.LatLng, confidencePct:number, detectedAtIso:string, evidence:DetectionEvidence|null}}
+ */
+function normalizeProviderDetection(raw, source, resolveImage) {
+  const lat = Number(raw && raw.lat);
+  const lng = Number(raw && raw.lng);
+  const confidencePct = Number(raw && raw.confidencePct);
 
-// Action Bar is the primary operational interface for the "Detected" state.
-actionConfirmBtn.addEventListener("click", confirmDetection);
-actionRejectBtn.addEventListener("click", rejectDetection);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new Error(`${source} returned a detection with an invalid location.`);
+  }
+  if (!Number.isFinite(confidencePct) || confidencePct < 0 || confidencePct > 100) {
+    throw new Error(`${source} returned a detection with an invalid confidence.`);
+  }
 
-// Panel buttons remain in the DOM (accessibility / fallback), but are hidden/disabled in this MVP.
-confirmFireBtn.addEventListener("click", confirmDetection);
-rejectDetectionBtn.addEventListener("click", rejectDetection);
+  const detectedAt = raw.detectedAtIso ? new Date(raw.detectedAtIso) : new Date();
+  return {
+    location: L.latLng(lat, lng),
+    confidencePct: Math.round(confidencePct),
+    detectedAtIso: Number.isNaN(detectedAt.getTime()) ? new Date().toISOString() : detectedAt.toISOString(),
+    evidence: normalizeEvidence(raw.evidence, source, resolveImage),
+  };
+}
 
-runDetectionBtn.addEventListener("click", async () => {
-  if (!selectedBounds) {
-    setInstruction("Select an area on the map to begin detection.");
-    return;
+/**
+ * @param {any} raw
+ * @param {string} source
+ * @param {(url: string) => string} resolveImage
+ * @returns {DetectionEvidence | null}
+ */
+function normalizeEvidence(raw, source, resolveImage) {
+  if (raw === undefined || raw === null) return null;
+  const invalid = (what) => new Error(`${source} returned a detection with invalid evidence (${what}).`);
+  if (typeof raw !== "object") throw invalid("not an object");
+
+  const chips = raw.chips === undefined ? [] : raw.chips;
+  if (!Array.isArray(chips) || chips.some((chip) => !chip || typeof chip.url !== "string" || !chip.url.trim())) {
+    throw invalid("every chip needs a url");
   }
 
-  setControlsDisabled(true);
-  setStatus("busy", "Analyzing satellite imagery…");
-  setInstruction("Analysis in progress. Please wait.");
-  hideDetectionCard();
-  hideActionBar();
-  clearDetectionOnMap();
-  clearImpactZone();
+  let outline = null;
+  if (raw.outline !== undefined && raw.outline !== null) {
+    if (!Array.isArray(raw.outline) || raw.outline.length < 3) throw invalid("outline needs at least 3 points");
+    outline = raw.outline.map((point) => {
+      const pLat = Number(Array.isArray(point) ? point[0] : NaN);
+      const pLng = Number(Array.isArray(point) ? point[1] : NaN);
+      if (!Number.isFinite(pLat) || !Number.isFinite(pLng) || Math.abs(pLat) > 90 || Math.abs(pLng) > 180) {
+        throw invalid("outline points must be [lat, lng]");
+      }
+      return L.latLng(pLat, pLng);
+    });
+  }
 
-  // Demo-only delay: 2–3 seconds.
-  const delayMs = 2000 + Math.floor(Math.random() * 1000);
-  await sleep(delayMs);
+  const acquiredAt = raw.acquiredAtIso ? new Date(raw.acquiredAtIso) : null;
+  if (acquiredAt && Number.isNaN(acquiredAt.getTime())) throw invalid("acquiredAtIso");
 
-  /*
-    Where real AI analysis would integrate (future):
-    - Fetch/ingest recent satellite imagery for the selected bounds + time window
-    - Run an ML model / rules engine to detect hotspots/smoke signatures
-    - Return geolocated detections (points/polygons), confidence, and evidence thumbnails
-    - Surface those detections for human confirmation workflows
+  return {
+    chips: chips.map((chip, i) => ({
+      label: typeof chip.label === "string" && chip.label.trim() ? chip.label.trim() : `Image ${i + 1}`,
+      url: resolveImage(chip.url.trim()),
+    })),
+    outline,
+    sensor: typeof raw.sensor === "string" && raw.sensor.trim() ? raw.sensor.trim() : null,
+    acquiredAtIso: acquiredAt ? acquiredAt.toISOString() : null,
+  };
+}
 
-    This MVP simulates the output client-side only.
-  */
+function getActiveProvider() {
+  return detectionProviders[providerSelect.value] || simulationProvider;
+}
 
-  const confidencePct = 82 + Math.floor(Math.random() * 11); // 82–92%
-  const now = new Date();
-  const when = now.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
-  const location = randomPointInBounds(selectedBounds);
-
-  currentDetection = {
-    id: `det_${now.getTime()}`,
-    bounds: selectedBounds,
-    location,
-    confidencePct,
-    detectedAtIso: now.toISOString(),
-    state: "unconfirmed",
-  };
+/**
+ * @returns {{startIso:string, endIso:string}}
+ */
+function getTimeWindow() {
+  const hours = Number(timeWindowSelect.value) || 24;
+  const end = new Date();
+  const start = new Date(end.getTime() - hours * 60 * 60 * 1000);
+  return { startIso: start.toISOString(), endIso: end.toISOString() };
+}
 
-  setStatus("alert", "Fire detected");
-  setInstruction(
-    "Potential wildfire detected by AI. Human confirmation is required before this becomes a confirmed incident."
-  );
-  showDetectionResult({ confidencePct, when, location });
-  setControlsDisabled(false);
-});
+function updateProviderUI() {
+  endpointField.hidden = providerSelect.value !== httpProvider.id;
+  folderField.hidden = providerSelect.value !== folderProvider.id;
+}
 
-// Initialize UI.
-setStatus("idle", "Idle");
-updateSelectionUI();
-setInstruction("Select an area on the map to begin detection.");
-hideDetectionCard();
-renderIncidentList();
-setIncidentControls(null);
+// Allow pointing a session at a different provider without editing code.
+(function applyProviderQueryParams() {
+  const params = new URLSearchParams(window.location.search);
+  const provider = params.get("provider");
+  if (provider && detectionProviders[provider]) providerSelect.value = provider;
+  endpointInput.value = params.get("endpoint") || HTTP_PROVIDER_DEFAULT_ENDPOINT;
+  updateProviderUI();
+})();
 
-// ===== Active incidents UI (minimal list + lifecycle control) =================
+providerSelect.addEventListener("change", updateProviderUI);
 
-function shortIncidentLabel(id) {
-  // Keep it compact and readable (no dashboards).
-  const tail = String(id).slice(-6);
-  return `INC-${tail}`;
+/**
+ * @param {boolean} active
+ * @param {TriageLevel} [triage] Colors the marker by triage priority.
+ */
+function makeFireIcon(active, triage) {
+  // Use a simple emoji marker for a friendly demo effect.
+  // Production would likely use a standardized icon set + severity coding.
+  const triageClass = triage ? ` ${TRIAGE_LEVELS[triage].className}` : "";
+  return L.divIcon({
+    className: "fire-marker-wrap",
+    html: `<div class="fire-marker detected${triageClass}${active ? " active" : ""}" title="Detected (awaiting operator confirmation)">🔥</div>`,
+    iconSize: [34, 34],
+    iconAnchor: [17, 17],
+  });
 }
 
-function statusToBadgeClass(status) {
-  if (status === "Confirmed — Awaiting response") return "awaiting";
-  if (status === "Confirmed — Response dispatched") return "dispatched";
-  return "resolved";
-}
+function makeIncidentIcon(status) {
+  const cls = statusToBadgeClass(status);
 
-function focusIncidentOnMap(incident) {
-  // Focus view only; avoid permanent labels/popups to keep the map uncluttered.
-  map.flyTo(incident.location, Math.max(map.getZoom(), 10), { duration: 0.6 });
+  return L.divIcon({
+    className: "fire-marker-wrap",
+    html: `<div class="fire-marker ${cls}" title="${status}">🔥</div>`,
+    iconSize: [34, 34],
+    iconAnchor: [17, 17],
+  });
+}
 
-  // To avoid map clutter, only show an impact zone for the currently focused incident.
-  clearImpactZone();
-  if (incident.impact) drawImpactZone(incident.location, incident.impact.radiusMeters);
+function formatDetectionTime(iso) {
+  return new Date(iso).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
 }
 
-function setIncidentControls(incident) {
-  if (!incident) {
-    incidentControls.hidden = true;
-    incidentFocusLabel.textContent = "—";
-    incidentStatusSelect.value = "Confirmed — Awaiting response";
-    exportIncidentBtn.disabled = true;
+/**
+ * Render the detection card (and action bar) for one detection in the review queue.
+ * @param {typeof reviewQueue[number]} detection
+ */
+function showDetectionResult(detection) {
+  detectionConfidence.textContent = `${detection.confidencePct}%`;
+  detectionTime.textContent = formatDetectionTime(detection.detectedAtIso);
+  renderEvidence(detection.evidence);
+  detectionCard.hidden = false;
+  panelDecisionActions.hidden = true;
+  confirmFireBtn.disabled = true;
+  rejectDetectionBtn.disabled = true;
+  detectionCard.classList.remove("confirmed", "rejected");
+  impactAssessment.hidden = true;
+  incidentDetails.hidden = true;
+
+  if (detection.state === "confirmed") {
+    detectionDispositionTag.textContent = "Confirmed";
+    detectionDispositionTag.className = "tag tag-confirmed";
+    detectionCard.classList.add("confirmed");
+    incidentDetails.hidden = false;
+    const incident = incidents.find((i) => i.id === detection.id);
+    if (incident) detectionConfirmedBy.textContent = describeConfirmation(incident);
+    if (incident && incident.impact) renderImpactAssessment(incident.impact);
+    hideActionBar();
     return;
   }
 
-  incidentControls.hidden = false;
-  incidentFocusLabel.textContent = `${shortIncidentLabel(incident.id)} • ${formatLatLng(incident.location)}`;
-  incidentStatusSelect.value = incident.status;
-  exportIncidentBtn.disabled = !incident.impact;
-}
+  if (detection.state === "rejected") {
+    detectionDispositionTag.textContent = "False positive";
+    detectionDispositionTag.className = "tag tag-false";
+    detectionCard.classList.add("rejected");
+    hideActionBar();
+    return;
+  }
 
-function renderIncidentList() {
-  if (incidents.length === 0) {
-    incidentEmpty.hidden = false;
-    incidentList.hidden = true;
-    incidentList.innerHTML = "";
+  if (detection.state === "merged") {
+    detectionDispositionTag.textContent = `Merged into ${shortIncidentLabel(detection.mergedIntoId)}`;
+    detectionDispositionTag.className = "tag tag-human";
+    hideActionBar();
     return;
   }
 
-  incidentEmpty.hidden = true;
-  incidentList.hidden = false;
-  incidentList.innerHTML = "";
+  detectionDispositionTag.textContent =
+    detection.state === "pending_verification" ? "Pending verification" : "Detected";
+  detectionDispositionTag.className = "tag tag-warning";
 
-  // Newest first for quick operator scanning.
-  const items = [...incidents].reverse();
-  for (const incident of items) {
-    const li = document.createElement("li");
+  // Show the no-scroll action bar while this detection awaits a decision.
+  showActionBar(detection);
+}
+
+/*
+  Evidence panel
+  --------------
+  The detection card shows the provider's image chips (one large, the rest as
+  buttons to switch), the sensor and acquisition time, and the hotspot outline
+  size. The outline itself is drawn on the map while the detection is under
+  review, i.e. while the action bar is up for it.
+*/
+
+const EVIDENCE_PLACEHOLDER_SRC = evidenceImg.getAttribute("src");
+const EVIDENCE_PLACEHOLDER_ALT = evidenceImg.alt;
+
+const evidenceOutlineStyle = {
+  color: "#f87171",
+  weight: 2,
+  opacity: 0.95,
+  fillColor: "#f87171",
+  fillOpacity: 0.18,
+  dashArray: "4 4",
+};
+
+/** Outline of the detection under review. @type {L.Polygon | null} */
+let evidenceOutlineLayer = null;
+
+/** @param {DetectionEvidence | null} evidence */
+function renderEvidence(evidence) {
+  const chips = evidence ? evidence.chips : [];
+  evidenceChips.innerHTML = "";
+  evidenceChips.hidden = chips.length < 2;
+
+  const show = (chip) => {
+    evidenceImg.src = chip.url;
+    evidenceImg.alt = `Evidence: ${chip.label}`;
+    for (const btn of evidenceChips.children) btn.setAttribute("aria-pressed", String(btn.dataset.url === chip.url));
+  };
 
+  for (const chip of chips) {
     const btn = document.createElement("button");
     btn.type = "button";
-    btn.className = "incident-row";
-    btn.setAttribute("aria-label", `Focus ${shortIncidentLabel(incident.id)}`);
-    btn.dataset.incidentId = incident.id;
-
-    const idSpan = document.createElement("span");
-    idSpan.className = "incident-id";
-    idSpan.textContent = shortIncidentLabel(incident.id);
+    btn.className = "evidence-chip";
+    btn.dataset.url = chip.url;
+    const thumb = document.createElement("img");
+    thumb.src = chip.url;
+    thumb.alt = "";
+    btn.appendChild(thumb);
+    btn.append(chip.label);
+    btn.addEventListener("click", () => show(chip));
+    evidenceChips.appendChild(btn);
+  }
 
-    const badge = document.createElement("span");
-    badge.className = `status-badge ${statusToBadgeClass(incident.status)}`;
-    badge.textContent = incident.status;
+  if (chips.length > 0) {
+    show(chips[0]);
+  } else {
+    evidenceImg.src = EVIDENCE_PLACEHOLDER_SRC;
+    evidenceImg.alt = EVIDENCE_PLACEHOLDER_ALT;
+  }
 
-    btn.appendChild(idSpan);
-    btn.appendChild(badge);
+  if (!evidence) {
+    evidenceMeta.textContent = "No evidence supplied for this detection.";
+    return;
+  }
+  evidenceMeta.textContent = [
+    evidence.sensor || "Sensor not reported",
+    evidence.acquiredAtIso ? `acquired ${formatDetectionTime(evidence.acquiredAtIso)}` : "acquisition time not reported",
+    evidence.outline ? `hotspot outline ~${(ringAreaKm2(evidence.outline) * 100).toFixed(1)} ha` : "no outline",
+  ].join(" • ");
+}
 
-    btn.addEventListener("click", () => {
-      focusedIncidentId = incident.id;
-      setIncidentControls(incident);
-      focusIncidentOnMap(incident);
-      exportIncidentBtn.disabled = !incident.impact;
-      setStatus("confirmed", incident.status);
-      setInstruction("Focused incident. Lifecycle status is operator-managed and distinct from AI detection output.");
-    });
+/** @param {typeof reviewQueue[number]} detection */
+function showEvidenceOutline(detection) {
+  clearEvidenceOutline();
+  if (!detection.evidence || !detection.evidence.outline) return;
+  evidenceOutlineLayer = L.polygon(detection.evidence.outline, evidenceOutlineStyle)
+    .bindTooltip("Hotspot outline (AI evidence)", { sticky: true, direction: "top" })
+    .addTo(map);
+}
 
-    li.appendChild(btn);
-    incidentList.appendChild(li);
+function clearEvidenceOutline() {
+  if (evidenceOutlineLayer) {
+    map.removeLayer(evidenceOutlineLayer);
+    evidenceOutlineLayer = null;
   }
 }
 
-incidentStatusSelect.addEventListener("change", () => {
-  const incident = incidents.find((i) => i.id === focusedIncidentId);
-  if (!incident) return;
+// ===== Review queue ==========================================================
 
-  /** @type {"Confirmed — Awaiting response" | "Confirmed — Response dispatched" | "Resolved"} */
-  const nextStatus = incidentStatusSelect.value;
-  incident.status = nextStatus;
+function reviewStateLabel(detection) {
+  if (detection.state === "confirmed") return "Confirmed";
+  if (detection.state === "rejected") return "False positive";
+  if (detection.state === "merged") return `Merged into ${shortIncidentLabel(detection.mergedIntoId)}`;
+  if (detection.state === "pending_verification") return "Pending verification";
+  return findDuplicateIncident(detection) ? "Likely duplicate" : "Awaiting review";
+}
 
-  // Update marker appearance based on lifecycle status.
-  incident.marker.setIcon(makeIncidentIcon(incident.status));
+function reviewStateBadgeClass(detection) {
+  if (detection.state === "confirmed") return "awaiting";
+  if (detection.state === "rejected") return "rejected";
+  if (detection.state === "merged") return "merged";
+  if (detection.state === "pending_verification") return "pending";
+  return "detected";
+}
 
-  // Keep the top status label in sync when the focused incident is updated.
-  setStatus("confirmed", incident.status);
-  setInstruction(
-    "Lifecycle status updated by operator. This models incident lifecycle state (not an automated AI action)."
-  );
+/** Unconfirmed, or confirmed once and waiting for the second operator. */
+function isAwaitingDecision(detection) {
+  return detection.state === "unconfirmed" || detection.state === "pending_verification";
+}
 
-  renderIncidentList();
-});
+function countPendingReviews() {
+  return reviewQueue.filter(isAwaitingDecision).length;
+}
 
-// ===== Incident report export (demo-only, client-side) =======================
+/*
+  Duplicate detections
+  --------------------
+  Runs are independent, so the same hotspot shows up again on every scan. A new
+  detection is flagged as a likely duplicate when an open incident lies within
+  DUPLICATE_RADIUS_METERS and was confirmed or last re-detected within
+  DUPLICATE_WINDOW_HOURS of it. The operator still decides: "Merge into INC-…"
+  sits next to Confirm and Reject. A merged detection is attached to the
+  incident (mergedDetections + audit trail) and creates no incident or marker.
+*/
+
+const DUPLICATE_RADIUS_METERS = 1000;
+const DUPLICATE_WINDOW_HOURS = 24;
 
 /**
- * Export as JSON (most reliable without libraries / backends).
- * If you later want a printable PDF, you can add a client-side PDF library — but JSON
- * is a better default for demos because it is deterministic and machine-readable.
+ * @typedef {{
+ *   detectionId: string,
+ *   location: {lat: number, lng: number},
+ *   confidencePct: number,
+ *   detectedAtIso: string,
+ *   triage: TriageLevel,
+ *   policyVersion: number,
+ *   mergedAtIso: string,
+ *   operator: string,
+ *   distanceMeters: number
+ * }} MergedDetection
+ */
+
+/**
+ * Latest time the incident was seen: its confirmation or its newest merged detection.
+ * @param {typeof incidents[number]} incident
+ */
+function incidentLastSeenMs(incident) {
+  return Math.max(
+    Date.parse(incident.confirmedAtIso),
+    ...incident.mergedDetections.map((m) => Date.parse(m.detectedAtIso))
+  );
+}
+
+/**
+ * Closest open incident matching the detection in space and time, if any.
+ * @param {typeof reviewQueue[number]} detection
+ * @returns {{incident: typeof incidents[number], distanceMeters: number} | null}
+ */
+function findDuplicateIncident(detection) {
+  const detectedMs = Date.parse(detection.detectedAtIso);
+  const windowMs = DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000;
+  let best = null;
+
+  for (const incident of incidents) {
+    if (!isOpenIncident(incident)) continue;
+    if (Math.abs(detectedMs - incidentLastSeenMs(incident)) > windowMs) continue;
+    const distanceMeters = incident.location.distanceTo(detection.location);
+    if (distanceMeters > DUPLICATE_RADIUS_METERS) continue;
+    if (!best || distanceMeters < best.distanceMeters) best = { incident, distanceMeters };
+  }
+  return best;
+}
+
+/**
+ * Add a completed run's detections to the queue. Each detection gets its own draft marker.
+ * Undecided detections from earlier runs stay queued; already-decided ones are dropped.
+ * @param {Array<{location:L.LatLng, confidencePct:number, detectedAtIso:string}>} detections
+ * @param {L.LatLngBounds} bounds
+ * @param {string} providerId
+ * @param {{id:string, name:string}|null} [aoi] Set when the run was a scheduled AOI scan.
+ * @returns {number} Queue index of the first added detection.
+ */
+function addToReviewQueue(detections, bounds, providerId, aoi = null) {
+  pruneReviewedDetections();
+
+  // Highest confidence first so operators review the strongest signals first.
+  const sorted = [...detections].sort((a, b) => b.confidencePct - a.confidencePct);
+  const base = Date.now();
+  const policy = currentTriagePolicy();
+  const added = sorted.map((d, i) => ({
+    // Tab prefix: team sync shares these IDs, and two operators can scan in the same millisecond.
+    id: `det_${syncClientId}_${base + i}`,
+    bounds,
+    location: d.location,
+    confidencePct: d.confidencePct,
+    detectedAtIso: d.detectedAtIso,
+    evidence: d.evidence || null,
+    triage: triageLevel(d.confidencePct, policy),
+    policyVersion: policy.version,
+    policyId: policy.id,
+    state: "unconfirmed",
+    aoi,
+    marker: null,
+  }));
+  const firstIndex = reviewQueue.length;
+  reviewQueue.push(...added);
+
+  for (const detection of added) {
+    addDraftMarker(detection);
+    recordAuditEvent({
+      type: "detection_created",
+      actor: "ai",
+      subjectId: detection.id,
+      after: {
+        state: detection.state,
+        confidencePct: detection.confidencePct,
+        location: serializeLatLng(detection.location),
+        detectedAtIso: detection.detectedAtIso,
+        provider: providerId,
+        aoi: aoi ? aoi.name : null,
+        triage: detection.triage,
+        policyVersion: detection.policyVersion,
+      },
+    });
+  }
+
+  return firstIndex;
+}
+
+/** @param {typeof reviewQueue[number]} detection */
+function addDraftMarker(detection) {
+  detection.marker = L.marker(detection.location, {
+    icon: makeFireIcon(false, detection.triage),
+    keyboard: false,
+    title: detection.aoi
+      ? `Potential wildfire detected in ${detection.aoi.name} (unconfirmed)`
+      : "Potential wildfire detected (unconfirmed)",
+  }).addTo(map);
+  detection.marker.on("click", () => setActiveDetection(reviewQueue.indexOf(detection)));
+}
+
+/** Drop decided detections (their markers are already gone or owned by incidents). Pending verifications stay. */
+function pruneReviewedDetections() {
+  const active = getActiveDetection();
+  reviewQueue = reviewQueue.filter(isAwaitingDecision);
+  activeReviewIndex = active ? reviewQueue.indexOf(active) : -1;
+}
+
+function clearReviewQueue() {
+  clearDetectionOnMap();
+  reviewQueue = [];
+  activeReviewIndex = -1;
+  hideActionBar();
+  renderReviewQueue();
+}
+
+/**
+ * Make one queue item the active detection (action bar, hotkeys and card follow it).
+ * @param {number} index
+ */
+function setActiveDetection(index) {
+  if (index < 0 || index >= reviewQueue.length) return;
+  activeReviewIndex = index;
+
+  for (const [i, detection] of reviewQueue.entries()) {
+    if (detection.marker && isAwaitingDecision(detection)) {
+      detection.marker.setIcon(makeFireIcon(i === index, detection.triage));
+    }
+  }
+
+  const detection = reviewQueue[index];
+  if (!map.getBounds().contains(detection.location)) map.panTo(detection.location);
+
+  showDetectionResult(detection);
+  renderReviewQueue();
+}
+
+/**
+ * Move through the queue (wraps around).
+ * @param {number} delta +1 for next, -1 for previous
+ */
+function stepReviewQueue(delta) {
+  if (reviewQueue.length === 0) return;
+  const n = reviewQueue.length;
+  setActiveDetection((activeReviewIndex + delta + n) % n);
+}
+
+/** After a decision, continue with the next undecided detection (if any). */
+function advanceToNextPending() {
+  const n = reviewQueue.length;
+  for (let step = 1; step <= n; step++) {
+    const i = (activeReviewIndex + step) % n;
+    if (isAwaitingDecision(reviewQueue[i])) {
+      setActiveDetection(i);
+      setStatus("alert", `${countPendingReviews()} awaiting review`);
+      setInstruction(
+        "Decision recorded. Next AI detection shown; human confirmation is required before it becomes an incident."
+      );
+      return true;
+    }
+  }
+  return false;
+}
+
+function renderReviewQueue() {
+  if (reviewQueue.length === 0) {
+    reviewQueueCard.hidden = true;
+    reviewQueueList.innerHTML = "";
+    reviewQueueSummary.textContent = "—";
+    return;
+  }
+
+  reviewQueueCard.hidden = false;
+  const pending = countPendingReviews();
+  reviewQueueSummary.textContent =
+    `Reviewing ${activeReviewIndex + 1} of ${reviewQueue.length} • ` +
+    (pending === 0 ? "all reviewed" : `${pending} awaiting review`);
+  reviewPrevBtn.disabled = reviewQueue.length < 2;
+  reviewNextBtn.disabled = reviewQueue.length < 2;
+
+  reviewQueueList.innerHTML = "";
+  for (const [i, detection] of reviewQueue.entries()) {
+    const li = document.createElement("li");
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = `incident-row review-row${i === activeReviewIndex ? " active" : ""}`;
+    btn.setAttribute("aria-label", `Review detection ${i + 1}`);
+    if (i === activeReviewIndex) btn.setAttribute("aria-current", "true");
+
+    const label = document.createElement("span");
+    label.className = "incident-id";
+    label.textContent = [
+      `#${i + 1}`,
+      `${detection.confidencePct}%`,
+      TRIAGE_LEVELS[detection.triage].label,
+      detection.aoi ? detection.aoi.name : "",
+    ]
+      .filter(Boolean)
+      .join(" • ");
+
+    const badge = document.createElement("span");
+    badge.className = `status-badge ${reviewStateBadgeClass(detection)}`;
+    badge.textContent = reviewStateLabel(detection);
+
+    btn.appendChild(label);
+    btn.appendChild(badge);
+    btn.addEventListener("click", () => setActiveDetection(i));
+
+    li.appendChild(btn);
+    reviewQueueList.appendChild(li);
+  }
+}
+
+reviewPrevBtn.addEventListener("click", () => stepReviewQueue(-1));
+reviewNextBtn.addEventListener("click", () => stepReviewQueue(1));
+actionNextBtn.addEventListener("click", () => stepReviewQueue(1));
+
+// Leaflet sizing: when using a fixed-height layout, ensure the map recalculates size.
+requestAnimationFrame(() => map.invalidateSize());
+window.addEventListener("resize", () => map.invalidateSize());
+
+/*
+  Human-in-the-loop confirmation
+  ------------------------------
+  For government-facing workflows, automated AI output must not be treated as a confirmed incident.
+  A trained operator reviews evidence and explicitly confirms/rejects the detection.
+  This provides accountability, reduces false alarms, and supports auditability.
+
+  Two-person confirmation (optional, part of the triage policy): for high-priority
+  or High-risk detections the first confirmation only moves the detection to
+  "Pending verification". A different operator ID must then approve or reject
+  it; only approval creates the incident. Both identities are kept on it.
+*/
+
+/**
+ * Whether this detection needs a second operator: under the current policy, or
+ * the one it was triaged under (e.g. in a browser the newer policy has not reached).
+ * @param {typeof reviewQueue[number]} detection
+ * @param {ImpactAssessment} impact Assessment from the current fire conditions.
+ */
+function requiresVerification(detection, impact) {
+  const policies = [currentTriagePolicy(), triagePolicyOf(detection)];
+  if (!policies.some((policy) => policy && policy.twoPersonConfirmation)) return false;
+  return detection.triage === "high_priority" || impact.risk === "High";
+}
+
+/**
+ * Why the current operator may not verify (or reject) a pending detection, or null.
+ * @param {typeof reviewQueue[number]} detection
+ */
+function verificationRefusal(detection) {
+  const operator = getOperatorId();
+  if (operator === detection.firstConfirmation.operator) {
+    return `${operator} made the first confirmation. A different operator must verify or reject it.`;
+  }
+  return null;
+}
+
+/**
+ * @param {typeof reviewQueue[number]} detection
+ * @param {ImpactAssessment} impact Kept so the approval creates the incident the first operator confirmed.
+ */
+function requestVerification(detection, impact) {
+  detection.state = "pending_verification";
+  detection.firstConfirmation = { operator: getOperatorId(), atIso: new Date().toISOString(), impact };
+  recordAuditEvent({
+    type: "verification_requested",
+    subjectId: detection.id,
+    before: { state: "unconfirmed" },
+    after: { state: "pending_verification" },
+  });
+
+  setStatus("alert", "Pending verification");
+  setInstruction(
+    `Confirmed by ${detection.firstConfirmation.operator}. A second operator must verify it (sign in as them, then Approve) before it becomes an incident.`
+  );
+  showDetectionResult(detection);
+  renderReviewQueue();
+}
+
+function confirmDetection() {
+  const detection = getActiveDetection();
+  if (!detection || !isAwaitingDecision(detection)) return;
+  if (!requirePermission("decide_detection")) return;
+
+  // An approval keeps the first confirmer's assessment (entries saved before it was kept have none).
+  let impact = detection.state === "pending_verification" ? detection.firstConfirmation.impact : undefined;
+  if (!impact) {
+    // The impact model needs valid fire conditions; stop before anything is recorded.
+    const conditions = readConditionsForm();
+    showConditionsErrors(conditions.errors);
+    if (!conditions.inputs) {
+      setStatus("error", "Fire conditions invalid");
+      setInstruction("Fix the fire conditions before confirming; they drive the impact assessment.");
+      return;
+    }
+    impact = generateImpactAssessment(conditions.inputs);
+  }
+
+  if (detection.state === "unconfirmed" && requiresVerification(detection, impact)) {
+    requestVerification(detection, impact);
+    return;
+  }
+  if (detection.state === "pending_verification") {
+    const refusal = verificationRefusal(detection);
+    if (refusal) {
+      setStatus("error", "Verification refused");
+      setInstruction(refusal);
+      return;
+    }
+  }
+
+  // Once the operator makes a decision, hide the action bar (normal flow resumes).
+  hideActionBar();
+
+  // Human confirmation overrides AI output:
+  // - The AI suggested a detection
+  // - The operator makes the final decision to treat it as an active incident
+  const verified = detection.state === "pending_verification";
+  const confirmedBy = verified ? detection.firstConfirmation.operator : getOperatorId();
+  const nowIso = new Date().toISOString();
+  const previousState = detection.state;
+  detection.state = "confirmed";
+  detection.confirmedAtIso = verified ? detection.firstConfirmation.atIso : nowIso;
+  recordAuditEvent({
+    type: "detection_confirmed",
+    subjectId: detection.id,
+    before: { state: previousState },
+    after: {
+      state: "confirmed",
+      lifecycleStatus: "Confirmed — Awaiting response",
+      confirmedBy,
+      verifiedBy: verified ? getOperatorId() : null,
+    },
+  });
+
+  // Create a persistent incident record (client-side demo).
+  const incidentId = detection.id;
+  const operatorNote = verified ? `Confirmed by ${confirmedBy}, verified by ${getOperatorId()}` : "Confirmed by operator";
+
+  setStatus("confirmed", "Confirmed — Awaiting response");
+  setInstruction(`${operatorNote}. Incident status: Confirmed — Awaiting response.`);
+
+  detectionDispositionTag.textContent = "Confirmed";
+  detectionDispositionTag.className = "tag tag-confirmed";
+  detectionCard.classList.add("confirmed");
+
+  incidentDetails.hidden = false;
+  detectionConfirmedBy.textContent = verified ? operatorNote : `Confirmed by ${confirmedBy}`;
+  confirmFireBtn.disabled = true;
+  rejectDetectionBtn.disabled = true;
+
+  // Convert the detection's draft marker into a persistent incident marker.
+  if (!detection.marker) return;
+
+  /*
+    Impact zone / spread assessment
+    -------------------------------
+    A rule-based estimate from the operator's fire conditions (see the impact
+    model section). It is NOT a fire behavior model and does not predict real
+    outcomes. The inputs are copied into the incident so the zone can be
+    explained and redrawn later, even after the form changes.
+
+    Future integration points could include:
+    - Wind/terrain/fuel inputs from authoritative sources
+    - Physics-based fire spread modeling or ML-based forecasting
+  */
+  renderImpactAssessment(impact);
+  lastImpactAssessment = impact;
+
+  const incident = {
+    id: incidentId,
+    status: INITIAL_LIFECYCLE_STATUS,
+    statusHistory: [
+      {
+        from: null,
+        to: INITIAL_LIFECYCLE_STATUS,
+        atIso: nowIso,
+        operator: getOperatorId(),
+        reason: operatorNote,
+      },
+    ],
+    location: detection.location,
+    confidencePct: detection.confidencePct,
+    detectedAtIso: detection.detectedAtIso,
+    confirmedAtIso: detection.confirmedAtIso,
+    confirmedBy,
+    verifiedBy: verified ? getOperatorId() : null,
+    verifiedAtIso: verified ? nowIso : null,
+    operatorNote,
+    impact,
+    aoi: detection.aoi,
+    triage: detection.triage,
+    policyVersion: detection.policyVersion,
+    policyId: detection.policyId || null,
+    name: "",
+    assignedUnit: "",
+    // High-priority triage carries over; the operator can change it in the incident details.
+    priority: detection.triage === "high_priority" ? "High" : DEFAULT_INCIDENT_PRIORITY,
+    notes: [],
+    attachments: [],
+    mergedDetections: [],
+    lastAlert: null,
+    sync: null,
+    marker: detection.marker,
+  };
+
+  // Update the marker appearance based on incident lifecycle status.
+  incident.marker.off("click");
+  incident.marker.setIcon(makeIncidentIcon(incident.status));
+  incident.marker.options.title = incident.status;
+
+  incidents.push(incident);
+  detection.marker = null; // Draft marker is now owned by the incident.
+  renderExposure(impactExposure, incident);
+  issueIncidentAlert(incident);
+  saveState();
+  renderReviewQueue();
+
+  focusedIncidentId = incident.id;
+  renderIncidentList();
+  setIncidentControls(incident);
+
+  // More detections pending: keep triaging; the new incident is already in the list.
+  if (advanceToNextPending()) return;
+
+  // Focus the map on the newly confirmed incident.
+  focusIncidentOnMap(incident);
+}
+
+function rejectDetection() {
+  const detection = getActiveDetection();
+  if (!detection || !isAwaitingDecision(detection)) return;
+  if (!requirePermission("decide_detection")) return;
+
+  // A pending verification is settled by the second operator, either way.
+  if (detection.state === "pending_verification") {
+    const refusal = verificationRefusal(detection);
+    if (refusal) {
+      setStatus("error", "Rejection refused");
+      setInstruction(refusal);
+      return;
+    }
+  }
+
+  // Once the operator makes a decision, hide the action bar (normal flow resumes).
+  hideActionBar();
+
+  // Human rejection overrides AI output:
+  // - The AI suggested a detection
+  // - The operator can reject it as a false positive
+  const previousState = detection.state;
+  detection.state = "rejected";
+  detection.rejectedAtIso = new Date().toISOString();
+  rejectedDetections.push({
+    id: detection.id,
+    location: detection.location,
+    confidencePct: detection.confidencePct,
+    detectedAtIso: detection.detectedAtIso,
+    rejectedAtIso: detection.rejectedAtIso,
+    triage: detection.triage,
+    policyVersion: detection.policyVersion,
+  });
+  recordAuditEvent({
+    type: "detection_rejected",
+    subjectId: detection.id,
+    before: { state: previousState },
+    after: { state: "rejected" },
+  });
+
+  setStatus("rejected", "Detection rejected");
+  setInstruction("Detection rejected by operator. Marked as false positive. You may run detection again.");
+
+  detectionDispositionTag.textContent = "False positive";
+  detectionDispositionTag.className = "tag tag-false";
+  detectionCard.classList.add("rejected");
+
+  incidentDetails.hidden = true;
+  confirmFireBtn.disabled = true;
+  rejectDetectionBtn.disabled = true;
+
+  if (detection.marker) {
+    map.removeLayer(detection.marker);
+    detection.marker = null;
+  }
+  renderReviewQueue();
+
+  advanceToNextPending();
+}
+
+function mergeDetection() {
+  const detection = getActiveDetection();
+  if (!detection || detection.state !== "unconfirmed") return;
+  if (!requirePermission("decide_detection")) return;
+
+  // Re-check at decision time: the incident may have closed since the bar was shown.
+  const match = findDuplicateIncident(detection);
+  if (!match) {
+    setStatus("error", "Nothing to merge into");
+    setInstruction("No open incident matches this detection any more. Confirm or reject it instead.");
+    showActionBar(detection);
+    return;
+  }
+  const { incident, distanceMeters } = match;
+
+  hideActionBar();
+
+  detection.state = "merged";
+  detection.mergedIntoId = incident.id;
+
+  /** @type {MergedDetection} */
+  const merged = {
+    detectionId: detection.id,
+    location: serializeLatLng(detection.location),
+    confidencePct: detection.confidencePct,
+    detectedAtIso: detection.detectedAtIso,
+    triage: detection.triage,
+    policyVersion: detection.policyVersion,
+    mergedAtIso: new Date().toISOString(),
+    operator: getOperatorId(),
+    distanceMeters: Math.round(distanceMeters),
+  };
+  incident.mergedDetections.push(merged);
+  recordAuditEvent({
+    type: "detection_merged",
+    subjectId: incident.id,
+    after: { detectionId: detection.id, confidencePct: detection.confidencePct, distanceMeters: merged.distanceMeters },
+  });
+
+  setStatus("confirmed", `Merged into ${shortIncidentLabel(incident.id)}`);
+  setInstruction(
+    `Detection merged into ${shortIncidentLabel(incident.id)} as a repeat observation. No new incident was created.`
+  );
+
+  detectionDispositionTag.textContent = `Merged into ${shortIncidentLabel(incident.id)}`;
+  detectionDispositionTag.className = "tag tag-human";
+
+  // The incident already has a marker; the draft marker goes.
+  if (detection.marker) {
+    map.removeLayer(detection.marker);
+    detection.marker = null;
+  }
+  renderReviewQueue();
+  renderIncidentList();
+  if (focusedIncidentId === incident.id) renderMergedDetections(incident);
+
+  advanceToNextPending();
+}
+
+// Action Bar is the primary operational interface for the "Detected" state.
+actionConfirmBtn.addEventListener("click", confirmDetection);
+actionRejectBtn.addEventListener("click", rejectDetection);
+actionMergeBtn.addEventListener("click", mergeDetection);
+
+// Panel buttons remain in the DOM (accessibility / fallback), but are hidden/disabled in this MVP.
+confirmFireBtn.addEventListener("click", confirmDetection);
+rejectDetectionBtn.addEventListener("click", rejectDetection);
+
+/** Abort reason used when the operator presses Cancel (distinguishes it from timeouts). */
+const DETECTION_CANCELLED = new Error("Detection cancelled by operator.");
+
+/** @type {AbortController|null} */
+let activeDetectionRun = null;
+
+runDetectionBtn.addEventListener("click", async () => {
+  if (!selectedArea) {
+    setInstruction("Select an area on the map to begin detection.");
+    return;
+  }
+  if (activeDetectionRun) return;
+  if (!requirePermission("run_detection")) return;
+
+  const provider = getActiveProvider();
+  const area = selectedArea;
+  const bounds = area.bounds;
+  const run = new AbortController();
+  activeDetectionRun = run;
+
+  setControlsDisabled(true);
+  cancelDetectionBtn.hidden = false;
+  setStatus("busy", "Analyzing satellite imagery…");
+  setInstruction(`Analysis in progress (${provider.label}). Please wait.`);
+  clearImpactZone();
+  // Undecided detections (e.g. from scheduled scans) stay reviewable during the run.
+  if (countPendingReviews() === 0) hideDetectionCard();
+
+  let result;
+  try {
+    result = await detectInArea(provider, area, run.signal);
+  } catch (err) {
+    if (run.signal.aborted && run.signal.reason === DETECTION_CANCELLED) {
+      setStatus("idle", "Analysis cancelled");
+      setInstruction("Analysis cancelled by operator. You may run detection again.");
+    } else {
+      const message = err instanceof Error ? err.message : String(err);
+      setStatus("error", "Detection failed");
+      setInstruction(`Detection failed: ${message} You may retry or switch provider.`);
+    }
+    return;
+  } finally {
+    activeDetectionRun = null;
+    cancelDetectionBtn.hidden = true;
+    setControlsDisabled(false);
+  }
+
+  const { outsideCount } = result;
+  const { kept: detections, suppressedCount } = suppressLowConfidence(result.detections, provider.id, null);
+  const outsideNote = outsideCount > 0 ? ` (${outsideCount} outside the selected shape ignored)` : "";
+  const suppressedNote =
+    suppressedCount > 0
+      ? ` ${suppressedCount} low-confidence detection(s) below ${currentTriagePolicy().suppressBelowPct}% were suppressed and logged.`
+      : "";
+
+  if (detections.length === 0) {
+    setStatus("idle", "No fire detected");
+    setInstruction(
+      `Analysis complete. No potential wildfire was detected in the selected area${outsideNote}.${suppressedNote}`
+    );
+    return;
+  }
+
+  setStatus("alert", detections.length === 1 ? "Fire detected" : `${detections.length} potential fires detected`);
+  setInstruction(
+    (detections.length === 1
+      ? "Potential wildfire detected by AI. Human confirmation is required before this becomes a confirmed incident."
+      : `${detections.length} potential wildfires detected by AI. Review each one; human confirmation is required before any becomes a confirmed incident.`) +
+      outsideNote +
+      suppressedNote
+  );
+  setActiveDetection(addToReviewQueue(detections, bounds, provider.id));
+});
+
+/*
+  Where real AI analysis integrates:
+  - Fetch/ingest recent satellite imagery for the selected bounds + time window
+  - Run an ML model / rules engine to detect hotspots/smoke signatures
+  - Return geolocated detections (points/polygons), confidence, and evidence thumbnails
+  - Surface those detections for human confirmation workflows
+
+  The provider does the first three; callers (manual runs, scheduled AOI scans) do the last.
+*/
+
+/**
+ * Run a provider over an area and keep only hotspots inside the shape
+ * (providers may scan the whole bounding box).
+ * @param {{detect:Function}} provider
+ * @param {SelectionArea} area
+ * @param {AbortSignal} signal
+ * @returns {Promise<{detections:Array<{location:L.LatLng, confidencePct:number, detectedAtIso:string}>, outsideCount:number}>}
+ */
+async function detectInArea(provider, area, signal) {
+  const all = await provider.detect({ bounds: area.bounds, area, timeWindow: getTimeWindow(), signal });
+  const detections = all.filter((d) => isPointInArea(d.location, area));
+  return { detections, outsideCount: all.length - detections.length };
+}
+
+cancelDetectionBtn.addEventListener("click", () => {
+  if (activeDetectionRun) activeDetectionRun.abort(DETECTION_CANCELLED);
+});
+
+// ===== Incident lifecycle (state machine) ====================================
+
+/*
+  Incident lifecycle
+  ------------------
+  Status values stay the human-readable strings used since the first version
+  (so older audit entries and exports still read correctly). Operators can only
+  move an incident along the transitions below, and every move records who,
+  when and why on the incident itself (statusHistory) as well as in the audit
+  trail. Time-in-state is derived from that history, never stored.
+*/
+
+/**
+ * @typedef {"Confirmed — Awaiting response" | "Confirmed — Response dispatched" | "Monitoring"
+ *   | "Contained" | "Resolved" | "Closed" | "Reopened"} LifecycleStatus
+ */
+
+/**
+ * @typedef {{from: LifecycleStatus | null, to: LifecycleStatus, atIso: string, operator: string, reason: string}} StatusTransition
+ */
+
+/** @type {LifecycleStatus} */
+const INITIAL_LIFECYCLE_STATUS = "Confirmed — Awaiting response";
+
+/**
+ * Not resolved or closed yet.
+ * @param {typeof incidents[number]} incident
+ */
+function isOpenIncident(incident) {
+  return incident.status !== "Resolved" && incident.status !== "Closed";
+}
+
+/**
+ * Per status: badge/marker class, export field suffix, and the statuses it may move to.
+ * @type {Record<LifecycleStatus, {badge: string, exportKey: string, next: LifecycleStatus[]}>}
+ */
+const LIFECYCLE = {
+  "Confirmed — Awaiting response": {
+    badge: "awaiting",
+    exportKey: "Awaiting",
+    next: ["Confirmed — Response dispatched", "Monitoring", "Resolved"],
+  },
+  "Confirmed — Response dispatched": {
+    badge: "dispatched",
+    exportKey: "Dispatched",
+    next: ["Monitoring", "Contained"],
+  },
+  Monitoring: {
+    badge: "monitoring",
+    exportKey: "Monitoring",
+    next: ["Confirmed — Response dispatched", "Contained", "Resolved"],
+  },
+  Contained: {
+    badge: "contained",
+    exportKey: "Contained",
+    next: ["Confirmed — Response dispatched", "Resolved"],
+  },
+  Resolved: { badge: "resolved", exportKey: "Resolved", next: ["Closed", "Reopened"] },
+  Closed: { badge: "closed", exportKey: "Closed", next: ["Reopened"] },
+  Reopened: {
+    badge: "reopened",
+    exportKey: "Reopened",
+    next: ["Confirmed — Response dispatched", "Monitoring", "Contained"],
+  },
+};
+
+/**
+ * Move an incident along an allowed transition.
+ * @param {typeof incidents[number]} incident
+ * @param {LifecycleStatus} nextStatus
+ * @param {string} reason
+ * @returns {string | null} why the move was refused, or null when it was applied
+ */
+function transitionIncident(incident, nextStatus, reason) {
+  const allowed = LIFECYCLE[incident.status] ? LIFECYCLE[incident.status].next : [];
+  if (!allowed.includes(nextStatus)) return `"${incident.status}" cannot move to "${nextStatus}".`;
+  const refusal = permissionRefusal(SUPERVISOR_STATUSES.includes(nextStatus) ? "resolve_incident" : "edit_incident");
+  if (refusal) return refusal;
+  const trimmed = reason.trim();
+  if (!trimmed) return "A reason is required for every status change.";
+
+  const previousStatus = incident.status;
+  incident.statusHistory.push({
+    from: previousStatus,
+    to: nextStatus,
+    atIso: new Date().toISOString(),
+    operator: getOperatorId(),
+    reason: trimmed,
+  });
+  incident.status = nextStatus;
+  recordAuditEvent({
+    type: "status_changed",
+    subjectId: incident.id,
+    before: { status: previousStatus },
+    after: { status: nextStatus, reason: trimmed },
+  });
+
+  // Update marker appearance based on lifecycle status.
+  incident.marker.setIcon(makeIncidentIcon(incident.status));
+  incident.marker.options.title = incident.status;
+  issueIncidentAlert(incident);
+  return null;
+}
+
+/**
+ * When the incident became active, i.e. statusHistory[0]: the approval under
+ * two-person confirmation, otherwise the confirmation. confirmedAtIso is always
+ * the first confirmation.
+ * @param {typeof incidents[number]} incident
+ */
+function incidentActiveSinceIso(incident) {
+  return incident.verifiedAtIso || incident.confirmedAtIso;
+}
+
+/** @param {typeof incidents[number]} incident */
+function statusSinceIso(incident) {
+  const last = incident.statusHistory[incident.statusHistory.length - 1];
+  return last ? last.atIso : incidentActiveSinceIso(incident);
+}
+
+/**
+ * Milliseconds spent in each status; the current one counts up to `nowMs`.
+ * @param {typeof incidents[number]} incident
+ * @param {number} [nowMs]
+ * @returns {Partial<Record<LifecycleStatus, number>>}
+ */
+function timeInStatuses(incident, nowMs = Date.now()) {
+  const totals = {};
+  incident.statusHistory.forEach((entry, i) => {
+    const next = incident.statusHistory[i + 1];
+    const endMs = next ? Date.parse(next.atIso) : nowMs;
+    totals[entry.to] = (totals[entry.to] || 0) + Math.max(0, endMs - Date.parse(entry.atIso));
+  });
+  return totals;
+}
+
+/** @param {number} ms */
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60_000);
+  if (minutes < 1) return "<1 min";
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ${String(minutes % 60).padStart(2, "0")} min`;
+  return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+}
+
+/**
+ * Rebuild status history for incidents saved before the state machine existed,
+ * from their confirmation and the audit trail's status_changed entries.
+ * @param {any} incident serialized incident
+ * @param {any[]} auditEntries serialized audit log
+ * @returns {StatusTransition[]}
+ */
+function legacyStatusHistory(incident, auditEntries) {
+  const confirmed = auditEntries.find((e) => e.type === "detection_confirmed" && e.subjectId === incident.id);
+  const history = [
+    {
+      from: null,
+      to: INITIAL_LIFECYCLE_STATUS,
+      atIso: incident.confirmedAtIso,
+      operator: confirmed ? confirmed.operator : "unidentified",
+      reason: incident.operatorNote || "Confirmed by operator",
+    },
+  ];
+  for (const entry of auditEntries) {
+    if (entry.type !== "status_changed" || entry.subjectId !== incident.id) continue;
+    history.push({
+      from: entry.before.status,
+      to: entry.after.status,
+      atIso: entry.atIso,
+      operator: entry.operator || "unidentified",
+      reason: "Recorded before reasons were required",
+    });
+  }
+  return history;
+}
+
+// ===== Incident list filters (search / filter / sort, kept in the URL) =======
+
+/*
+  Incident list filters
+  ---------------------
+  Text search, status / risk / confidence filters, a sort order and an "only in
+  map view" toggle. The state lives in the query string (replaceState, so Back
+  is not flooded) which makes a filtered view shareable and reload-safe.
+  Filters only change what the list shows; exports and the map are untouched.
+*/
+
+/**
+ * @typedef {{
+ *   query: string,
+ *   scope: string,
+ *   risk: "" | "Low" | "Medium" | "High",
+ *   minConfidence: number | null,
+ *   maxConfidence: number | null,
+ *   sort: "newest" | "oldest" | "confidence" | "risk",
+ *   inMapView: boolean
+ * }} IncidentFilter
+ */
+
+const RISK_RANK = { Low: 1, Medium: 2, High: 3 };
+
+/**
+ * Comparators applied to the newest-first list (Array.prototype.sort is stable,
+ * so ties stay newest-first).
+ * @type {Record<IncidentFilter["sort"], (a: typeof incidents[number], b: typeof incidents[number]) => number>}
+ */
+const INCIDENT_SORTS = {
+  newest: () => 0,
+  oldest: (a, b) => Date.parse(a.confirmedAtIso) - Date.parse(b.confirmedAtIso),
+  confidence: (a, b) => b.confidencePct - a.confidencePct,
+  risk: (a, b) => incidentRiskRank(b) - incidentRiskRank(a),
+};
+
+/** Query-string parameter per filter field. */
+const INCIDENT_FILTER_PARAMS = {
+  query: "q",
+  scope: "status",
+  risk: "risk",
+  minConfidence: "confMin",
+  maxConfidence: "confMax",
+  sort: "sort",
+  inMapView: "inView",
+};
+
+/** @param {typeof incidents[number]} incident */
+function incidentRiskRank(incident) {
+  return incident.impact ? RISK_RANK[incident.impact.risk] || 0 : 0;
+}
+
+/** @param {string} raw */
+function parseConfidenceBound(raw) {
+  if (raw === null || raw.trim() === "") return null;
+  const value = Number(raw);
+  return Number.isFinite(value) ? Math.min(100, Math.max(0, value)) : null;
+}
+
+/** @returns {IncidentFilter} */
+function readIncidentFilter() {
+  return {
+    query: incidentSearchInput.value.trim(),
+    scope: incidentStatusFilter.value,
+    risk: incidentRiskFilter.value,
+    minConfidence: parseConfidenceBound(confidenceMinInput.value),
+    maxConfidence: parseConfidenceBound(confidenceMaxInput.value),
+    sort: incidentSortSelect.value,
+    inMapView: inMapViewToggle.checked,
+  };
+}
+
+function isIncidentFilterActive(filter) {
+  return (
+    !!filter.query ||
+    filter.scope !== "all" ||
+    !!filter.risk ||
+    filter.minConfidence !== null ||
+    filter.maxConfidence !== null ||
+    filter.inMapView
+  );
+}
+
+/**
+ * Search covers the ID (full and short label), name, assigned unit, the decision note and the notes thread.
+ * @param {typeof incidents[number]} incident
+ * @param {string} query
+ */
+function incidentMatchesQuery(incident, query) {
+  const haystack = [
+    incident.id,
+    shortIncidentLabel(incident.id),
+    incident.name,
+    incident.assignedUnit,
+    incident.operatorNote,
+    ...incident.notes.map((note) => note.text),
+  ]
+    .join("\n")
+    .toLowerCase();
+  return haystack.includes(query.toLowerCase());
+}
+
+/**
+ * Incidents passing the filter, in display order.
+ * @param {IncidentFilter} filter
+ */
+function filterIncidents(filter) {
+  const scope = BULK_EXPORT_SCOPES[filter.scope] || BULK_EXPORT_SCOPES.all;
+  const bounds = filter.inMapView ? map.getBounds() : null;
+
+  return [...incidents]
+    .reverse()
+    .filter(
+      (incident) =>
+        scope.test(incident) &&
+        (!filter.risk || (incident.impact && incident.impact.risk === filter.risk)) &&
+        (filter.minConfidence === null || incident.confidencePct >= filter.minConfidence) &&
+        (filter.maxConfidence === null || incident.confidencePct <= filter.maxConfidence) &&
+        (!bounds || bounds.contains(incident.location)) &&
+        (!filter.query || incidentMatchesQuery(incident, filter.query))
+    )
+    .sort(INCIDENT_SORTS[filter.sort] || INCIDENT_SORTS.newest);
+}
+
+/**
+ * Mirror the filter into the query string, leaving unrelated parameters (provider, endpoint) alone.
+ * @param {IncidentFilter} filter
+ */
+function writeIncidentFilterParams(filter) {
+  const params = new URLSearchParams(window.location.search);
+  const values = {
+    query: filter.query,
+    scope: filter.scope === "all" ? "" : filter.scope,
+    risk: filter.risk,
+    minConfidence: filter.minConfidence === null ? "" : String(filter.minConfidence),
+    maxConfidence: filter.maxConfidence === null ? "" : String(filter.maxConfidence),
+    sort: filter.sort === "newest" ? "" : filter.sort,
+    inMapView: filter.inMapView ? "1" : "",
+  };
+  for (const [field, param] of Object.entries(INCIDENT_FILTER_PARAMS)) {
+    if (values[field]) params.set(param, values[field]);
+    else params.delete(param);
+  }
+
+  const search = params.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`;
+  window.history.replaceState(window.history.state, "", url);
+}
+
+/**
+ * Set a select from a URL value, ignoring values it has no option for.
+ * @param {HTMLSelectElement} select
+ * @param {string | null} value
+ */
+function selectIfOffered(select, value) {
+  if (value !== null && [...select.options].some((o) => o.value === value)) select.value = value;
+}
+
+function onIncidentFilterChange() {
+  writeIncidentFilterParams(readIncidentFilter());
+  renderIncidentList();
+}
+
+// Restore the filter from the URL before the first render.
+(function applyIncidentFilterParams() {
+  const params = new URLSearchParams(window.location.search);
+  incidentSearchInput.value = params.get(INCIDENT_FILTER_PARAMS.query) || "";
+  selectIfOffered(incidentStatusFilter, params.get(INCIDENT_FILTER_PARAMS.scope));
+  selectIfOffered(incidentRiskFilter, params.get(INCIDENT_FILTER_PARAMS.risk));
+  const min = parseConfidenceBound(params.get(INCIDENT_FILTER_PARAMS.minConfidence));
+  const max = parseConfidenceBound(params.get(INCIDENT_FILTER_PARAMS.maxConfidence));
+  confidenceMinInput.value = min === null ? "" : String(min);
+  confidenceMaxInput.value = max === null ? "" : String(max);
+  selectIfOffered(incidentSortSelect, params.get(INCIDENT_FILTER_PARAMS.sort));
+  inMapViewToggle.checked = params.get(INCIDENT_FILTER_PARAMS.inMapView) === "1";
+})();
+
+incidentSearchInput.addEventListener("input", onIncidentFilterChange);
+confidenceMinInput.addEventListener("input", onIncidentFilterChange);
+confidenceMaxInput.addEventListener("input", onIncidentFilterChange);
+for (const control of [incidentStatusFilter, incidentRiskFilter, incidentSortSelect, inMapViewToggle]) {
+  control.addEventListener("change", onIncidentFilterChange);
+}
+
+clearIncidentFiltersBtn.addEventListener("click", () => {
+  incidentSearchInput.value = "";
+  incidentStatusFilter.value = "all";
+  incidentRiskFilter.value = "";
+  confidenceMinInput.value = "";
+  confidenceMaxInput.value = "";
+  inMapViewToggle.checked = false;
+  // Sort order is a preference, not a filter: keep it.
+  onIncidentFilterChange();
+});
+
+// The "in map view" filter follows the map.
+map.on("moveend", () => {
+  if (inMapViewToggle.checked) renderIncidentList();
+});
+
+// ===== Active incidents UI (minimal list + lifecycle control) =================
+
+function shortIncidentLabel(id) {
+  // Keep it compact and readable (no dashboards).
+  const tail = String(id).slice(-6);
+  return `INC-${tail}`;
+}
+
+function statusToBadgeClass(status) {
+  return LIFECYCLE[status] ? LIFECYCLE[status].badge : "resolved";
+}
+
+function focusIncidentOnMap(incident) {
+  // Focus view only; avoid permanent labels/popups to keep the map uncluttered.
+  map.flyTo(incident.location, Math.max(map.getZoom(), 10), { duration: 0.6 });
+
+  // To avoid map clutter, only show an impact zone for the currently focused incident.
+  clearImpactZone();
+  if (incident.impact) {
+    drawImpactZone(incident.location, incident.impact);
+    showSpreadProjection(incident);
+  }
+}
+
+function setIncidentControls(incident) {
+  if (!incident) {
+    incidentControls.hidden = true;
+    incidentFocusLabel.textContent = "—";
+    incidentStatusSelect.innerHTML = "";
+    statusReasonInput.value = "";
+    applyStatusBtn.disabled = true;
+    incidentStatusHistory.innerHTML = "";
+    incidentNoteInput.value = "";
+    addNoteBtn.disabled = true;
+    attachmentErrors.hidden = true;
+    exportIncidentBtn.disabled = true;
+    printBriefingBtn.disabled = true;
+    renderExposure(incidentExposure, null);
+    return;
+  }
+
+  incidentControls.hidden = false;
+  incidentFocusLabel.textContent = `${incidentDisplayName(incident)} • ${formatLatLng(incident.location)}`;
+  renderLifecycleControls(incident);
+  renderMergedDetections(incident);
+  renderIncidentDetails(incident);
+  exportIncidentBtn.disabled = !incident.impact;
+  printBriefingBtn.disabled = !incident.impact;
+  renderExposure(incidentExposure, incident);
+}
+
+/**
+ * Current status, the allowed next statuses, and the transition history.
+ * @param {typeof incidents[number]} incident
+ */
+function renderLifecycleControls(incident) {
+  incidentStatusBadge.className = `status-badge ${statusToBadgeClass(incident.status)}`;
+  incidentStatusBadge.textContent = incident.status;
+  incidentStatusSince.textContent = `for ${formatDuration(Date.now() - Date.parse(statusSinceIso(incident)))}`;
+
+  incidentStatusSelect.innerHTML = "";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = "Choose next status…";
+  incidentStatusSelect.appendChild(placeholder);
+  for (const status of LIFECYCLE[incident.status] ? LIFECYCLE[incident.status].next : []) {
+    const option = document.createElement("option");
+    option.value = status;
+    option.textContent = status;
+    if (SUPERVISOR_STATUSES.includes(status) && !can("resolve_incident")) {
+      option.disabled = true;
+      option.textContent = `${status} (supervisor only)`;
+    }
+    incidentStatusSelect.appendChild(option);
+  }
+  incidentStatusSelect.disabled = !can("edit_incident");
+  statusReasonInput.disabled = !can("edit_incident");
+  statusReasonInput.value = "";
+  updateApplyStatusButton();
+
+  incidentStatusHistory.innerHTML = "";
+  const totals = timeInStatuses(incident);
+  // Newest first, matching the audit trail.
+  for (const entry of [...incident.statusHistory].reverse()) {
+    const li = document.createElement("li");
+    li.className = "audit-entry";
+
+    const head = document.createElement("div");
+    head.className = "audit-entry-head";
+    const label = document.createElement("span");
+    label.textContent = entry.from ? `${entry.from} → ${entry.to}` : entry.to;
+    const time = document.createElement("time");
+    time.dateTime = entry.atIso;
+    time.textContent = formatDetectionTime(entry.atIso);
+    head.appendChild(label);
+    head.appendChild(time);
+
+    const meta = document.createElement("div");
+    meta.className = "audit-entry-meta";
+    meta.textContent = `${entry.operator} • ${entry.reason}`;
+
+    li.appendChild(head);
+    li.appendChild(meta);
+    incidentStatusHistory.appendChild(li);
+  }
+
+  incidentTimeInStatus.textContent = Object.entries(totals)
+    .map(([status, ms]) => `${status}: ${formatDuration(ms)}`)
+    .join(" • ");
+}
+
+/**
+ * Repeat detections the operator merged into this incident, newest first.
+ * @param {typeof incidents[number]} incident
+ */
+function renderMergedDetections(incident) {
+  mergedDetectionsBlock.hidden = incident.mergedDetections.length === 0;
+  mergedDetectionCount.textContent = String(incident.mergedDetections.length);
+  mergedDetectionList.innerHTML = "";
+
+  for (const merged of [...incident.mergedDetections].reverse()) {
+    const li = document.createElement("li");
+    li.className = "audit-entry";
+
+    const head = document.createElement("div");
+    head.className = "audit-entry-head";
+    const what = document.createElement("span");
+    what.textContent = `${merged.confidencePct}% • ${formatDistance(merged.distanceMeters)} away`;
+    const time = document.createElement("time");
+    time.dateTime = merged.detectedAtIso;
+    time.textContent = formatDetectionTime(merged.detectedAtIso);
+    head.appendChild(what);
+    head.appendChild(time);
+
+    const meta = document.createElement("div");
+    meta.className = "audit-entry-meta";
+    meta.textContent = `Merged by ${merged.operator} at ${formatDetectionTime(merged.mergedAtIso)}`;
+
+    li.appendChild(head);
+    li.appendChild(meta);
+    mergedDetectionList.appendChild(li);
+  }
+}
+
+function updateApplyStatusButton() {
+  applyStatusBtn.disabled = !incidentStatusSelect.value || !statusReasonInput.value.trim() || !can("edit_incident");
+}
+
+function renderIncidentList() {
+  // The audit filter, bulk export count, metrics and map markers depend on the incident set, so keep them in step.
+  renderAuditFilterOptions();
+  updateBulkExportUI();
+  renderMetrics();
+  refreshMapDisplay();
+
+  incidentFilters.hidden = incidents.length === 0;
+  const filter = readIncidentFilter();
+  const items = filterIncidents(filter);
+  incidentFilterSummary.textContent = isIncidentFilterActive(filter)
+    ? `Showing ${items.length} of ${incidents.length} incident(s).`
+    : `${incidents.length} incident(s).`;
+
+  if (items.length === 0) {
+    incidentEmpty.textContent = incidents.length === 0 ? "No confirmed incidents yet." : "No incidents match the filters.";
+    incidentEmpty.hidden = false;
+    incidentList.hidden = true;
+    incidentList.innerHTML = "";
+    return;
+  }
+
+  incidentEmpty.hidden = true;
+  incidentList.hidden = false;
+  incidentList.innerHTML = "";
+
+  for (const incident of items) {
+    const li = document.createElement("li");
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "incident-row";
+    btn.setAttribute("aria-label", `Focus ${shortIncidentLabel(incident.id)}`);
+    btn.dataset.incidentId = incident.id;
+
+    const idSpan = document.createElement("span");
+    idSpan.className = "incident-id";
+    idSpan.textContent = shortIncidentLabel(incident.id);
+    if (incident.name) {
+      const nameSpan = document.createElement("span");
+      nameSpan.className = "incident-name";
+      nameSpan.textContent = ` ${incident.name}`;
+      idSpan.appendChild(nameSpan);
+    }
+    if (incident.priority === "High") idSpan.classList.add("incident-priority-high");
+
+    // Confidence and risk are what the list sorts and filters on, so show them.
+    const main = document.createElement("span");
+    main.className = "incident-row-main";
+    const meta = document.createElement("span");
+    meta.className = "incident-row-meta muted small";
+    meta.textContent = `${incident.confidencePct}%${incident.impact ? ` • ${incident.impact.risk} risk` : ""}`;
+    main.appendChild(idSpan);
+    main.appendChild(meta);
+
+    const statusWrap = document.createElement("span");
+    statusWrap.className = "incident-row-status";
+
+    const badge = document.createElement("span");
+    badge.className = `status-badge ${statusToBadgeClass(incident.status)}`;
+    badge.textContent = incident.status;
+
+    const since = document.createElement("span");
+    since.className = "incident-since muted small";
+    since.textContent = `for ${formatDuration(Date.now() - Date.parse(statusSinceIso(incident)))}`;
+
+    statusWrap.appendChild(badge);
+    statusWrap.appendChild(since);
+    btn.appendChild(main);
+    btn.appendChild(statusWrap);
+
+    btn.addEventListener("click", () => {
+      focusedIncidentId = incident.id;
+      // The focused incident is never clustered; take it out of its cluster now.
+      refreshMapDisplay();
+      setIncidentControls(incident);
+      focusIncidentOnMap(incident);
+      setStatus("confirmed", incident.status);
+      setInstruction("Focused incident. Lifecycle status is operator-managed and distinct from AI detection output.");
+    });
+
+    li.appendChild(btn);
+    incidentList.appendChild(li);
+  }
+}
+
+/** Time-in-state labels count up; refresh them in place (no re-render, so focus is kept). */
+function refreshTimeInStatus() {
+  for (const row of incidentList.querySelectorAll(".incident-row")) {
+    const incident = incidents.find((i) => i.id === row.dataset.incidentId);
+    const since = row.querySelector(".incident-since");
+    if (incident && since) since.textContent = `for ${formatDuration(Date.now() - Date.parse(statusSinceIso(incident)))}`;
+  }
+  const focused = incidents.find((i) => i.id === focusedIncidentId);
+  if (focused && !incidentControls.hidden) {
+    incidentStatusSince.textContent = `for ${formatDuration(Date.now() - Date.parse(statusSinceIso(focused)))}`;
+  }
+}
+
+setInterval(refreshTimeInStatus, 30_000);
+
+incidentStatusSelect.addEventListener("change", updateApplyStatusButton);
+statusReasonInput.addEventListener("input", updateApplyStatusButton);
+statusReasonInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter" && !applyStatusBtn.disabled) applyStatusBtn.click();
+});
+
+applyStatusBtn.addEventListener("click", () => {
+  const incident = incidents.find((i) => i.id === focusedIncidentId);
+  if (!incident) return;
+
+  /** @type {LifecycleStatus} */
+  const nextStatus = incidentStatusSelect.value;
+  const refusal = transitionIncident(incident, nextStatus, statusReasonInput.value);
+  if (refusal) {
+    setStatus("error", "Status change refused");
+    setInstruction(refusal);
+    return;
+  }
+
+  // Keep the top status label in sync when the focused incident is updated.
+  setStatus("confirmed", incident.status);
+  setInstruction(
+    "Lifecycle status updated by operator. This models incident lifecycle state (not an automated AI action)."
+  );
+
+  renderLifecycleControls(incident);
+  renderIncidentList();
+});
+
+// ===== Incident details (name, unit, priority, notes, attachments) ===========
+
+/*
+  Incident details
+  ----------------
+  Operator-owned fields on top of the AI detection: a name, the assigned unit,
+  a priority, a timestamped notes thread and image attachments (ground photos,
+  screenshots). Every change is audited.
+
+  Attachment bytes live in IndexedDB, not localStorage: a few photos would
+  exceed the localStorage quota and take the incident data down with them.
+  The incident only keeps attachment metadata; the JSON report embeds the
+  images as data URLs so it stays self-contained.
+*/
+
+/** @typedef {"High" | "Normal" | "Low"} IncidentPriority */
+
+/**
+ * @typedef {{id: string, atIso: string, operator: string, text: string}} IncidentNote
+ * @typedef {{id: string, fileName: string, mimeType: string, sizeBytes: number, addedAtIso: string, operator: string}} IncidentAttachment
+ */
+
+/** @type {IncidentPriority[]} */
+const INCIDENT_PRIORITIES = ["High", "Normal", "Low"];
+const DEFAULT_INCIDENT_PRIORITY = "Normal";
+
+const ATTACHMENT_DB_NAME = "aegisDetect";
+const ATTACHMENT_STORE = "attachments";
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+
+/** @type {Promise<IDBDatabase> | null} */
+let attachmentDbPromise = null;
+
+/** Object URLs for attachment thumbnails, by attachment id. */
+const attachmentUrls = new Map();
+
+/** @param {typeof incidents[number]} incident */
+function incidentDisplayName(incident) {
+  const label = shortIncidentLabel(incident.id);
+  return incident.name ? `${label} · ${incident.name}` : label;
+}
+
+/** @param {number} bytes */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+function openAttachmentDb() {
+  if (!attachmentDbPromise) {
+    attachmentDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("this browser has no IndexedDB"));
+        return;
+      }
+      const request = indexedDB.open(ATTACHMENT_DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(ATTACHMENT_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a retry later (e.g. after the user frees storage).
+    attachmentDbPromise.catch(() => (attachmentDbPromise = null));
+  }
+  return attachmentDbPromise;
+}
+
+/**
+ * Run one request in its own transaction; resolves when the transaction completes.
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} makeRequest
+ */
+async function attachmentStoreRequest(mode, makeRequest) {
+  const db = await openAttachmentDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ATTACHMENT_STORE, mode);
+    const request = makeRequest(tx.objectStore(ATTACHMENT_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Stored as bytes + type (Blob storage in IndexedDB has been unreliable in some browsers).
+ * @param {string} id
+ * @returns {Promise<Blob | null>}
+ */
+async function getAttachmentBlob(id) {
+  const record = await attachmentStoreRequest("readonly", (store) => store.get(id));
+  return record ? new Blob([record.data], { type: record.type }) : null;
+}
+
+/** @param {string} id */
+async function getAttachmentUrl(id) {
+  if (!attachmentUrls.has(id)) {
+    const blob = await getAttachmentBlob(id);
+    if (!blob) return null;
+    attachmentUrls.set(id, URL.createObjectURL(blob));
+  }
+  return attachmentUrls.get(id);
+}
+
+/** @param {Blob} blob */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Attachment metadata plus the image as a data URL (null when the bytes are gone).
+ * @param {typeof incidents[number]} incident
+ */
+async function attachmentsForExport(incident) {
+  return Promise.all(
+    incident.attachments.map(async (attachment) => {
+      let dataUrl = null;
+      try {
+        const blob = await getAttachmentBlob(attachment.id);
+        if (blob) dataUrl = await blobToDataUrl(blob);
+      } catch (err) {
+        console.warn("Aegis Detect: could not read attachment for export.", err);
+      }
+      return { ...attachment, dataUrl };
+    })
+  );
+}
+
+/**
+ * Apply operator edits to name / assigned unit / priority.
+ * @param {typeof incidents[number]} incident
+ * @param {Partial<{name: string, assignedUnit: string, priority: IncidentPriority}>} patch
+ */
+function updateIncidentDetails(incident, patch) {
+  if (!requirePermission("edit_incident")) {
+    renderIncidentDetails(incident);
+    return;
+  }
+  const pick = (i) => ({ name: i.name, assignedUnit: i.assignedUnit, priority: i.priority });
+  const before = pick(incident);
+  Object.assign(incident, patch);
+  recordAuditEvent({ type: "incident_updated", subjectId: incident.id, before, after: pick(incident) });
+  renderIncidentList();
+  incidentFocusLabel.textContent = `${incidentDisplayName(incident)} • ${formatLatLng(incident.location)}`;
+}
+
+/**
+ * @param {typeof incidents[number]} incident
+ * @param {string} text
+ */
+function addIncidentNote(incident, text) {
+  /** @type {IncidentNote} */
+  const note = {
+    id: `note_${syncClientId}_${Date.now()}_${incident.notes.length + 1}`,
+    atIso: new Date().toISOString(),
+    operator: getOperatorId(),
+    text,
+  };
+  incident.notes.push(note);
+  recordAuditEvent({ type: "note_added", subjectId: incident.id, after: { note: text } });
+}
+
+/**
+ * @param {typeof incidents[number]} incident
+ * @param {File[]} files
+ */
+async function addIncidentAttachments(incident, files) {
+  const errors = [];
+  for (const file of files) {
+    if (!file.type.startsWith("image/")) {
+      errors.push(`${file.name}: only images can be attached.`);
+      continue;
+    }
+    if (file.size > ATTACHMENT_MAX_BYTES) {
+      errors.push(`${file.name}: larger than ${formatBytes(ATTACHMENT_MAX_BYTES)}.`);
+      continue;
+    }
+
+    /** @type {IncidentAttachment} */
+    const attachment = {
+      id: `att_${syncClientId}_${Date.now()}_${incident.attachments.length + 1}`,
+      fileName: file.name,
+      mimeType: file.type,
+      sizeBytes: file.size,
+      addedAtIso: new Date().toISOString(),
+      operator: getOperatorId(),
+    };
+    try {
+      const data = await file.arrayBuffer();
+      await attachmentStoreRequest("readwrite", (store) => store.put({ type: file.type, data }, attachment.id));
+    } catch (err) {
+      errors.push(`${file.name}: could not be stored (${err instanceof Error ? err.message : String(err)}).`);
+      continue;
+    }
+    incident.attachments.push(attachment);
+    recordAuditEvent({
+      type: "attachment_added",
+      subjectId: incident.id,
+      after: { fileName: attachment.fileName, sizeBytes: attachment.sizeBytes },
+    });
+  }
+  return errors;
+}
+
+/**
+ * @param {typeof incidents[number]} incident
+ * @param {IncidentAttachment} attachment
+ */
+async function removeIncidentAttachment(incident, attachment) {
+  incident.attachments.splice(incident.attachments.indexOf(attachment), 1);
+  recordAuditEvent({
+    type: "attachment_removed",
+    subjectId: incident.id,
+    before: { fileName: attachment.fileName, sizeBytes: attachment.sizeBytes },
+  });
+
+  const url = attachmentUrls.get(attachment.id);
+  if (url) URL.revokeObjectURL(url);
+  attachmentUrls.delete(attachment.id);
+  try {
+    await attachmentStoreRequest("readwrite", (store) => store.delete(attachment.id));
+  } catch (err) {
+    console.warn("Aegis Detect: could not delete attachment bytes.", err);
+  }
+}
+
+/** @param {typeof incidents[number]} incident */
+function renderIncidentDetails(incident) {
+  incidentConfirmationLabel.textContent = describeConfirmation(incident);
+  incidentNameInput.value = incident.name;
+  incidentUnitInput.value = incident.assignedUnit;
+  incidentPrioritySelect.value = incident.priority;
+  incidentNoteInput.value = "";
+  addNoteBtn.disabled = true;
+  attachmentErrors.hidden = true;
+  for (const control of [incidentNameInput, incidentUnitInput, incidentPrioritySelect, incidentNoteInput, addAttachmentBtn]) {
+    control.disabled = !can("edit_incident");
+  }
+  renderIncidentNotes(incident);
+  renderIncidentAttachments(incident);
+}
+
+/** @param {typeof incidents[number]} incident */
+function describeConfirmation(incident) {
+  const confirmed = `Confirmed by ${incident.confirmedBy}`;
+  return incident.verifiedBy ? `${confirmed} • verified by ${incident.verifiedBy}` : confirmed;
+}
+
+/** @param {typeof incidents[number]} incident */
+function renderIncidentNotes(incident) {
+  incidentNotesEmpty.hidden = incident.notes.length > 0;
+  incidentNotesList.hidden = incident.notes.length === 0;
+  incidentNotesList.innerHTML = "";
+
+  // Oldest first: notes read as a conversation.
+  for (const note of incident.notes) {
+    const li = document.createElement("li");
+    li.className = "audit-entry";
+
+    const head = document.createElement("div");
+    head.className = "audit-entry-head";
+    const who = document.createElement("span");
+    who.textContent = note.operator;
+    const time = document.createElement("time");
+    time.dateTime = note.atIso;
+    time.textContent = formatDetectionTime(note.atIso);
+    head.appendChild(who);
+    head.appendChild(time);
+
+    const text = document.createElement("div");
+    text.className = "note-text";
+    text.textContent = note.text;
+
+    li.appendChild(head);
+    li.appendChild(text);
+    incidentNotesList.appendChild(li);
+  }
+}
+
+/** @param {typeof incidents[number]} incident */
+function renderIncidentAttachments(incident) {
+  attachmentEmpty.hidden = incident.attachments.length > 0;
+  attachmentList.hidden = incident.attachments.length === 0;
+  attachmentList.innerHTML = "";
+
+  for (const attachment of incident.attachments) {
+    const li = document.createElement("li");
+    li.className = "attachment-tile";
+
+    const link = document.createElement("a");
+    link.className = "attachment-thumb";
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.title = `${attachment.fileName} (${formatBytes(attachment.sizeBytes)})`;
+    const img = document.createElement("img");
+    img.alt = attachment.fileName;
+    link.appendChild(img);
+    getAttachmentUrl(attachment.id)
+      .then((url) => {
+        if (!url) {
+          const missing = document.createElement("span");
+          missing.className = "attachment-thumb muted small";
+          missing.textContent = "Image missing";
+          link.replaceWith(missing);
+          return;
+        }
+        img.src = url;
+        link.href = url;
+      })
+      .catch((err) => console.warn("Aegis Detect: could not load attachment.", err));
+
+    const caption = document.createElement("div");
+    caption.className = "attachment-caption muted small";
+    caption.textContent = attachment.fileName;
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "btn btn-secondary attachment-remove";
+    remove.textContent = "Remove";
+    remove.disabled = !can("edit_incident");
+    remove.addEventListener("click", async () => {
+      if (!requirePermission("edit_incident")) return;
+      if (!window.confirm(`Remove attachment "${attachment.fileName}"?`)) return;
+      await removeIncidentAttachment(incident, attachment);
+      renderIncidentAttachments(incident);
+      renderIncidentList();
+    });
+
+    li.appendChild(link);
+    li.appendChild(caption);
+    li.appendChild(remove);
+    attachmentList.appendChild(li);
+  }
+}
+
+function getFocusedIncident() {
+  return incidents.find((i) => i.id === focusedIncidentId) || null;
+}
+
+incidentNameInput.addEventListener("change", () => {
+  const incident = getFocusedIncident();
+  if (!incident) return;
+  const name = incidentNameInput.value.trim();
+  incidentNameInput.value = name;
+  if (name !== incident.name) updateIncidentDetails(incident, { name });
+});
+
+incidentUnitInput.addEventListener("change", () => {
+  const incident = getFocusedIncident();
+  if (!incident) return;
+  const assignedUnit = incidentUnitInput.value.trim();
+  incidentUnitInput.value = assignedUnit;
+  if (assignedUnit !== incident.assignedUnit) updateIncidentDetails(incident, { assignedUnit });
+});
+
+incidentPrioritySelect.addEventListener("change", () => {
+  const incident = getFocusedIncident();
+  if (!incident) return;
+  /** @type {IncidentPriority} */
+  const priority = incidentPrioritySelect.value;
+  if (priority !== incident.priority) updateIncidentDetails(incident, { priority });
+});
+
+incidentNoteInput.addEventListener("input", () => {
+  addNoteBtn.disabled = !incidentNoteInput.value.trim();
+});
+
+addNoteBtn.addEventListener("click", () => {
+  const incident = getFocusedIncident();
+  const text = incidentNoteInput.value.trim();
+  if (!incident || !text || !requirePermission("edit_incident")) return;
+  addIncidentNote(incident, text);
+  incidentNoteInput.value = "";
+  addNoteBtn.disabled = true;
+  renderIncidentNotes(incident);
+  renderIncidentList();
+});
+
+addAttachmentBtn.addEventListener("click", () => attachmentFileInput.click());
+attachmentFileInput.addEventListener("change", async () => {
+  const files = Array.from(attachmentFileInput.files || []);
+  attachmentFileInput.value = "";
+  const incident = getFocusedIncident();
+  if (!incident || files.length === 0 || !requirePermission("edit_incident")) return;
+
+  const errors = await addIncidentAttachments(incident, files);
+  attachmentErrors.innerHTML = "";
+  attachmentErrors.hidden = errors.length === 0;
+  for (const message of errors) {
+    const li = document.createElement("li");
+    li.textContent = message;
+    attachmentErrors.appendChild(li);
+  }
+  // The operator may have focused another incident while files were stored.
+  if (getFocusedIncident() === incident) renderIncidentAttachments(incident);
+  renderIncidentList();
+});
+
+// ===== Incident report export (demo-only, client-side) =======================
+
+/**
+ * Export as JSON (most reliable without libraries / backends).
+ * If you later want a printable PDF, you can add a client-side PDF library — but JSON
+ * is a better default for demos because it is deterministic and machine-readable.
+ */
+exportIncidentBtn.addEventListener("click", async () => {
+  // Do not allow export before confirmation.
+  const incident = incidents.find((i) => i.id === focusedIncidentId);
+  if (!incident) return;
+  if (!incident.impact) return;
+
+  recordAuditEvent({ type: "incident_exported", subjectId: incident.id, after: { format: "json" } });
+
+  // Images are embedded so the report stands alone once it leaves this browser.
+  const attachments = await attachmentsForExport(incident);
+  const policy = triagePolicyOf(incident);
+
+  const report = {
+    incidentId: incident.id,
+    name: incident.name,
+    assignedUnit: incident.assignedUnit,
+    priority: incident.priority,
+    timestamp: new Date().toISOString(),
+    incidentStatus: "Confirmed Wildfire",
+    lifecycleStatus: incident.status,
+    statusHistory: incident.statusHistory,
+    confirmation: {
+      confirmedBy: incident.confirmedBy,
+      confirmedAtIso: incident.confirmedAtIso,
+      verifiedBy: incident.verifiedBy,
+      verifiedAtIso: incident.verifiedAtIso,
+    },
+    timeInStatusMinutes: Object.fromEntries(
+      Object.entries(timeInStatuses(incident)).map(([status, ms]) => [status, Math.floor(ms / 60_000)])
+    ),
+    aiDetection: {
+      confidencePct: incident.confidencePct,
+      detectedAtIso: incident.detectedAtIso,
+      triage: incident.triage,
+      triagePolicy: policy && policySyncData(policy),
+    },
+    location: {
+      lat: Number(incident.location.lat.toFixed(6)),
+      lng: Number(incident.location.lng.toFixed(6)),
+    },
+    impactAssessment: {
+      spreadRiskLevel: incident.impact.risk,
+      estimatedAffectedAreaKm2: Number(incident.impact.areaKm2.toFixed(2)),
+      zone: describeImpactZone(incident.impact),
+      inputs: incident.impact.inputs || null,
+      notes: incident.impact.notes,
+    },
+    spreadProjection: spreadProjectionExport(incident),
+    infrastructureExposure: assessExposure(incident).map((item) => ({
+      ...item,
+      category: OVERLAY_CATEGORIES[item.category].label,
+    })),
+    operatorNote: incident.operatorNote,
+    notes: incident.notes,
+    attachments,
+    mergedDetections: incident.mergedDetections,
+    auditTrail: auditLog.filter((e) => e.subjectId === incident.id),
+    disclaimer: "Demo / Non-operational data",
+  };
+
+  downloadFile(`aegis_detect_incident_${incident.id}.json`, "application/json", JSON.stringify(report, null, 2));
+});
+
+/**
+ * Trigger a client-side download.
+ * @param {string} fileName
+ * @param {string} mimeType
+ * @param {string} content
+ */
+function downloadFile(fileName, mimeType, content) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  // Revoke after a short delay to avoid interrupting the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ===== Incident briefing (print / save as PDF) ===============================
+
+/*
+  Printable briefing
+  ------------------
+  A print-optimized view of the focused incident for handover to people who do
+  not use the console. It is built entirely client-side; "Save as PDF" in the
+  browser print dialog produces the PDF copy.
+
+  The map extract is composed from basemap tile images plus an SVG overlay
+  (marker + impact zone) rather than a canvas snapshot: tiles are cross-origin,
+  and a canvas would be tainted. Missing tiles (offline) leave a blank
+  background but the overlay still prints.
+*/
+
+const BRIEFING_MAP_WIDTH = 640;
+const BRIEFING_MAP_HEIGHT = 360;
+const BRIEFING_TILE_SIZE = 256;
+
+/**
+ * Highest zoom at which the impact zone fits comfortably in the extract.
+ * @param {L.LatLng[]} ring
+ */
+function briefingMapZoom(ring) {
+  const crs = map.options.crs;
+  for (let zoom = 16; zoom > 2; zoom--) {
+    const size = L.bounds(ring.map((p) => crs.latLngToPoint(p, zoom))).getSize();
+    if (size.x <= BRIEFING_MAP_WIDTH * 0.7 && size.y <= BRIEFING_MAP_HEIGHT * 0.7) return zoom;
+  }
+  return 2;
+}
+
+/**
+ * Round scale bar length (meters) close to 120 px at the given resolution.
+ * @param {number} metersPerPixel
+ */
+function briefingScaleMeters(metersPerPixel) {
+  const target = metersPerPixel * 120;
+  const magnitude = 10 ** Math.floor(Math.log10(target));
+  const step = [5, 2, 1].find((m) => m * magnitude <= target) || 1;
+  return step * magnitude;
+}
+
+/**
+ * Static map extract (tiles + SVG overlay) centered on the incident.
+ * @param {typeof incidents[number]} incident
+ * @returns {string} HTML
+ */
+function buildBriefingMapHtml(incident) {
+  const crs = map.options.crs;
+  const ring = impactZoneRing(incident);
+  const zoom = briefingMapZoom(ring);
+  const origin = crs
+    .latLngToPoint(incident.location, zoom)
+    .subtract(L.point(BRIEFING_MAP_WIDTH / 2, BRIEFING_MAP_HEIGHT / 2))
+    .round();
+  const tileCount = 2 ** zoom;
+
+  const tiles = [];
+  const firstX = Math.floor(origin.x / BRIEFING_TILE_SIZE);
+  const firstY = Math.floor(origin.y / BRIEFING_TILE_SIZE);
+  for (let ty = firstY; ty * BRIEFING_TILE_SIZE < origin.y + BRIEFING_MAP_HEIGHT; ty++) {
+    if (ty < 0 || ty >= tileCount) continue;
+    for (let tx = firstX; tx * BRIEFING_TILE_SIZE < origin.x + BRIEFING_MAP_WIDTH; tx++) {
+      const x = ((tx % tileCount) + tileCount) % tileCount; // wrap across the antimeridian
+      const src = basemapTileUrl(basemap, { x, y: ty, z: zoom });
+      const left = tx * BRIEFING_TILE_SIZE - origin.x;
+      const top = ty * BRIEFING_TILE_SIZE - origin.y;
+      tiles.push(`<img class="briefing-tile" src="${escapeXml(src)}" alt="" style="left:${left}px;top:${top}px">`);
+    }
+  }
+
+  const toPixel = (latLng) => crs.latLngToPoint(latLng, zoom).subtract(origin);
+  const zonePoints = ring
+    .map(toPixel)
+    .map((p) => `${p.x.toFixed(1)},${p.y.toFixed(1)}`)
+    .join(" ");
+  const marker = toPixel(incident.location);
+
+  // Web Mercator resolution at the incident latitude.
+  const metersPerPixel =
+    (2 * Math.PI * EARTH_RADIUS_METERS * Math.cos((incident.location.lat * Math.PI) / 180)) /
+    (BRIEFING_TILE_SIZE * tileCount);
+  const scaleMeters = briefingScaleMeters(metersPerPixel);
+  const scalePx = Math.round(scaleMeters / metersPerPixel);
+  const scaleLabel = scaleMeters >= 1000 ? `${scaleMeters / 1000} km` : `${scaleMeters} m`;
+  const scaleY = BRIEFING_MAP_HEIGHT - 16;
+
+  return `
+    <div class="briefing-map" style="width:${BRIEFING_MAP_WIDTH}px;height:${BRIEFING_MAP_HEIGHT}px">
+      ${tiles.join("")}
+      <svg class="briefing-overlay-svg" width="${BRIEFING_MAP_WIDTH}" height="${BRIEFING_MAP_HEIGHT}"
+        viewBox="0 0 ${BRIEFING_MAP_WIDTH} ${BRIEFING_MAP_HEIGHT}" aria-hidden="true">
+        <polygon points="${zonePoints}" fill="#ef4444" fill-opacity="0.15" stroke="#ea580c"
+          stroke-width="2" stroke-dasharray="6 6" />
+        <circle cx="${marker.x}" cy="${marker.y}" r="9" fill="#dc2626" stroke="#fff" stroke-width="2" />
+        <line x1="16" y1="${scaleY}" x2="${16 + scalePx}" y2="${scaleY}" stroke="#111827" stroke-width="3" />
+        <text x="16" y="${scaleY - 6}" font-size="11" fill="#111827">${scaleLabel}</text>
+        <text x="${BRIEFING_MAP_WIDTH - 18}" y="22" font-size="13" font-weight="700" fill="#111827"
+          text-anchor="middle">N ↑</text>
+      </svg>
+    </div>
+    <p class="briefing-caption">
+      Basemap ${escapeXml(basemap.credit)}. Dashed outline: illustrative impact zone.
+    </p>`;
+}
+
+/**
+ * @param {string} label
+ * @param {string} value
+ */
+function briefingRow(label, value) {
+  return `<tr><th scope="row">${escapeXml(label)}</th><td>${escapeXml(value)}</td></tr>`;
+}
+
+/** @param {string} iso */
+function formatBriefingTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : "—";
+}
+
+/**
+ * Full briefing document for one incident (XML escaping is valid HTML escaping).
+ * @param {typeof incidents[number]} incident
+ * @param {Array<IncidentAttachment & {dataUrl: string | null}>} attachments
+ * @returns {string} HTML
+ */
+function buildBriefingHtml(incident, attachments) {
+  const history = auditLog.filter((e) => e.subjectId === incident.id);
+  const created = history.find((e) => e.type === "detection_created");
+  const exposure = assessExposure(incident);
+  const exposureRows = exposure
+    .map(
+      (item) => `<tr>
+        <td>${escapeXml(item.feature)}</td>
+        <td>${escapeXml(OVERLAY_CATEGORIES[item.category].label)}</td>
+        <td>${escapeXml(describeExposure(item))}</td>
+      </tr>`
+    )
+    .join("");
+  const projectionRows = (buildSpreadProjection(incident) || [])
+    .map(
+      (step) => `<tr>
+        <td>${escapeXml(formatProjectionHours(step.hours))}</td>
+        <td>${escapeXml(formatBriefingTime(step.validAtIso))}</td>
+        <td>~${step.areaKm2.toFixed(1)} km²</td>
+        <td>${(step.headDistanceMeters / 1000).toFixed(1)} km</td>
+      </tr>`
+    )
+    .join("");
+
+  const transitionRows = incident.statusHistory
+    .map((entry, i) => {
+      const next = incident.statusHistory[i + 1];
+      const spentMs = (next ? Date.parse(next.atIso) : Date.now()) - Date.parse(entry.atIso);
+      return `<tr>
+        <td>${escapeXml(formatBriefingTime(entry.atIso))}</td>
+        <td>${escapeXml(entry.to)}</td>
+        <td>${escapeXml(entry.operator)}</td>
+        <td>${escapeXml(entry.reason)}</td>
+        <td>${escapeXml(formatDuration(spentMs))}${next ? "" : " (current)"}</td>
+      </tr>`;
+    })
+    .join("");
+  const noteRows = incident.notes
+    .map(
+      (note) => `<tr>
+        <td>${escapeXml(formatBriefingTime(note.atIso))}</td>
+        <td>${escapeXml(note.operator)}</td>
+        <td>${escapeXml(note.text)}</td>
+      </tr>`
+    )
+    .join("");
+  const attachmentFigures = attachments
+    .map(
+      (attachment) => `<figure class="briefing-attachment">
+        ${attachment.dataUrl ? `<img src="${attachment.dataUrl}" alt="${escapeXml(attachment.fileName)}" />` : ""}
+        <figcaption>${escapeXml(attachment.fileName)} — ${escapeXml(attachment.operator)}, ${escapeXml(
+          formatBriefingTime(attachment.addedAtIso)
+        )}</figcaption>
+      </figure>`
+    )
+    .join("");
+  const historyRows = history
+    .map((entry) => {
+      const who = entry.actor === "ai" ? `AI (requested by ${entry.operator})` : entry.operator;
+      const change = `${describeAuditValue(entry.before)} → ${describeAuditValue(entry.after)}`;
+      return `<tr>
+        <td>${escapeXml(formatBriefingTime(entry.atIso))}</td>
+        <td>${escapeXml(AUDIT_EVENT_LABELS[entry.type] || entry.type)}</td>
+        <td>${escapeXml(who)}</td>
+        <td>${escapeXml(change)}</td>
+      </tr>`;
+    })
+    .join("");
+
+  return `
+    <header class="briefing-header">
+      <div>
+        <div class="briefing-kicker">Aegis Detect — Incident Briefing</div>
+        <h1 id="briefingTitle">${escapeXml(incidentDisplayName(incident))}</h1>
+      </div>
+      <div class="briefing-generated">
+        Generated ${escapeXml(formatBriefingTime(new Date().toISOString()))}<br />
+        by ${escapeXml(getOperatorId())}
+      </div>
+    </header>
+
+    <p class="briefing-banner">Demo / Non-operational data</p>
+
+    <section class="briefing-section">
+      <h2>Summary</h2>
+      <table class="briefing-facts">
+        ${briefingRow("Lifecycle status", `${incident.status} (for ${formatDuration(Date.now() - Date.parse(statusSinceIso(incident)))})`)}
+        ${briefingRow("Priority", incident.priority)}
+        ${briefingRow("Assigned unit", incident.assignedUnit || "—")}
+        ${briefingRow("Location", formatLatLng(incident.location))}
+        ${briefingRow("Area of interest", incident.aoi ? incident.aoi.name : "—")}
+        ${briefingRow("Merged detections", String(incident.mergedDetections.length))}
+      </table>
+    </section>
+
+    <section class="briefing-section">
+      <h2>Map</h2>
+      ${buildBriefingMapHtml(incident)}
+    </section>
+
+    <section class="briefing-section briefing-columns">
+      <div>
+        <h2>AI detection</h2>
+        <table class="briefing-facts">
+          ${briefingRow("Confidence", `${incident.confidencePct}%`)}
+          ${briefingRow("Triage", describeTriage(incident))}
+          ${briefingRow("Detected at", formatBriefingTime(incident.detectedAtIso))}
+          ${briefingRow("Source", created && created.after.provider ? created.after.provider : "—")}
+        </table>
+      </div>
+      <div>
+        <h2>Operator decision</h2>
+        <table class="briefing-facts">
+          ${briefingRow("Decision", "Confirmed wildfire")}
+          ${briefingRow("Confirmed at", formatBriefingTime(incident.confirmedAtIso))}
+          ${briefingRow("Confirmed by", incident.confirmedBy)}
+          ${briefingRow(
+            "Verified by",
+            incident.verifiedBy ? `${incident.verifiedBy}, ${formatBriefingTime(incident.verifiedAtIso)}` : "— (single operator)"
+          )}
+          ${briefingRow("Note", incident.operatorNote || "—")}
+        </table>
+      </div>
+    </section>
+
+    <section class="briefing-section">
+      <h2>Impact assessment</h2>
+      <table class="briefing-facts">
+        ${briefingRow("Spread risk", incident.impact.risk)}
+        ${briefingRow("Estimated area", `~${incident.impact.areaKm2.toFixed(1)} km²`)}
+        ${briefingRow("Zone", describeImpactZone(incident.impact))}
+      </table>
+      <p class="briefing-notes">${escapeXml(incident.impact.notes)}</p>
+      ${
+        projectionRows
+          ? `<table class="briefing-history">
+              <thead><tr><th>Projection</th><th>Valid at</th><th>Area</th><th>Head fire reach</th></tr></thead>
+              <tbody>${projectionRows}</tbody>
+            </table>`
+          : ""
+      }
+    </section>
+
+    <section class="briefing-section">
+      <h2>Exposed infrastructure</h2>
+      ${
+        exposureRows
+          ? `<table class="briefing-history">
+              <thead><tr><th>Feature</th><th>Type</th><th>Position</th></tr></thead>
+              <tbody>${exposureRows}</tbody>
+            </table>`
+          : `<p class="briefing-notes">${
+              overlays.length === 0
+                ? "No overlay layers were loaded."
+                : "No loaded features inside or near the impact zone."
+            }</p>`
+      }
+    </section>
+
+    <section class="briefing-section">
+      <h2>Notes</h2>
+      ${
+        noteRows
+          ? `<table class="briefing-history">
+              <thead><tr><th>Time</th><th>By</th><th>Note</th></tr></thead>
+              <tbody>${noteRows}</tbody>
+            </table>`
+          : `<p class="briefing-notes">No notes recorded.</p>`
+      }
+    </section>
+    ${
+      attachmentFigures
+        ? `<section class="briefing-section">
+            <h2>Attachments</h2>
+            <div class="briefing-attachments">${attachmentFigures}</div>
+          </section>`
+        : ""
+    }
+
+    <section class="briefing-section">
+      <h2>Lifecycle history</h2>
+      <table class="briefing-history">
+        <thead><tr><th>Time</th><th>Status</th><th>By</th><th>Reason</th><th>Time in status</th></tr></thead>
+        <tbody>${transitionRows}</tbody>
+      </table>
+    </section>
+
+    <section class="briefing-section">
+      <h2>Audit trail</h2>
+      ${
+        historyRows
+          ? `<table class="briefing-history">
+              <thead><tr><th>Time</th><th>Event</th><th>By</th><th>Change</th></tr></thead>
+              <tbody>${historyRows}</tbody>
+            </table>`
+          : `<p class="briefing-notes">No recorded events for this incident.</p>`
+      }
+    </section>
+
+    <footer class="briefing-disclaimer">
+      Disclaimer: Aegis Detect is a demonstration. Detections are simulated or produced by an
+      unvalidated model, and the impact assessment is illustrative — not a fire behavior forecast.
+      Do not use this briefing for operational decisions.
+    </footer>`;
+}
+
+async function openBriefing() {
+  const incident = incidents.find((i) => i.id === focusedIncidentId);
+  if (!incident || !incident.impact) return;
+
+  const attachments = await attachmentsForExport(incident);
+  briefingReport.innerHTML = buildBriefingHtml(incident, attachments);
+  // Hide tiles that fail to load (offline) so no broken-image icons are printed.
+  for (const img of briefingReport.querySelectorAll("img.briefing-tile")) {
+    img.addEventListener("error", () => (img.hidden = true), { once: true });
+  }
+  briefingReport.dataset.incidentId = incident.id;
+  briefingOverlay.hidden = false;
+  document.body.classList.add("briefing-open");
+  briefingPrintBtn.focus();
+}
+
+function closeBriefing() {
+  briefingOverlay.hidden = true;
+  document.body.classList.remove("briefing-open");
+  briefingReport.innerHTML = "";
+  printBriefingBtn.focus();
+}
+
+printBriefingBtn.addEventListener("click", openBriefing);
+briefingCloseBtn.addEventListener("click", closeBriefing);
+
+briefingPrintBtn.addEventListener("click", () => {
+  const incidentId = briefingReport.dataset.incidentId;
+  if (incidentId) recordAuditEvent({ type: "incident_exported", subjectId: incidentId, after: { format: "briefing" } });
+  window.print();
+});
+
+briefingOverlay.addEventListener("keydown", (e) => {
+  if (e.key === "Escape") closeBriefing();
+});
+
+// ===== Bulk incident export (GeoJSON / KML / CSV) ============================
+
+/*
+  Downstream GIS tools need standard formats. All three formats share one field
+  mapping (incidentExportRecord) so a column in the CSV, a GeoJSON property and a
+  KML ExtendedData value always carry the same name and value.
+
+  Impact zones are exported as polygons (spread ellipse approximated with 64 vertices),
+  followed by one polygon per spread projection step. CSV stays one row per incident.
+*/
+
+const IMPACT_POLYGON_VERTICES = 64;
+const EARTH_RADIUS_METERS = 6_371_000;
+
+/** Export scopes for the bulk export selector. */
+const BULK_EXPORT_SCOPES = {
+  all: { label: "All incidents", test: () => true },
+  open: { label: "Open (not resolved or closed)", test: isOpenIncident },
+  awaiting: { label: "Awaiting response", test: (i) => i.status === "Confirmed — Awaiting response" },
+  dispatched: { label: "Response dispatched", test: (i) => i.status === "Confirmed — Response dispatched" },
+  monitoring: { label: "Monitoring", test: (i) => i.status === "Monitoring" },
+  contained: { label: "Contained", test: (i) => i.status === "Contained" },
+  resolved: { label: "Resolved", test: (i) => i.status === "Resolved" },
+  closed: { label: "Closed", test: (i) => i.status === "Closed" },
+  reopened: { label: "Reopened", test: (i) => i.status === "Reopened" },
+};
+
+/**
+ * The one flat field mapping shared by every bulk export format.
+ * @param {typeof incidents[number]} incident
+ */
+function incidentExportRecord(incident) {
+  const impact = incident.impact;
+  const size = impact ? impactZoneSize(impact) : null;
+  const inputs = impact && impact.inputs;
+  const totals = timeInStatuses(incident);
+  const minutesIn = (status) => Math.floor((totals[status] || 0) / 60_000);
+  return {
+    incidentId: incident.id,
+    label: shortIncidentLabel(incident.id),
+    name: incident.name,
+    assignedUnit: incident.assignedUnit,
+    priority: incident.priority,
+    lifecycleStatus: incident.status,
+    statusSinceIso: statusSinceIso(incident),
+    minutesInStatus: Math.floor((Date.now() - Date.parse(statusSinceIso(incident))) / 60_000),
+    ...Object.fromEntries(
+      Object.entries(LIFECYCLE).map(([status, { exportKey }]) => [`minutes${exportKey}`, minutesIn(status)])
+    ),
+    confidencePct: incident.confidencePct,
+    triage: incident.triage ? TRIAGE_LEVELS[incident.triage].label : "",
+    policyVersion: incident.policyVersion === null ? "" : incident.policyVersion,
+    detectedAtIso: incident.detectedAtIso,
+    confirmedAtIso: incident.confirmedAtIso,
+    confirmedBy: incident.confirmedBy,
+    verifiedBy: incident.verifiedBy || "",
+    verifiedAtIso: incident.verifiedAtIso || "",
+    lat: Number(incident.location.lat.toFixed(6)),
+    lng: Number(incident.location.lng.toFixed(6)),
+    impactRisk: impact ? impact.risk : "",
+    impactLengthMeters: size ? size.lengthMeters : "",
+    impactWidthMeters: size ? size.widthMeters : "",
+    impactAreaKm2: impact ? Number(impact.areaKm2.toFixed(2)) : "",
+    spreadTowardDeg: inputs ? impact.spreadTowardDeg : "",
+    windSpeedKmh: inputs ? inputs.windSpeedKmh : "",
+    windFromDeg: inputs ? inputs.windFromDeg : "",
+    slopePct: inputs ? inputs.slopePct : "",
+    fuelClass: inputs ? inputs.fuelClass : "",
+    aoi: incident.aoi ? incident.aoi.name : "",
+    operatorNote: incident.operatorNote,
+    noteCount: incident.notes.length,
+    attachmentCount: incident.attachments.length,
+    mergedDetectionCount: incident.mergedDetections.length,
+  };
+}
+
+/**
+ * Point at a given distance/bearing on a sphere (good enough for km-scale zones).
+ * @param {L.LatLng} origin
+ * @param {number} distanceMeters
+ * @param {number} bearingDeg clockwise from north
+ */
+function destinationPoint(origin, distanceMeters, bearingDeg) {
+  const toRad = Math.PI / 180;
+  const angular = distanceMeters / EARTH_RADIUS_METERS;
+  const bearing = bearingDeg * toRad;
+  const lat1 = origin.lat * toRad;
+  const lng1 = origin.lng * toRad;
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing)
+  );
+  const lng2 =
+    lng1 +
+    Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+  return L.latLng(lat2 / toRad, lng2 / toRad);
+}
+
+/**
+ * Impact zone outline for export (open ring).
+ * @param {typeof incidents[number]} incident
+ * @returns {L.LatLng[]|null}
+ */
+function impactZoneRing(incident) {
+  return incident.impact ? impactOutline(incident.location, incident.impact) : null;
+}
+
+/** @param {L.LatLng[]} ring */
+function closedLngLatRing(ring) {
+  const coords = ring.map((p) => [Number(p.lng.toFixed(6)), Number(p.lat.toFixed(6))]);
+  coords.push(coords[0]);
+  return coords;
+}
+
+/** @param {Array<typeof incidents[number]>} list */
+function buildIncidentsGeoJson(list) {
+  const features = [];
+  for (const incident of list) {
+    const properties = incidentExportRecord(incident);
+    features.push({
+      type: "Feature",
+      id: incident.id,
+      geometry: { type: "Point", coordinates: [properties.lng, properties.lat] },
+      properties: { ...properties, featureKind: "incident" },
+    });
+
+    const ring = impactZoneRing(incident);
+    if (ring) {
+      features.push({
+        type: "Feature",
+        id: `${incident.id}_impact`,
+        geometry: { type: "Polygon", coordinates: [closedLngLatRing(ring)] },
+        properties: { ...properties, featureKind: "impact_zone" },
+      });
+    }
+
+    for (const step of buildSpreadProjection(incident) || []) {
+      features.push({
+        type: "Feature",
+        id: `${incident.id}_spread_${step.hours}h`,
+        geometry: { type: "Polygon", coordinates: [closedLngLatRing(step.ring)] },
+        properties: {
+          ...properties,
+          featureKind: "spread_contour",
+          projectionHours: step.hours,
+          projectionValidAtIso: step.validAtIso,
+          projectionAreaKm2: Number(step.areaKm2.toFixed(2)),
+        },
+      });
+    }
+  }
+
+  return JSON.stringify(
+    {
+      type: "FeatureCollection",
+      name: "aegis_detect_incidents",
+      generatedAtIso: new Date().toISOString(),
+      disclaimer: "Demo / Non-operational data",
+      features,
+    },
+    null,
+    2
+  );
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/** @param {Array<typeof incidents[number]>} list */
+function buildIncidentsKml(list) {
+  const extendedData = (record) =>
+    `<ExtendedData>${Object.entries(record)
+      .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+      .join("")}</ExtendedData>`;
+
+  const placemarks = list.map((incident) => {
+    const record = incidentExportRecord(incident);
+    const description = `${record.lifecycleStatus} • AI confidence ${record.confidencePct}%`;
+    let kml =
+      `<Placemark id="${escapeXml(incident.id)}"><name>${escapeXml(record.label)}</name>` +
+      `<description>${escapeXml(description)}</description><styleUrl>#incident</styleUrl>` +
+      extendedData(record) +
+      `<Point><coordinates>${record.lng},${record.lat},0</coordinates></Point></Placemark>`;
+
+    const ring = impactZoneRing(incident);
+    if (ring) {
+      const coords = closedLngLatRing(ring)
+        .map(([lng, lat]) => `${lng},${lat},0`)
+        .join(" ");
+      kml +=
+        `<Placemark id="${escapeXml(incident.id)}_impact"><name>${escapeXml(record.label)} impact zone</name>` +
+        `<styleUrl>#impact</styleUrl>${extendedData(record)}` +
+        `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coords}</coordinates></LinearRing></outerBoundaryIs></Polygon>` +
+        `</Placemark>`;
+    }
+
+    for (const step of buildSpreadProjection(incident) || []) {
+      const coords = closedLngLatRing(step.ring)
+        .map(([lng, lat]) => `${lng},${lat},0`)
+        .join(" ");
+      const stepRecord = {
+        ...record,
+        projectionHours: step.hours,
+        projectionValidAtIso: step.validAtIso,
+        projectionAreaKm2: Number(step.areaKm2.toFixed(2)),
+      };
+      kml +=
+        `<Placemark id="${escapeXml(incident.id)}_spread_${step.hours}h">` +
+        `<name>${escapeXml(record.label)} ${escapeXml(formatProjectionHours(step.hours))}</name>` +
+        `<styleUrl>#spread</styleUrl>${extendedData(stepRecord)}` +
+        `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coords}</coordinates></LinearRing></outerBoundaryIs></Polygon>` +
+        `</Placemark>`;
+    }
+    return kml;
+  });
+
+  // KML colors are aabbggrr.
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>',
+    "<name>Aegis Detect incidents</name>",
+    "<description>Demo / Non-operational data</description>",
+    '<Style id="incident"><IconStyle><color>ff7171f8</color></IconStyle></Style>',
+    '<Style id="impact"><LineStyle><color>ff3c92fb</color><width>2</width></LineStyle>' +
+      "<PolyStyle><color>1f4444ef</color></PolyStyle></Style>",
+    '<Style id="spread"><LineStyle><color>d924bffb</color><width>1.5</width></LineStyle>' +
+      "<PolyStyle><fill>0</fill></PolyStyle></Style>",
+    ...placemarks,
+    "</Document></kml>",
+  ].join("\n");
+}
+
+/**
+ * CSV cell: quote when needed; neutralize spreadsheet formulas in text fields.
+ * @param {string|number} value
+ */
+function csvCell(value) {
+  if (typeof value === "number") return String(value);
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** @param {Array<typeof incidents[number]>} list */
+function buildIncidentsCsv(list) {
+  const records = list.map(incidentExportRecord);
+  const columns = Object.keys(records[0] || {});
+  const lines = [columns.join(","), ...records.map((record) => columns.map((key) => csvCell(record[key])).join(","))];
+  return lines.join("\r\n") + "\r\n";
+}
+
+const BULK_EXPORT_FORMATS = {
+  geojson: { extension: "geojson", mimeType: "application/geo+json", build: buildIncidentsGeoJson },
+  kml: { extension: "kml", mimeType: "application/vnd.google-earth.kml+xml", build: buildIncidentsKml },
+  csv: { extension: "csv", mimeType: "text/csv", build: buildIncidentsCsv },
+};
+
+function getBulkExportIncidents() {
+  const scope = BULK_EXPORT_SCOPES[bulkExportScopeSelect.value] || BULK_EXPORT_SCOPES.all;
+  return incidents.filter(scope.test);
+}
+
+function updateBulkExportUI() {
+  const count = getBulkExportIncidents().length;
+  bulkExportBtn.disabled = count === 0;
+  bulkExportSummary.textContent =
+    incidents.length === 0 ? "No incidents to export yet." : `${count} of ${incidents.length} incident(s) selected.`;
+}
+
+bulkExportScopeSelect.addEventListener("change", updateBulkExportUI);
+
+bulkExportBtn.addEventListener("click", () => {
+  const list = getBulkExportIncidents();
+  const format = BULK_EXPORT_FORMATS[bulkExportFormatSelect.value];
+  if (list.length === 0 || !format) return;
+
+  recordAuditEvent({
+    type: "incidents_exported",
+    after: { format: bulkExportFormatSelect.value, count: list.length, scope: bulkExportScopeSelect.value },
+  });
+
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+  downloadFile(`aegis_detect_incidents_${stamp}.${format.extension}`, format.mimeType, format.build(list));
+});
+
+// ===== Impact assessment (rule-based, explainable) ===========================
+
+/*
+  Impact model
+  ------------
+  A deterministic rule set, not a fire behavior simulator. Every factor is a
+  simple multiplier so the notes can say exactly which input moved the result:
+
+    head rate = fuel base rate × wind factor × slope factor
+    back rate = fuel base rate (backing fire gets no help from wind or slope)
+
+  The zone is the ellipse the fire could cover in IMPACT_HORIZON_HOURS: its long
+  axis points downwind, the ignition point sits toward the upwind end, and the
+  length-to-breadth ratio grows with wind speed. Slope has no aspect input, so
+  it is assumed to run upslope in the wind direction (the worst case).
+*/
+
+/** @typedef {"grass" | "shrub" | "timber" | "slash"} FuelClass */
+
+/**
+ * @typedef {{windSpeedKmh:number, windFromDeg:number, slopePct:number, fuelClass:FuelClass}} ImpactInputs
+ */
+
+/**
+ * Incidents confirmed before the rule-based model carry only `radiusMeters` (a circle);
+ * newer ones carry the inputs and spread rates instead.
+ * @typedef {{
+ *   risk: "Low" | "Medium" | "High",
+ *   areaKm2: number,
+ *   notes: string,
+ *   radiusMeters?: number,
+ *   inputs?: ImpactInputs,
+ *   headRateMetersPerHour?: number,
+ *   backRateMetersPerHour?: number,
+ *   lengthToBreadth?: number,
+ *   spreadTowardDeg?: number,
+ *   horizonHours?: number
+ * }} ImpactAssessment
+ */
+
+const IMPACT_INPUTS_STORAGE_KEY = "aegisDetect.impactInputs";
+const IMPACT_HORIZON_HOURS = 2;
+/** Smallest semi-axis drawn: roughly one satellite hotspot pixel. */
+const IMPACT_MIN_SEMI_AXIS_METERS = 250;
+const IMPACT_MAX_LENGTH_TO_BREADTH = 5;
+
+/** Flat-ground, calm-air spread rates (m/h) per fuel class. */
+const FUEL_CLASSES = {
+  grass: { label: "Grass", baseRateMetersPerHour: 600 },
+  shrub: { label: "Shrub", baseRateMetersPerHour: 300 },
+  timber: { label: "Timber litter", baseRateMetersPerHour: 120 },
+  slash: { label: "Logging slash", baseRateMetersPerHour: 240 },
+};
+
+/** Head fire rate (m/h) at or above which each risk level applies. */
+const RISK_THRESHOLDS_METERS_PER_HOUR = { Medium: 300, High: 1200 };
+
+const DEFAULT_IMPACT_INPUTS = { windSpeedKmh: 15, windFromDeg: 270, slopePct: 10, fuelClass: "shrub" };
+
+/** @param {number} deg */
+function compassPoint(deg) {
+  const points = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+  return points[Math.round((((deg % 360) + 360) % 360) / 22.5) % 16];
+}
+
+/** @param {number} value */
+function formatRate(value) {
+  return `${Math.round(value).toLocaleString()} m/h`;
+}
+
+/**
+ * Validate raw inputs (form fields or a loaded file) into model inputs.
+ * @param {Record<string, unknown>} raw
+ * @returns {{inputs: ImpactInputs | null, errors: string[]}}
+ */
+function parseImpactInputs(raw) {
+  const errors = [];
+  const number = (key, label, min, max) => {
+    const value = typeof raw[key] === "string" && raw[key].trim() !== "" ? Number(raw[key]) : raw[key];
+    if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${label} must be a number from ${min} to ${max}.`);
+      return NaN;
+    }
+    return value;
+  };
+
+  const windSpeedKmh = number("windSpeedKmh", "Wind speed (km/h)", 0, 150);
+  const windFromDeg = number("windFromDeg", "Wind direction (°)", 0, 360);
+  const slopePct = number("slopePct", "Slope (%)", 0, 100);
+  const fuelClass = String(raw.fuelClass || "").toLowerCase();
+  if (!(fuelClass in FUEL_CLASSES)) {
+    errors.push(`Fuel class must be one of: ${Object.keys(FUEL_CLASSES).join(", ")}.`);
+  }
+
+  if (errors.length > 0) return { inputs: null, errors };
+  return {
+    inputs: { windSpeedKmh, windFromDeg: windFromDeg % 360, slopePct, fuelClass: /** @type {FuelClass} */ (fuelClass) },
+    errors,
+  };
+}
+
+/**
+ * Evaluate the rule set.
+ * @param {ImpactInputs} inputs
+ * @returns {ImpactAssessment}
+ */
+function generateImpactAssessment(inputs) {
+  const fuel = FUEL_CLASSES[inputs.fuelClass];
+  const windFactor = 1 + inputs.windSpeedKmh / 8;
+  const slopeFactor = 1 + 5 * (inputs.slopePct / 100) ** 2;
+  const headRateMetersPerHour = fuel.baseRateMetersPerHour * windFactor * slopeFactor;
+  const backRateMetersPerHour = fuel.baseRateMetersPerHour;
+  const lengthToBreadth = Math.min(1 + inputs.windSpeedKmh / 15, IMPACT_MAX_LENGTH_TO_BREADTH);
+  const spreadTowardDeg = (inputs.windFromDeg + 180) % 360;
+
+  /** @type {"Low"|"Medium"|"High"} */
+  let risk = "Low";
+  if (headRateMetersPerHour >= RISK_THRESHOLDS_METERS_PER_HOUR.High) risk = "High";
+  else if (headRateMetersPerHour >= RISK_THRESHOLDS_METERS_PER_HOUR.Medium) risk = "Medium";
+
+  const impact = {
+    risk,
+    areaKm2: 0,
+    notes: "",
+    inputs: { ...inputs },
+    headRateMetersPerHour: Math.round(headRateMetersPerHour),
+    backRateMetersPerHour,
+    lengthToBreadth: Number(lengthToBreadth.toFixed(2)),
+    spreadTowardDeg,
+    horizonHours: IMPACT_HORIZON_HOURS,
+  };
+
+  const { semiMajorMeters, semiMinorMeters } = spreadEllipse(impact, IMPACT_HORIZON_HOURS);
+  impact.areaKm2 = (Math.PI * semiMajorMeters * semiMinorMeters) / 1_000_000;
+
+  const windNote =
+    inputs.windSpeedKmh === 0
+      ? "Wind: calm, so spread is the same in every direction."
+      : `Wind: ${inputs.windSpeedKmh} km/h from ${inputs.windFromDeg}° (${compassPoint(inputs.windFromDeg)}), ` +
+        `pushing the head fire toward ${compassPoint(spreadTowardDeg)}; spread ×${windFactor.toFixed(2)}, ` +
+        `zone ${lengthToBreadth.toFixed(1)}× longer than wide.`;
+  const slopeNote =
+    inputs.slopePct === 0
+      ? "Slope: flat, no slope effect."
+      : `Slope: ${inputs.slopePct}%, spread ×${slopeFactor.toFixed(2)} (assumed upslope with the wind).`;
+  const threshold =
+    risk === "High"
+      ? `≥ ${formatRate(RISK_THRESHOLDS_METERS_PER_HOUR.High)}`
+      : risk === "Medium"
+        ? `${formatRate(RISK_THRESHOLDS_METERS_PER_HOUR.Medium)}–${formatRate(RISK_THRESHOLDS_METERS_PER_HOUR.High)}`
+        : `< ${formatRate(RISK_THRESHOLDS_METERS_PER_HOUR.Medium)}`;
+
+  impact.notes = [
+    `Fuel: ${fuel.label}, base spread ${formatRate(fuel.baseRateMetersPerHour)}.`,
+    windNote,
+    slopeNote,
+    `Head fire ~${formatRate(headRateMetersPerHour)} → ${risk} risk (${threshold}). Zone shows ${IMPACT_HORIZON_HOURS} h of spread.`,
+  ].join(" ");
+
+  return impact;
+}
+
+/**
+ * Ellipse covered after `hours` of spread from the ignition point.
+ * @param {ImpactAssessment} impact
+ * @param {number} hours
+ */
+function spreadEllipse(impact, hours) {
+  const head = impact.headRateMetersPerHour * hours;
+  const back = impact.backRateMetersPerHour * hours;
+  const semiMajorMeters = Math.max((head + back) / 2, IMPACT_MIN_SEMI_AXIS_METERS);
+  const semiMinorMeters = Math.max(semiMajorMeters / impact.lengthToBreadth, IMPACT_MIN_SEMI_AXIS_METERS);
+  // Distance from the ignition point to the ellipse center, downwind.
+  const centerOffsetMeters = (head - back) / 2;
+  return { semiMajorMeters, semiMinorMeters, centerOffsetMeters };
+}
+
+/**
+ * Impact zone outline (open ring): the spread ellipse, or a circle for legacy incidents.
+ * @param {L.LatLng} center ignition point
+ * @param {ImpactAssessment} impact
+ * @param {number} [hours] spread time; defaults to the assessment horizon (ignored for circles)
+ * @returns {L.LatLng[]}
+ */
+function impactOutline(center, impact, hours = impact.horizonHours) {
+  const ring = [];
+  if (!impact.inputs) {
+    for (let i = 0; i < IMPACT_POLYGON_VERTICES; i++) {
+      ring.push(destinationPoint(center, impact.radiusMeters, (360 * i) / IMPACT_POLYGON_VERTICES));
+    }
+    return ring;
+  }
+
+  const { semiMajorMeters, semiMinorMeters, centerOffsetMeters } = spreadEllipse(impact, hours);
+  for (let i = 0; i < IMPACT_POLYGON_VERTICES; i++) {
+    const t = (2 * Math.PI * i) / IMPACT_POLYGON_VERTICES;
+    // Local frame: x along the spread direction, y to its right.
+    const x = centerOffsetMeters + semiMajorMeters * Math.cos(t);
+    const y = semiMinorMeters * Math.sin(t);
+    const bearing = impact.spreadTowardDeg + (Math.atan2(y, x) * 180) / Math.PI;
+    ring.push(destinationPoint(center, Math.hypot(x, y), bearing));
+  }
+  return ring;
+}
+
+/**
+ * Overall zone extent (a legacy circle is as long as it is wide).
+ * @param {ImpactAssessment} impact
+ */
+function impactZoneSize(impact) {
+  if (!impact.inputs) return { lengthMeters: impact.radiusMeters * 2, widthMeters: impact.radiusMeters * 2 };
+  const { semiMajorMeters, semiMinorMeters } = spreadEllipse(impact, impact.horizonHours);
+  return { lengthMeters: Math.round(semiMajorMeters * 2), widthMeters: Math.round(semiMinorMeters * 2) };
+}
+
+/**
+ * Short zone size description for reports.
+ * @param {ImpactAssessment} impact
+ */
+function describeImpactZone(impact) {
+  if (!impact.inputs) return `Circle, ${impact.radiusMeters} m radius`;
+  const { lengthMeters, widthMeters } = impactZoneSize(impact);
+  const km = (meters) => (meters / 1000).toFixed(1);
+  return (
+    `Ellipse ${km(lengthMeters)} × ${km(widthMeters)} km, ` +
+    `spreading toward ${impact.spreadTowardDeg}° (${compassPoint(impact.spreadTowardDeg)})`
+  );
+}
+
+/**
+ * Render the impact assessment into the panel (shown only after operator confirmation).
+ * @param {ImpactAssessment} impact
+ */
+function renderImpactAssessment(impact) {
+  impactAssessment.hidden = false;
+  impactRiskText.textContent = impact.risk;
+  impactAreaText.textContent = `~${impact.areaKm2.toFixed(1)} km²`;
+  impactNotes.textContent = impact.notes;
+
+  // Risk pill styling
+  impactRiskPill.textContent = impact.risk;
+  impactRiskPill.classList.remove("low", "medium", "high");
+  impactRiskPill.classList.add(impact.risk.toLowerCase());
+}
+
+/**
+ * Draw a semi-transparent impact zone around the confirmed fire location.
+ * @param {L.LatLng} center
+ * @param {ImpactAssessment} impact
+ * @param {number} [hours] spread time shown (the projection slider moves this)
+ */
+function drawImpactZone(center, impact, hours = impact.horizonHours) {
+  clearImpactZone();
+  impactZone = L.polygon(impactOutline(center, impact, hours), {
+    color: "#fb923c", // orange border
+    weight: 2,
+    opacity: 0.95,
+    fillColor: "#ef4444", // red fill
+    fillOpacity: 0.12,
+    dashArray: "6 6",
+  }).addTo(map);
+}
+
+// ===== Spread projection (time-stepped contours + timeline) =================
+
+/*
+  Spread projection
+  -----------------
+  The same rule set evaluated at fixed time steps after confirmation. Spread
+  grows linearly from the ignition point, so the contours are nested: each one
+  is the previous ellipse scaled outward. Legacy incidents (no fire conditions)
+  have no projection.
+
+  The map timeline redraws the impact zone at any time between 0 and the last
+  step; the fixed step contours stay visible as outlines for reference.
+*/
+
+const PROJECTION_STEPS_HOURS = [1, 3, 6, 12];
+const PROJECTION_PLAYBACK_STEP_HOURS = 0.25;
+const PROJECTION_PLAYBACK_FRAME_MS = 120;
+
+/** @type {L.LayerGroup|null} */
+let projectionLayer = null;
+/** @type {string|null} */
+let projectionIncidentId = null;
+/** @type {number|null} */
+let projectionPlayback = null;
+
+/**
+ * Nested contours for one incident, or null when it has no fire conditions.
+ * @param {typeof incidents[number]} incident
+ * @returns {null | Array<{hours:number, validAtIso:string, areaKm2:number, headDistanceMeters:number, ring:L.LatLng[]}>}
+ */
+function buildSpreadProjection(incident) {
+  const impact = incident.impact;
+  if (!impact || !impact.inputs) return null;
+
+  const startMs = new Date(incidentActiveSinceIso(incident)).getTime();
+  return PROJECTION_STEPS_HOURS.map((hours) => {
+    const { semiMajorMeters, semiMinorMeters, centerOffsetMeters } = spreadEllipse(impact, hours);
+    return {
+      hours,
+      validAtIso: new Date(startMs + hours * 3_600_000).toISOString(),
+      areaKm2: (Math.PI * semiMajorMeters * semiMinorMeters) / 1_000_000,
+      headDistanceMeters: Math.round(centerOffsetMeters + semiMajorMeters),
+      ring: impactOutline(incident.location, impact, hours),
+    };
+  });
+}
+
+/**
+ * Projection as plain data for exports (closed [lng, lat] rings).
+ * @param {typeof incidents[number]} incident
+ */
+function spreadProjectionExport(incident) {
+  const projection = buildSpreadProjection(incident);
+  if (!projection) return null;
+  return projection.map((step) => ({
+    hours: step.hours,
+    validAtIso: step.validAtIso,
+    areaKm2: Number(step.areaKm2.toFixed(2)),
+    headDistanceMeters: step.headDistanceMeters,
+    polygon: closedLngLatRing(step.ring),
+  }));
+}
+
+/** @param {number} hours */
+function formatProjectionHours(hours) {
+  return `+${Number.isInteger(hours) ? hours : hours.toFixed(2).replace(/0$/, "")} h`;
+}
+
+/**
+ * Show the contours and timeline for the focused incident.
+ * @param {typeof incidents[number]} incident
+ */
+function showSpreadProjection(incident) {
+  const projection = buildSpreadProjection(incident);
+  if (!projection) return;
+
+  projectionIncidentId = incident.id;
+  projectionLayer = L.layerGroup().addTo(map);
+  for (const step of projection) {
+    L.polygon(step.ring, {
+      color: "#fbbf24",
+      weight: 1.5,
+      opacity: 0.85,
+      fill: false,
+      interactive: false,
+    }).addTo(projectionLayer);
+
+    // Label each contour at its downwind tip, where the nested outlines are furthest apart.
+    L.tooltip({ direction: "right", className: "projection-label" })
+      .setLatLng(destinationPoint(incident.location, step.headDistanceMeters, incident.impact.spreadTowardDeg))
+      .setContent(formatProjectionHours(step.hours))
+      .addTo(projectionLayer);
+  }
+
+  projectionSlider.max = String(PROJECTION_STEPS_HOURS[PROJECTION_STEPS_HOURS.length - 1]);
+  projectionSlider.value = String(incident.impact.horizonHours);
+  projectionControl.hidden = false;
+  updateProjectionLabel(incident, incident.impact.horizonHours);
+}
+
+/**
+ * @param {typeof incidents[number]} incident
+ * @param {number} hours
+ */
+function updateProjectionLabel(incident, hours) {
+  const { semiMajorMeters, semiMinorMeters, centerOffsetMeters } = spreadEllipse(incident.impact, hours);
+  const validAt = new Date(new Date(incidentActiveSinceIso(incident)).getTime() + hours * 3_600_000);
+  const areaKm2 = (Math.PI * semiMajorMeters * semiMinorMeters) / 1_000_000;
+  const reachKm = (centerOffsetMeters + semiMajorMeters) / 1000;
+  projectionTimeLabel.textContent = `${formatProjectionHours(hours)} • ${formatDetectionTime(validAt.toISOString())}`;
+  projectionSummary.textContent = `~${areaKm2.toFixed(1)} km² • head fire reach ${reachKm.toFixed(1)} km`;
+}
+
+/** @param {number} hours */
+function setProjectionTime(hours) {
+  const incident = incidents.find((i) => i.id === projectionIncidentId);
+  if (!incident || !impactZone) return;
+  impactZone.setLatLngs(impactOutline(incident.location, incident.impact, hours));
+  updateProjectionLabel(incident, hours);
+}
+
+function stopProjectionPlayback() {
+  if (projectionPlayback === null) return;
+  clearInterval(projectionPlayback);
+  projectionPlayback = null;
+  projectionPlayBtn.textContent = "Play";
+  projectionPlayBtn.setAttribute("aria-pressed", "false");
+}
+
+function startProjectionPlayback() {
+  const end = Number(projectionSlider.max);
+  // Replay from the start when already at the end.
+  if (Number(projectionSlider.value) >= end) projectionSlider.value = "0";
+
+  projectionPlayBtn.textContent = "Pause";
+  projectionPlayBtn.setAttribute("aria-pressed", "true");
+  projectionPlayback = setInterval(() => {
+    const next = Math.min(Number(projectionSlider.value) + PROJECTION_PLAYBACK_STEP_HOURS, end);
+    projectionSlider.value = String(next);
+    setProjectionTime(next);
+    if (next >= end) stopProjectionPlayback();
+  }, PROJECTION_PLAYBACK_FRAME_MS);
+}
+
+function hideSpreadProjection() {
+  stopProjectionPlayback();
+  if (projectionLayer) {
+    map.removeLayer(projectionLayer);
+    projectionLayer = null;
+  }
+  projectionIncidentId = null;
+  projectionControl.hidden = true;
+}
+
+projectionSlider.addEventListener("input", () => {
+  stopProjectionPlayback();
+  setProjectionTime(Number(projectionSlider.value));
+});
+
+projectionPlayBtn.addEventListener("click", () => {
+  if (projectionPlayback === null) startProjectionPlayback();
+  else stopProjectionPlayback();
+});
+
+// ===== Fire conditions (impact model inputs) =================================
+
+/** Conditions as last saved, for the audit entry's "before". @type {ImpactInputs} */
+let savedConditions = DEFAULT_IMPACT_INPUTS;
+
+function readConditionsForm() {
+  return parseImpactInputs({
+    windSpeedKmh: windSpeedInput.value,
+    windFromDeg: windFromInput.value,
+    slopePct: slopeInput.value,
+    fuelClass: fuelClassSelect.value,
+  });
+}
+
+/** @param {ImpactInputs} inputs */
+function fillConditionsForm(inputs) {
+  windSpeedInput.value = String(inputs.windSpeedKmh);
+  windFromInput.value = String(inputs.windFromDeg);
+  slopeInput.value = String(inputs.slopePct);
+  fuelClassSelect.value = inputs.fuelClass;
+}
+
+/** @param {string[]} errors */
+function showConditionsErrors(errors) {
+  conditionsErrors.innerHTML = "";
+  conditionsErrors.hidden = errors.length === 0;
+  for (const message of errors) {
+    const li = document.createElement("li");
+    li.textContent = message;
+    conditionsErrors.appendChild(li);
+  }
+}
+
+function renderConditionsControls() {
+  const editable = can("edit_conditions");
+  for (const control of [windSpeedInput, windFromInput, slopeInput, fuelClassSelect, loadConditionsBtn]) {
+    control.disabled = !editable;
+  }
+}
+
+function saveConditions() {
+  if (!requirePermission("edit_conditions")) {
+    fillConditionsForm(savedConditions);
+    return;
+  }
+  const { inputs, errors } = readConditionsForm();
+  showConditionsErrors(errors);
+  if (!inputs || JSON.stringify(inputs) === JSON.stringify(savedConditions)) return;
+
+  recordAuditEvent({ type: "conditions_updated", before: savedConditions, after: inputs });
+  savedConditions = inputs;
+  try {
+    localStorage.setItem(IMPACT_INPUTS_STORAGE_KEY, JSON.stringify(inputs));
+  } catch (err) {
+    console.warn("Aegis Detect: could not save fire conditions.", err);
+  }
+}
+
+/**
+ * Load inputs from a JSON file, e.g.
+ * {"windSpeedKmh": 25, "windFromDeg": 250, "slopePct": 15, "fuelClass": "grass"}
+ * @param {File} file
+ */
+async function loadConditionsFile(file) {
+  if (!requirePermission("edit_conditions")) return;
+  let raw;
+  try {
+    raw = JSON.parse(await file.text());
+  } catch (err) {
+    showConditionsErrors([`${file.name}: not valid JSON (${err instanceof Error ? err.message : String(err)}).`]);
+    return;
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    showConditionsErrors([`${file.name}: expected a JSON object with the fire condition fields.`]);
+    return;
+  }
+
+  const { inputs, errors } = parseImpactInputs(raw);
+  if (!inputs) {
+    showConditionsErrors(errors.map((message) => `${file.name}: ${message}`));
+    return;
+  }
+  fillConditionsForm(inputs);
+  saveConditions();
+  setInstruction(`Fire conditions loaded from ${file.name}. They apply to the next confirmed detection.`);
+}
+
+for (const input of [windSpeedInput, windFromInput, slopeInput, fuelClassSelect]) {
+  input.addEventListener("change", saveConditions);
+}
+
+loadConditionsBtn.addEventListener("click", () => conditionsFileInput.click());
+conditionsFileInput.addEventListener("change", () => {
+  const [file] = conditionsFileInput.files || [];
+  conditionsFileInput.value = "";
+  if (file) loadConditionsFile(file);
+});
+
+// Conditions are a per-browser working value (like the operator ID); each incident keeps its own copy.
+try {
+  const stored = JSON.parse(localStorage.getItem(IMPACT_INPUTS_STORAGE_KEY) || "null");
+  const { inputs } = stored ? parseImpactInputs(stored) : { inputs: null };
+  if (inputs) savedConditions = inputs;
+} catch (err) {
+  console.warn("Aegis Detect: could not restore fire conditions.", err);
+}
+fillConditionsForm(savedConditions);
+renderConditionsControls();
+
+// ===== Triage policy (confidence thresholds) =================================
+
+/*
+  Triage policy
+  -------------
+  Operator-editable confidence thresholds applied to every new detection:
+  - below suppressBelowPct: suppressed. Logged in the audit trail, never queued.
+  - from suppressBelowPct up to highPriorityFromPct: "needs second review".
+  - from highPriorityFromPct: high priority (colored action bar and marker).
+  - twoPersonConfirmation: high-priority or High-risk detections need a second
+    operator to verify the first confirmation (see the review workflow).
+
+  Every save creates a new numbered version; old versions are kept so the
+  version stamped on a detection or incident can always be looked up. Tabs
+  share the stored list: a save re-reads it before numbering, so two tabs
+  cannot both create the same version.
+
+  With team sync the versions are shared too, and the newest saved anywhere is
+  in force. Two browsers saving at once can both create "v3", so detections and
+  incidents are stamped with the version's ID (unique per tab) as well as its
+  number, and lookups go by ID.
+*/
+
+const TRIAGE_POLICY_STORAGE_KEY = "aegisDetect.triagePolicy";
+
+/**
+ * @typedef {"suppressed" | "second_review" | "high_priority"} TriageLevel
+ * @typedef {{
+ *   id: string,
+ *   version: number,
+ *   suppressBelowPct: number,
+ *   highPriorityFromPct: number,
+ *   twoPersonConfirmation?: boolean,
+ *   savedAtIso: string | null,
+ *   savedBy: string,
+ *   sync?: SyncMeta
+ * }} TriagePolicy
+ */
+
+/** @type {Record<TriageLevel, {label: string, className: string}>} */
+const TRIAGE_LEVELS = {
+  suppressed: { label: "Suppressed", className: "suppressed" },
+  second_review: { label: "Needs second review", className: "review" },
+  high_priority: { label: "High priority", className: "high" },
+};
+
+/** @type {TriagePolicy} */
+const DEFAULT_TRIAGE_POLICY = {
+  id: "default",
+  version: 1,
+  suppressBelowPct: 40,
+  highPriorityFromPct: 80,
+  twoPersonConfirmation: false,
+  savedAtIso: null,
+  savedBy: "default",
+};
+
+/** Every saved version, oldest save first; the last one is in force. @type {TriagePolicy[]} */
+const triagePolicyVersions = [];
+
+function currentTriagePolicy() {
+  return triagePolicyVersions[triagePolicyVersions.length - 1] || DEFAULT_TRIAGE_POLICY;
+}
+
+/**
+ * The policy a detection or incident was triaged under (null for pre-policy records).
+ * Records stamped before policy IDs existed are looked up by version number.
+ * @param {{policyId?: string | null, policyVersion?: number | null}} item
+ */
+function triagePolicyOf(item) {
+  const all = [DEFAULT_TRIAGE_POLICY, ...triagePolicyVersions];
+  if (item.policyId) return all.find((p) => p.id === item.policyId) || null;
+  return all.find((p) => p.version === item.policyVersion) || null;
+}
+
+/**
+ * @param {number} confidencePct
+ * @param {TriagePolicy} [policy]
+ * @returns {TriageLevel}
+ */
+function triageLevel(confidencePct, policy = currentTriagePolicy()) {
+  if (confidencePct < policy.suppressBelowPct) return "suppressed";
+  if (confidencePct < policy.highPriorityFromPct) return "second_review";
+  return "high_priority";
+}
+
+/** @param {{triage?: TriageLevel | null, policyVersion?: number | null}} item */
+function describeTriage(item) {
+  if (!item.triage) return "— (before triage policy)";
+  return `${TRIAGE_LEVELS[item.triage].label} (policy v${item.policyVersion})`;
+}
+
+/**
+ * @typedef {{suppressBelowPct: number, highPriorityFromPct: number, twoPersonConfirmation: boolean}} PolicySettings
+ */
+
+/**
+ * Validate the policy form.
+ * @returns {{settings: PolicySettings | null, errors: string[]}}
+ */
+function readPolicyForm() {
+  const errors = [];
+  const parse = (input, label) => {
+    const value = Number(input.value);
+    if (input.value.trim() === "" || !Number.isInteger(value) || value < 0 || value > 100) {
+      errors.push(`${label} must be a whole number from 0 to 100.`);
+      return null;
+    }
+    return value;
+  };
+  const suppressBelowPct = parse(suppressBelowInput, "Suppress below");
+  const highPriorityFromPct = parse(highPriorityFromInput, "High priority from");
+  if (errors.length === 0 && suppressBelowPct > highPriorityFromPct) {
+    errors.push("Suppress below cannot be higher than High priority from.");
+  }
+  const twoPersonConfirmation = twoPersonInput.checked;
+  return {
+    settings: errors.length === 0 ? { suppressBelowPct, highPriorityFromPct, twoPersonConfirmation } : null,
+    errors,
+  };
+}
+
+/** @param {string[]} errors */
+function showPolicyErrors(errors) {
+  policyErrors.innerHTML = "";
+  policyErrors.hidden = errors.length === 0;
+  for (const message of errors) {
+    const li = document.createElement("li");
+    li.textContent = message;
+    policyErrors.appendChild(li);
+  }
+}
+
+function renderTriagePolicy() {
+  const policy = currentTriagePolicy();
+  suppressBelowInput.value = String(policy.suppressBelowPct);
+  highPriorityFromInput.value = String(policy.highPriorityFromPct);
+  twoPersonInput.checked = Boolean(policy.twoPersonConfirmation);
+  for (const input of [suppressBelowInput, highPriorityFromInput, twoPersonInput]) input.disabled = !can("edit_policy");
+  policySummary.textContent = policy.savedAtIso
+    ? `Version ${policy.version}, saved by ${policy.savedBy} at ${formatDetectionTime(policy.savedAtIso)}.`
+    : `Version ${policy.version} (default).`;
+  savePolicyBtn.disabled = true;
+  showPolicyErrors([]);
+}
+
+function updateSavePolicyButton() {
+  const { settings, errors } = readPolicyForm();
+  showPolicyErrors(errors);
+  const current = pickPolicySettings(currentTriagePolicy());
+  savePolicyBtn.disabled = !settings || !can("edit_policy") || Object.keys(settings).every((key) => settings[key] === current[key]);
+}
+
+function saveTriagePolicy() {
+  if (!requirePermission("edit_policy")) return;
+  const { settings, errors } = readPolicyForm();
+  showPolicyErrors(errors);
+  if (!settings) return;
+
+  // Another tab may have saved a version since this one loaded.
+  refreshTriagePolicies();
+  const before = currentTriagePolicy();
+  /** @type {TriagePolicy} */
+  const policy = {
+    id: `pol_${syncClientId}_${Date.now()}`,
+    version: Math.max(DEFAULT_TRIAGE_POLICY.version, ...triagePolicyVersions.map((p) => p.version)) + 1,
+    ...settings,
+    savedAtIso: new Date().toISOString(),
+    savedBy: getOperatorId(),
+  };
+  triagePolicyVersions.push(policy);
+  recordAuditEvent({
+    type: "policy_updated",
+    subjectId: null,
+    before: { policyVersion: before.version, ...pickPolicySettings(before) },
+    after: { policyVersion: policy.version, ...pickPolicySettings(policy) },
+  });
+  // After the audit event's save, which gives the version its sync metadata.
+  saveTriagePolicies();
+
+  renderTriagePolicy();
+  setInstruction(
+    `Triage policy version ${policy.version} saved. Thresholds apply from the next run; two-person confirmation applies from the next decision.`
+  );
+}
+
+/**
+ * Stored versions, oldest first. Entries that are not a valid policy are dropped.
+ * @returns {TriagePolicy[]}
+ */
+function readStoredTriagePolicies() {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(TRIAGE_POLICY_STORAGE_KEY) || "[]");
+  } catch (err) {
+    console.warn("Aegis Detect: could not restore triage policy.", err);
+    return [];
+  }
+  if (!Array.isArray(stored)) return [];
+  const valid = stored.filter(isValidTriagePolicy);
+  if (valid.length < stored.length) console.warn("Aegis Detect: ignored invalid stored triage policy versions.");
+  // Versions saved before policy IDs existed: number and save time identify them.
+  return sortTriagePolicies(valid.map((p) => (p.id ? p : { ...p, id: `pol_v${p.version}_${Date.parse(p.savedAtIso)}` })));
+}
+
+/**
+ * Oldest save first (ties by ID), so every browser agrees on the one in force.
+ * @param {TriagePolicy[]} policies
+ */
+function sortTriagePolicies(policies) {
+  const key = (p) => `${p.savedAtIso} ${p.id}`;
+  return policies.sort((a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0));
+}
+
+function saveTriagePolicies() {
+  try {
+    localStorage.setItem(TRIAGE_POLICY_STORAGE_KEY, JSON.stringify(triagePolicyVersions));
+  } catch (err) {
+    console.warn("Aegis Detect: could not save triage policy.", err);
+  }
+}
+
+/** @param {any} value */
+function isValidTriagePolicy(value) {
+  const isPct = (n) => Number.isInteger(n) && n >= 0 && n <= 100;
+  return (
+    !!value &&
+    Number.isInteger(value.version) &&
+    value.version > DEFAULT_TRIAGE_POLICY.version &&
+    isPct(value.suppressBelowPct) &&
+    isPct(value.highPriorityFromPct) &&
+    value.suppressBelowPct <= value.highPriorityFromPct &&
+    (value.id === undefined || typeof value.id === "string") &&
+    (value.twoPersonConfirmation === undefined || typeof value.twoPersonConfirmation === "boolean") &&
+    typeof value.savedAtIso === "string" &&
+    typeof value.savedBy === "string"
+  );
+}
+
+/** Replace the in-memory versions with the stored ones (plus any this tab could not store). */
+function refreshTriagePolicies() {
+  const stored = readStoredTriagePolicies();
+  const storedIds = new Set(stored.map((p) => p.id));
+  const unsaved = triagePolicyVersions.filter((p) => !storedIds.has(p.id));
+  triagePolicyVersions.splice(0, triagePolicyVersions.length, ...sortTriagePolicies([...stored, ...unsaved]));
+}
+
+/**
+ * @param {TriagePolicy} policy
+ * @returns {PolicySettings}
+ */
+function pickPolicySettings(policy) {
+  return {
+    suppressBelowPct: policy.suppressBelowPct,
+    highPriorityFromPct: policy.highPriorityFromPct,
+    // Versions saved before the two-person option had it off.
+    twoPersonConfirmation: Boolean(policy.twoPersonConfirmation),
+  };
+}
+
+/**
+ * Apply the policy to a run's detections. Suppressed ones are logged (as AI events) and dropped.
+ * @param {Array<{location:L.LatLng, confidencePct:number, detectedAtIso:string}>} detections
+ * @param {string} providerId
+ * @param {{id:string, name:string}|null} aoi
+ * @returns {{kept: typeof detections, suppressedCount: number}}
+ */
+function suppressLowConfidence(detections, providerId, aoi) {
+  const policy = currentTriagePolicy();
+  const kept = [];
+  /** @type {AuditEventInput[]} */
+  const suppressed = [];
+
+  const base = Date.now();
+  for (const [i, d] of detections.entries()) {
+    if (triageLevel(d.confidencePct, policy) !== "suppressed") {
+      kept.push(d);
+      continue;
+    }
+    suppressed.push({
+      type: "detection_created",
+      actor: "ai",
+      subjectId: `sup_${syncClientId}_${base + i}`,
+      after: {
+        state: "suppressed",
+        confidencePct: d.confidencePct,
+        location: serializeLatLng(d.location),
+        detectedAtIso: d.detectedAtIso,
+        provider: providerId,
+        aoi: aoi ? aoi.name : null,
+        triage: "suppressed",
+        policyVersion: policy.version,
+        policyId: policy.id,
+      },
+    });
+  }
+  // One refresh and save for the whole run rather than one per suppressed detection.
+  recordAuditEvents(suppressed);
+  return { kept, suppressedCount: suppressed.length };
+}
+
+for (const input of [suppressBelowInput, highPriorityFromInput]) {
+  input.addEventListener("input", updateSavePolicyButton);
+}
+twoPersonInput.addEventListener("change", updateSavePolicyButton);
+savePolicyBtn.addEventListener("click", saveTriagePolicy);
+
+// A version saved in another tab applies here too.
+window.addEventListener("storage", (event) => {
+  if (event.key !== TRIAGE_POLICY_STORAGE_KEY) return;
+  refreshTriagePolicies();
+  renderTriagePolicy();
+});
+
+triagePolicyVersions.push(...readStoredTriagePolicies());
+renderTriagePolicy();
+
+// ===== Audit trail (append-only) =============================================
+
+/*
+  Accountability / auditability
+  -----------------------------
+  Every AI output and operator decision is recorded as an immutable entry:
+  who acted, when, on what, and the values before and after the change.
+  Entries are only ever appended; nothing in the UI edits or deletes them.
+
+  A real deployment would write these to a tamper-evident server-side store.
+*/
+
+/**
+ * @typedef {"detection_created" | "detection_confirmed" | "detection_rejected"
+ *   | "status_changed" | "incident_exported" | "incidents_exported" | "selection_changed"
+ *   | "aoi_created" | "aoi_updated" | "aoi_deleted" | "incident_updated" | "note_added"
+ *   | "attachment_added" | "attachment_removed" | "detection_merged" | "policy_updated"
+ *   | "verification_requested" | "operator_signed_in" | "operator_signed_out"
+ *   | "handover_exported" | "alert_issued" | "metrics_exported" | "overlay_added" | "overlay_removed"
+ *   | "conditions_updated"} AuditEventType
+ */
+
+/**
+ * @type {Array<Readonly<{
+ *   id: string,
+ *   atIso: string,
+ *   type: AuditEventType,
+ *   actor: "ai" | "operator",
+ *   operator: string,
+ *   subjectId: string | null,
+ *   before: any,
+ *   after: any
+ * }>>}
+ */
+const auditLog = [];
+
+/** @type {Record<AuditEventType, string>} */
+const AUDIT_EVENT_LABELS = {
+  detection_created: "Detection created",
+  detection_confirmed: "Detection confirmed",
+  detection_rejected: "Detection rejected",
+  status_changed: "Status changed",
+  incident_exported: "Incident exported",
+  incidents_exported: "Incidents exported",
+  selection_changed: "Selection changed",
+  aoi_created: "AOI created",
+  aoi_updated: "AOI updated",
+  aoi_deleted: "AOI deleted",
+  incident_updated: "Incident details edited",
+  note_added: "Note added",
+  attachment_added: "Attachment added",
+  attachment_removed: "Attachment removed",
+  detection_merged: "Detection merged",
+  policy_updated: "Triage policy updated",
+  verification_requested: "Verification requested",
+  operator_signed_in: "Signed in",
+  operator_signed_out: "Signed out",
+  handover_exported: "Shift handover exported",
+  alert_issued: "Alert issued",
+  metrics_exported: "Metrics exported",
+  overlay_added: "Overlay loaded",
+  overlay_removed: "Overlay removed",
+  conditions_updated: "Fire conditions changed",
+};
+
+/** Deep-copy to plain JSON so later mutations can't rewrite history. */
+function snapshotAuditValue(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * @typedef {{
+ *   type: AuditEventType,
+ *   actor?: "ai" | "operator",
+ *   subjectId?: string | null,
+ *   before?: any,
+ *   after?: any
+ * }} AuditEventInput
+ */
+
+/**
+ * Append one event to the audit trail (and persist it).
+ * AI events still carry the operator at the console: the person who requested the analysis.
+ * @param {AuditEventInput} event
+ */
+function recordAuditEvent(event) {
+  recordAuditEvents([event]);
+}
+
+/**
+ * Append several events, then refresh the views and save once (e.g. a run's suppressed detections).
+ * @param {AuditEventInput[]} events
+ */
+function recordAuditEvents(events) {
+  if (events.length === 0) return;
+  for (const { type, actor = "operator", subjectId = null, before = null, after = null } of events) {
+    auditLog.push(
+      Object.freeze({
+        // Unique across tabs too: synced entries are deduplicated by ID.
+        id: `evt_${syncClientId}_${Date.now()}_${auditLog.length + 1}`,
+        atIso: new Date().toISOString(),
+        type,
+        actor,
+        operator: getOperatorId(),
+        subjectId,
+        before: snapshotAuditValue(before),
+        after: snapshotAuditValue(after),
+      })
+    );
+  }
+  renderAuditLog();
+  renderHandoverSummary();
+  // Rejections and suppressed detections are not in the incident list, so refresh the metrics here.
+  renderMetrics();
+  saveState();
+  // Heatmap points for detections come from this log.
+  if (mapViewSelect.value === "heatmap") refreshMapDisplay();
+}
+
+function describeAuditValue(value) {
+  if (value === null) return "—";
+  if ("ring" in value) {
+    const label = value.type === "rectangle" ? "Rectangle" : value.type === "polygon" ? "Polygon" : "Freehand";
+    return `${label}, ${value.ring.length} vertices`;
+  }
+  // Entries recorded before shape selections existed stored a bounding box.
+  if ("south" in value && "north" in value) {
+    return `SW (${value.south.toFixed(3)}, ${value.west.toFixed(3)}) → NE (${value.north.toFixed(3)}, ${value.east.toFixed(3)})`;
+  }
+  if ("status" in value) return value.reason ? `${value.status} (${value.reason})` : value.status;
+  if ("lifecycleStatus" in value) {
+    const verified = value.verifiedBy ? `, verified by ${value.verifiedBy}` : "";
+    return `${value.state} (${value.lifecycleStatus}${verified})`;
+  }
+  if ("policyVersion" in value && "suppressBelowPct" in value) {
+    const twoPerson = value.twoPersonConfirmation ? ", two-person confirmation" : "";
+    return `v${value.policyVersion}: suppress < ${value.suppressBelowPct}%, high ≥ ${value.highPriorityFromPct}%${twoPerson}`;
+  }
+  if ("detectionId" in value) return `${value.confidencePct}% detection ${formatDistance(value.distanceMeters)} away`;
+  if ("confidencePct" in value) {
+    const where = value.aoi ? ` in ${value.aoi}` : "";
+    return `${value.state}, ${value.confidencePct}% via ${value.provider}${where}`;
+  }
+  if ("scanIntervalMin" in value) {
+    const schedule = value.scanIntervalMin ? `every ${value.scanIntervalMin} min` : "no schedule";
+    return `"${value.name}", ${value.visible ? "shown" : "hidden"}, ${schedule}`;
+  }
+  if ("assignedUnit" in value) {
+    return `"${value.name || "unnamed"}", unit ${value.assignedUnit || "unassigned"}, ${value.priority} priority`;
+  }
+  if ("note" in value) return `"${value.note}"`;
+  if ("fileName" in value) return `${value.fileName} (${formatBytes(value.sizeBytes)})`;
+  if ("identifier" in value) {
+    return `CAP ${value.msgType}, ${value.severity} (${value.capStatus}), ${value.endpointCount} endpoint(s)`;
+  }
+  if ("state" in value) return value.state;
+  if ("role" in value) return OPERATOR_ROLES[value.role].label;
+  if ("fromDate" in value) return `${value.format.toUpperCase()}, ${value.fromDate} to ${value.toDate}`;
+  if ("format" in value && "count" in value) return `${value.count} incident(s) as ${value.format.toUpperCase()}`;
+  if ("format" in value) return value.format.toUpperCase();
+  return JSON.stringify(value);
+}
+
+function describeAuditSubject(subjectId) {
+  if (subjectId.startsWith("sup_")) return "Suppressed detection";
+  if (subjectId.startsWith("aoi_")) {
+    const aoi = aois.find((a) => a.id === subjectId);
+    return aoi ? `AOI ${aoi.name}` : "AOI (deleted)";
+  }
+  if (subjectId.startsWith("ovl_")) {
+    const overlay = overlays.find((o) => o.id === subjectId);
+    return overlay ? `Overlay ${overlay.name}` : "Overlay";
+  }
+  return shortIncidentLabel(subjectId);
+}
+
+function renderAuditFilterOptions() {
+  const selected = auditFilterSelect.value;
+  auditFilterSelect.innerHTML = "";
+
+  const all = document.createElement("option");
+  all.value = "";
+  all.textContent = "All events";
+  auditFilterSelect.appendChild(all);
+
+  for (const incident of incidents) {
+    const option = document.createElement("option");
+    option.value = incident.id;
+    option.textContent = shortIncidentLabel(incident.id);
+    auditFilterSelect.appendChild(option);
+  }
+
+  auditFilterSelect.value = incidents.some((i) => i.id === selected) ? selected : "";
+}
+
+function renderAuditLog() {
+  renderAuditFilterOptions();
+
+  const filterId = auditFilterSelect.value;
+  const entries = filterId ? auditLog.filter((e) => e.subjectId === filterId) : auditLog;
+
+  auditList.innerHTML = "";
+  auditEmpty.hidden = entries.length > 0;
+  auditList.hidden = entries.length === 0;
+
+  // Newest first, matching the incident list.
+  for (const entry of [...entries].reverse()) {
+    const li = document.createElement("li");
+    li.className = "audit-entry";
+
+    const head = document.createElement("div");
+    head.className = "audit-entry-head";
+    const type = document.createElement("span");
+    type.textContent = AUDIT_EVENT_LABELS[entry.type] || entry.type;
+    const time = document.createElement("time");
+    time.dateTime = entry.atIso;
+    time.textContent = formatDetectionTime(entry.atIso);
+    head.appendChild(type);
+    head.appendChild(time);
+
+    const meta = document.createElement("div");
+    meta.className = "audit-entry-meta";
+    const who = entry.actor === "ai" ? `AI (requested by ${entry.operator})` : entry.operator;
+    meta.textContent = entry.subjectId ? `${who} • ${describeAuditSubject(entry.subjectId)}` : who;
+
+    const change = document.createElement("div");
+    change.className = "audit-entry-change";
+    change.textContent = `${describeAuditValue(entry.before)} → ${describeAuditValue(entry.after)}`;
+
+    li.appendChild(head);
+    li.appendChild(meta);
+    li.appendChild(change);
+    auditList.appendChild(li);
+  }
+}
+
+auditFilterSelect.addEventListener("change", renderAuditLog);
+
+// ===== Areas of interest (AOI library + scheduled scans) ====================
+
+/*
+  Areas of interest
+  -----------------
+  Operators watch a set of fixed, named areas. Any selection can be saved as an AOI;
+  AOIs can be shown/hidden on the map, renamed, deleted, or reused as the selection.
+
+  An AOI with a scan interval is re-analyzed automatically while this page is open,
+  using the detection source currently chosen in the panel. New detections join the
+  review queue labelled with their AOI; nothing is confirmed without an operator.
+
+  Only one tab per browser runs the scheduled scans (it holds a Web Lock; when it
+  closes, another open tab takes over). Otherwise every tab would scan and team
+  sync would put each detection in the shared queue once per tab. The same tab
+  delivers outbound alerts (see Outbound alerts).
+*/
+
+const SCHEDULER_LOCK = "aegisDetect.scheduler";
+
+/** How often the scheduler checks for due scans. */
+const AOI_SCHEDULER_TICK_MS = 15_000;
+
+/** Scan interval choices in minutes (0 = manual only). */
+const AOI_SCAN_INTERVALS_MIN = [0, 1, 5, 15, 30, 60];
+
+const aoiStyle = {
+  color: "#a78bfa",
+  weight: 2,
+  opacity: 0.85,
+  fillColor: "#a78bfa",
+  fillOpacity: 0.06,
+  dashArray: "2 6",
+};
+
+/**
+ * @type {Array<{
+ *   id: string,
+ *   name: string,
+ *   area: SelectionArea,
+ *   visible: boolean,
+ *   scanIntervalMin: number,
+ *   lastScanAtIso: string | null,
+ *   lastScanResult: string | null,
+ *   layer: L.Polygon | null
+ * }>}
+ */
+const aois = [];
+
+/** AOI id -> controller of its in-flight scheduled scan. @type {Map<string, AbortController>} */
+const aoiScansInFlight = new Map();
+
+/** Abort reason used when an AOI is deleted mid-scan. */
+const AOI_SCAN_DISCARDED = new Error("AOI deleted during scan.");
+
+/** True in the tab that runs scheduled scans and alert deliveries (every tab where Web Locks are missing). */
+let schedulerLeader = !("locks" in navigator);
+
+/** Plain-data view of an AOI for the audit trail. */
+function aoiAuditValue(aoi) {
+  return { name: aoi.name, visible: aoi.visible, scanIntervalMin: aoi.scanIntervalMin };
+}
+
+function serializeAoi(aoi) {
+  const { layer, area, ...rest } = aoi;
+  return { ...rest, area: serializeArea(area) };
+}
+
+function deserializeAoi(data) {
+  const aoi = { ...data, area: deserializeArea(data.area), layer: null };
+  syncAoiLayer(aoi);
+  return aoi;
+}
+
+/** Add or remove the AOI outline to match its visibility. */
+function syncAoiLayer(aoi) {
+  if (aoi.visible && !aoi.layer) {
+    aoi.layer = L.polygon(aoi.area.ring, aoiStyle)
+      .bindTooltip(aoi.name, { sticky: true, direction: "top" })
+      .addTo(map);
+  } else if (!aoi.visible && aoi.layer) {
+    map.removeLayer(aoi.layer);
+    aoi.layer = null;
+  }
+}
+
+/**
+ * @param {typeof aois[number]} aoi
+ * @param {Partial<Pick<typeof aois[number], "name"|"visible"|"scanIntervalMin">>} changes
+ */
+function updateAoi(aoi, changes) {
+  if (!requirePermission("manage_aois")) {
+    renderAoiList();
+    return;
+  }
+  const before = aoiAuditValue(aoi);
+  Object.assign(aoi, changes);
+  if (aoi.layer) aoi.layer.setTooltipContent(aoi.name);
+  syncAoiLayer(aoi);
+  recordAuditEvent({ type: "aoi_updated", subjectId: aoi.id, before, after: aoiAuditValue(aoi) });
+  renderAoiList();
+}
+
+function deleteAoi(aoi) {
+  if (!requirePermission("manage_aois")) return;
+  const controller = aoiScansInFlight.get(aoi.id);
+  if (controller) controller.abort(AOI_SCAN_DISCARDED);
+
+  aoi.visible = false;
+  syncAoiLayer(aoi);
+  aois.splice(aois.indexOf(aoi), 1);
+  recordAuditEvent({ type: "aoi_deleted", subjectId: aoi.id, before: aoiAuditValue(aoi), after: null });
+  renderAoiList();
+}
+
+/**
+ * Add an area to the AOI library (shown, no schedule).
+ * @param {string} name
+ * @param {SelectionArea} area
+ */
+function createAoi(name, area) {
+  const aoi = {
+    id: `aoi_${Date.now()}`,
+    name,
+    area,
+    visible: true,
+    scanIntervalMin: 0,
+    lastScanAtIso: null,
+    lastScanResult: null,
+    layer: null,
+  };
+  aois.push(aoi);
+  syncAoiLayer(aoi);
+
+  recordAuditEvent({ type: "aoi_created", subjectId: aoi.id, after: aoiAuditValue(aoi) });
+  renderAoiList();
+  setInstruction(`Saved "${aoi.name}" to the AOI library. Set a scan interval to monitor it automatically.`);
+  return aoi;
+}
+
+saveAoiBtn.addEventListener("click", () => {
+  if (!selectedArea || !requirePermission("manage_aois")) return;
+  createAoi(aoiNameInput.value.trim() || `AOI ${aois.length + 1}`, selectedArea);
+  aoiNameInput.value = "";
+});
+
+function formatScanInterval(minutes) {
+  if (!minutes) return "Manual only";
+  return minutes < 60 ? `Every ${minutes} min` : `Every ${minutes / 60} h`;
+}
+
+function renderAoiList() {
+  aoiEmpty.hidden = aois.length > 0;
+  aoiList.hidden = aois.length === 0;
+  aoiList.innerHTML = "";
+
+  const editable = can("manage_aois");
+  for (const aoi of aois) {
+    const li = document.createElement("li");
+    li.className = "aoi-row";
+
+    const top = document.createElement("div");
+    top.className = "aoi-row-top";
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.className = "text-input aoi-name";
+    name.value = aoi.name;
+    name.setAttribute("aria-label", "AOI name");
+    name.disabled = !editable;
+    name.addEventListener("change", () => {
+      const next = name.value.trim();
+      if (!next || next === aoi.name) {
+        name.value = aoi.name;
+        return;
+      }
+      updateAoi(aoi, { name: next });
+    });
+
+    const visibleLabel = document.createElement("label");
+    visibleLabel.className = "aoi-visible muted small";
+    const visible = document.createElement("input");
+    visible.type = "checkbox";
+    visible.checked = aoi.visible;
+    visible.disabled = !editable;
+    visible.addEventListener("change", () => updateAoi(aoi, { visible: visible.checked }));
+    visibleLabel.appendChild(visible);
+    visibleLabel.append(" Show");
+
+    top.appendChild(name);
+    top.appendChild(visibleLabel);
+
+    const bottom = document.createElement("div");
+    bottom.className = "aoi-row-bottom";
+
+    const interval = document.createElement("select");
+    interval.setAttribute("aria-label", `Scan interval for ${aoi.name}`);
+    for (const minutes of AOI_SCAN_INTERVALS_MIN) {
+      const option = document.createElement("option");
+      option.value = String(minutes);
+      option.textContent = formatScanInterval(minutes);
+      interval.appendChild(option);
+    }
+    interval.value = String(aoi.scanIntervalMin);
+    interval.disabled = !editable;
+    interval.addEventListener("change", () => updateAoi(aoi, { scanIntervalMin: Number(interval.value) }));
+
+    const use = document.createElement("button");
+    use.type = "button";
+    use.className = "btn btn-secondary";
+    use.textContent = "Select";
+    use.disabled = activeDetectionRun !== null;
+    use.addEventListener("click", () => {
+      commitSelection(aoi.area);
+      map.fitBounds(aoi.area.bounds, { padding: [24, 24] });
+      setInstruction(`"${aoi.name}" selected. You may run detection when ready.`);
+    });
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "btn btn-secondary";
+    remove.textContent = "Delete";
+    remove.disabled = !editable;
+    remove.addEventListener("click", () => {
+      if (!window.confirm(`Delete AOI "${aoi.name}"? Its scheduled scans stop.`)) return;
+      deleteAoi(aoi);
+    });
+
+    bottom.appendChild(interval);
+    bottom.appendChild(use);
+    bottom.appendChild(remove);
+
+    const meta = document.createElement("p");
+    meta.className = "muted small aoi-meta";
+    const scanning = aoiScansInFlight.has(aoi.id);
+    meta.textContent = scanning
+      ? "Scanning…"
+      : aoi.scanIntervalMin && !schedulerLeader
+        ? "Scheduled scans run in another tab of this browser."
+        : aoi.lastScanAtIso
+        ? `Last scan ${formatDetectionTime(aoi.lastScanAtIso)}: ${aoi.lastScanResult || "—"}`
+        : "Not scanned yet.";
+
+    li.appendChild(top);
+    li.appendChild(bottom);
+    li.appendChild(meta);
+    aoiList.appendChild(li);
+  }
+  renderOfflineAreaOptions();
+  renderOfflineCard();
+}
+
+/**
+ * Scheduled scan of one AOI. Results join the review queue; failures are noted on the AOI row.
+ * @param {typeof aois[number]} aoi
+ */
+async function runAoiScan(aoi) {
+  if (aoiScansInFlight.has(aoi.id)) return;
+
+  const provider = getActiveProvider();
+  const controller = new AbortController();
+  aoiScansInFlight.set(aoi.id, controller);
+  aoi.lastScanAtIso = new Date().toISOString();
+  renderAoiList();
+
+  try {
+    const result = await detectInArea(provider, aoi.area, controller.signal);
+    const { kept: detections, suppressedCount } = suppressLowConfidence(result.detections, provider.id, {
+      id: aoi.id,
+      name: aoi.name,
+    });
+    aoi.lastScanResult = [
+      detections.length === 0 ? "no detections" : `${detections.length} detection(s) queued`,
+      suppressedCount > 0 ? `${suppressedCount} suppressed` : "",
+    ]
+      .filter(Boolean)
+      .join(", ");
+    if (detections.length === 0) return;
+
+    const firstIndex = addToReviewQueue(detections, aoi.area.bounds, provider.id, { id: aoi.id, name: aoi.name });
+    const active = getActiveDetection();
+    if (!active || !isAwaitingDecision(active)) {
+      setActiveDetection(firstIndex);
+    } else {
+      // Keep the operator on the detection they're reviewing; refresh queue counts only.
+      activeReviewIndex = reviewQueue.indexOf(active);
+      showDetectionResult(active);
+      renderReviewQueue();
+    }
+
+    // Don't overwrite the status of a manual analysis in progress.
+    if (!activeDetectionRun) {
+      setStatus("alert", `${countPendingReviews()} awaiting review`);
+      setInstruction(
+        `Scheduled scan of "${aoi.name}" found ${detections.length} potential wildfire(s). Human confirmation is required.`
+      );
+    }
+  } catch (err) {
+    if (controller.signal.reason === AOI_SCAN_DISCARDED) return;
+    aoi.lastScanResult = `failed (${err instanceof Error ? err.message : String(err)})`;
+  } finally {
+    aoiScansInFlight.delete(aoi.id);
+    if (aois.includes(aoi)) {
+      saveState();
+      renderAoiList();
+    }
+  }
+}
+
+function runDueAoiScans() {
+  if (!schedulerLeader) return;
+  const now = Date.now();
+  for (const aoi of aois) {
+    if (!aoi.scanIntervalMin) continue;
+    const last = aoi.lastScanAtIso ? new Date(aoi.lastScanAtIso).getTime() : 0;
+    if (now - last >= aoi.scanIntervalMin * 60 * 1000) runAoiScan(aoi);
+  }
+}
+
+setInterval(runDueAoiScans, AOI_SCHEDULER_TICK_MS);
+
+// The lock is held until the tab closes, so the request never resolves.
+if ("locks" in navigator) {
+  navigator.locks.request(SCHEDULER_LOCK, () => {
+    schedulerLeader = true;
+    renderAoiList();
+    resumeAlertDeliveries();
+    return new Promise(() => {});
+  });
+}
+
+// ===== AOI import (GeoJSON / KML) ============================================
+
+/*
+  GIS staff hand over AOI boundaries as GeoJSON or KML. Supported inputs:
+  - GeoJSON: FeatureCollection, Feature or bare geometry; Polygon, MultiPolygon,
+    or a feature/collection `bbox` when there is no polygon geometry
+  - KML: Placemarks with Polygon / MultiGeometry polygons, and LatLonBox extents
+
+  Each polygon becomes one importable feature (MultiPolygon parts are listed
+  separately). Only outer rings are used; holes are ignored and noted.
+  Anything else (points, lines, malformed coordinates) is reported per feature
+  without blocking the rest of the file.
+*/
+
+const importStyle = {
+  color: "#7dd3fc",
+  weight: 1.5,
+  opacity: 0.7,
+  fillColor: "#7dd3fc",
+  fillOpacity: 0.05,
+  dashArray: "4 4",
+};
+
+/**
+ * @type {Array<{name:string, area:SelectionArea, note:string|null, layer:L.Polygon}>}
+ */
+let importedFeatures = [];
+
+/**
+ * Validate one GeoJSON [lng, lat] position.
+ * @param {any} pos
+ * @param {number} i index, for error messages
+ * @returns {L.LatLng}
+ */
+function latLngFromPosition(pos, i) {
+  const lng = Number(Array.isArray(pos) ? pos[0] : NaN);
+  const lat = Number(Array.isArray(pos) ? pos[1] : NaN);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) throw new Error(`coordinate ${i + 1} is not a number pair`);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) throw new Error(`coordinate ${i + 1} is out of range`);
+  return L.latLng(lat, lng);
+}
+
+/**
+ * Validate one ring of [lng, lat] positions and turn it into map coordinates.
+ * @param {any} positions
+ * @returns {L.LatLng[]}
+ */
+function ringFromPositions(positions) {
+  if (!Array.isArray(positions)) throw new Error("ring is not a coordinate array");
+
+  const ring = positions.map(latLngFromPosition);
+
+  // Drop the closing vertex (and any repeated neighbours) — rings are stored open.
+  const open = ring.filter((p, i) => i === 0 || !p.equals(ring[i - 1]));
+  if (open.length > 1 && open[0].equals(open[open.length - 1])) open.pop();
+  if (open.length < 3) throw new Error("ring has fewer than 3 distinct vertices");
+  return open;
+}
+
+/**
+ * @param {any} bbox GeoJSON bbox [west, south, east, north] (2D)
+ * @returns {SelectionArea}
+ */
+function areaFromBbox(bbox) {
+  const [west, south, east, north] = Array.isArray(bbox) ? bbox.map(Number) : [];
+  if (![west, south, east, north].every(Number.isFinite) || south >= north || west >= east) {
+    throw new Error("bbox is not [west, south, east, north]");
+  }
+  return makeSelectionArea("rectangle", rectangleRing(L.latLngBounds([south, west], [north, east])));
+}
+
+/**
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {{features:Array<{name:string, area:SelectionArea, note:string|null}>, errors:string[]}}
+ */
+function parseGeoJsonAois(text, fileName) {
+  let root;
+  try {
+    root = JSON.parse(text);
+  } catch {
+    return { features: [], errors: [`${fileName}: not valid JSON.`] };
+  }
+
+  const features = [];
+  const errors = [];
+
+  /** @type {any[]} */
+  let items;
+  if (root && root.type === "FeatureCollection" && Array.isArray(root.features)) items = root.features;
+  else if (root && root.type === "Feature") items = [root];
+  else if (root && typeof root.type === "string") items = [{ type: "Feature", geometry: root, properties: {} }];
+  else return { features: [], errors: [`${fileName}: not a GeoJSON object.`] };
+
+  items.forEach((feature, index) => {
+    const props = (feature && feature.properties) || {};
+    const baseName = String(props.name || props.NAME || props.title || `${fileName} #${index + 1}`);
+    const geometry = feature && feature.geometry;
+
+    try {
+      if (!geometry) {
+        if (feature && feature.bbox) {
+          features.push({ name: baseName, area: areaFromBbox(feature.bbox), note: "from bbox" });
+          return;
+        }
+        throw new Error("has no geometry");
+      }
+
+      if (geometry.type === "Polygon") {
+        const rings = geometry.coordinates;
+        features.push({
+          name: baseName,
+          area: makeSelectionArea("polygon", ringFromPositions(rings && rings[0])),
+          note: Array.isArray(rings) && rings.length > 1 ? "holes ignored" : null,
+        });
+      } else if (geometry.type === "MultiPolygon") {
+        const polygons = Array.isArray(geometry.coordinates) ? geometry.coordinates : [];
+        if (polygons.length === 0) throw new Error("MultiPolygon has no polygons");
+        polygons.forEach((rings, part) => {
+          features.push({
+            name: polygons.length > 1 ? `${baseName} (part ${part + 1})` : baseName,
+            area: makeSelectionArea("polygon", ringFromPositions(rings && rings[0])),
+            note: Array.isArray(rings) && rings.length > 1 ? "holes ignored" : null,
+          });
+        });
+      } else if (feature.bbox) {
+        features.push({ name: baseName, area: areaFromBbox(feature.bbox), note: `from bbox (${geometry.type} ignored)` });
+      } else {
+        throw new Error(`unsupported geometry type ${geometry.type}`);
+      }
+    } catch (err) {
+      errors.push(`${baseName}: ${err instanceof Error ? err.message : String(err)}.`);
+    }
+  });
+
+  if (features.length === 0 && root.type === "FeatureCollection" && root.bbox) {
+    try {
+      features.push({ name: `${fileName} extent`, area: areaFromBbox(root.bbox), note: "from collection bbox" });
+    } catch (err) {
+      errors.push(`${fileName}: ${err instanceof Error ? err.message : String(err)}.`);
+    }
+  }
+
+  return { features, errors };
+}
+
+/**
+ * KML coordinates: whitespace-separated "lng,lat[,alt]" tuples.
+ * @param {string} text
+ */
+function kmlCoordinates(text) {
+  return text
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((tuple) => tuple.split(",").map(Number));
+}
+
+/**
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {{features:Array<{name:string, area:SelectionArea, note:string|null}>, errors:string[]}}
+ */
+function parseKmlAois(text, fileName) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    return { features: [], errors: [`${fileName}: not valid XML.`] };
+  }
+
+  const features = [];
+  const errors = [];
+  // Namespace-agnostic lookups: KML files vary between 2.1/2.2 and prefixed variants.
+  const all = (el, tag) => Array.from(el.getElementsByTagNameNS("*", tag));
+  const first = (el, tag) => all(el, tag)[0] || null;
+
+  const placemarks = all(doc, "Placemark");
+  placemarks.forEach((placemark, index) => {
+    const nameEl = first(placemark, "name");
+    const baseName = (nameEl && nameEl.textContent.trim()) || `${fileName} #${index + 1}`;
+    const polygons = all(placemark, "Polygon");
+
+    if (polygons.length === 0) {
+      const other = ["Point", "LineString", "LinearRing", "Model", "Track"].find((tag) => first(placemark, tag));
+      errors.push(`${baseName}: unsupported geometry type ${other || "(none)"}.`);
+      return;
+    }
+
+    polygons.forEach((polygon, part) => {
+      const name = polygons.length > 1 ? `${baseName} (part ${part + 1})` : baseName;
+      try {
+        const outer = first(polygon, "outerBoundaryIs");
+        const coords = outer && first(outer, "coordinates");
+        if (!coords) throw new Error("Polygon has no outer boundary coordinates");
+        features.push({
+          name,
+          area: makeSelectionArea("polygon", ringFromPositions(kmlCoordinates(coords.textContent))),
+          note: first(polygon, "innerBoundaryIs") ? "holes ignored" : null,
+        });
+      } catch (err) {
+        errors.push(`${name}: ${err instanceof Error ? err.message : String(err)}.`);
+      }
+    });
+  });
+
+  all(doc, "LatLonBox").forEach((box, index) => {
+    const read = (tag) => Number((first(box, tag) || {}).textContent);
+    const overlay = box.parentElement;
+    const nameEl = overlay && first(overlay, "name");
+    const name = (nameEl && nameEl.textContent.trim()) || `${fileName} box #${index + 1}`;
+    try {
+      features.push({
+        name,
+        area: areaFromBbox([read("west"), read("south"), read("east"), read("north")]),
+        note: "from LatLonBox",
+      });
+    } catch (err) {
+      errors.push(`${name}: ${err instanceof Error ? err.message : String(err)}.`);
+    }
+  });
+
+  if (placemarks.length === 0 && features.length === 0 && errors.length === 0) {
+    errors.push(`${fileName}: no Placemarks or LatLonBox extents found.`);
+  }
+
+  return { features, errors };
+}
+
+/**
+ * @param {File} file
+ */
+async function importAoiFile(file) {
+  const lower = file.name.toLowerCase();
+  if (lower.endsWith(".kmz")) {
+    return { features: [], errors: [`${file.name}: KMZ (zipped KML) is not supported; unzip it and import the .kml.`] };
+  }
+
+  const text = await file.text();
+  const looksLikeXml = lower.endsWith(".kml") || text.trimStart().startsWith("<");
+  return looksLikeXml ? parseKmlAois(text, file.name) : parseGeoJsonAois(text, file.name);
+}
+
+/**
+ * @param {FileList|File[]} files
+ */
+async function handleImportFiles(files) {
+  const list = Array.from(files);
+  if (list.length === 0) return;
+
+  const results = await Promise.all(
+    list.map((file) =>
+      importAoiFile(file).catch((err) => ({
+        features: [],
+        errors: [`${file.name}: could not be read (${err instanceof Error ? err.message : String(err)}).`],
+      }))
+    )
+  );
+
+  const features = results.flatMap((r) => r.features);
+  const errors = results.flatMap((r) => r.errors);
+  showImportedFeatures(features, errors);
+
+  if (features.length > 0) {
+    map.fitBounds(L.latLngBounds(features.flatMap((f) => f.area.ring)), { padding: [24, 24] });
+    setInstruction(
+      `Imported ${features.length} area(s)${errors.length ? ` with ${errors.length} problem(s)` : ""}. ` +
+        "Choose a feature to run detection on, or save it as an AOI."
+    );
+  } else {
+    setInstruction("Nothing could be imported. See Imported Features for details.");
+  }
+}
+
+function clearImportedFeatures() {
+  for (const feature of importedFeatures) map.removeLayer(feature.layer);
+  importedFeatures = [];
+}
+
+/**
+ * @param {Array<{name:string, area:SelectionArea, note:string|null}>} features
+ * @param {string[]} errors
+ */
+function showImportedFeatures(features, errors) {
+  clearImportedFeatures();
+
+  importedFeatures = features.map((feature) => {
+    const layer = L.polygon(feature.area.ring, importStyle)
+      .bindTooltip(feature.name, { sticky: true, direction: "top" })
+      .addTo(map);
+    layer.on("click", () => {
+      if (!isSelecting) selectImportedFeature(feature);
+    });
+    return { ...feature, layer };
+  });
+
+  renderImportedFeatures(errors);
+}
+
+function selectImportedFeature(feature) {
+  if (activeDetectionRun) return;
+  commitSelection(feature.area);
+  setInstruction(`"${feature.name}" selected. You may run detection when ready.`);
+}
+
+/**
+ * @param {string[]} errors
+ */
+function renderImportedFeatures(errors) {
+  importCard.hidden = importedFeatures.length === 0 && errors.length === 0;
+  importSummary.textContent =
+    `${importedFeatures.length} feature(s) imported` + (errors.length ? `, ${errors.length} skipped.` : ".");
+
+  importList.innerHTML = "";
+  for (const feature of importedFeatures) {
+    const li = document.createElement("li");
+    li.className = "aoi-row";
+
+    const title = document.createElement("div");
+    title.className = "incident-id";
+    title.textContent = feature.name;
+
+    const meta = document.createElement("p");
+    meta.className = "muted small aoi-meta";
+    meta.textContent = [formatArea(feature.area), feature.note].filter(Boolean).join(" • ");
+
+    const actions = document.createElement("div");
+    actions.className = "aoi-row-bottom";
+
+    const use = document.createElement("button");
+    use.type = "button";
+    use.className = "btn btn-secondary";
+    use.textContent = "Select for detection";
+    use.addEventListener("click", () => selectImportedFeature(feature));
+
+    const save = document.createElement("button");
+    save.type = "button";
+    save.className = "btn btn-secondary";
+    save.textContent = "Save as AOI";
+    save.disabled = !can("manage_aois");
+    save.addEventListener("click", () => {
+      if (!requirePermission("manage_aois")) return;
+      createAoi(feature.name, feature.area);
+      save.disabled = true;
+    });
+
+    actions.appendChild(use);
+    actions.appendChild(save);
+    li.appendChild(title);
+    li.appendChild(meta);
+    li.appendChild(actions);
+    importList.appendChild(li);
+  }
+
+  importErrors.innerHTML = "";
+  importErrors.hidden = errors.length === 0;
+  for (const message of errors) {
+    const li = document.createElement("li");
+    li.textContent = message;
+    importErrors.appendChild(li);
+  }
+}
+
+importAoiBtn.addEventListener("click", () => importFileInput.click());
+
+importFileInput.addEventListener("change", () => {
+  handleImportFiles(importFileInput.files || []);
+  // Allow re-importing the same file after edits.
+  importFileInput.value = "";
+});
+
+clearImportBtn.addEventListener("click", () => {
+  clearImportedFeatures();
+  renderImportedFeatures([]);
+});
+
+// Drag-and-drop onto the map.
+mapShell.addEventListener("dragover", (e) => {
+  if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes("Files")) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "copy";
+  mapShell.classList.add("drop-active");
+});
+
+mapShell.addEventListener("dragleave", (e) => {
+  if (e.relatedTarget instanceof Node && mapShell.contains(e.relatedTarget)) return;
+  mapShell.classList.remove("drop-active");
+});
+
+mapShell.addEventListener("drop", (e) => {
+  mapShell.classList.remove("drop-active");
+  if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+  e.preventDefault();
+  handleImportFiles(e.dataTransfer.files);
+});
+
+// ===== Infrastructure overlays (evacuation planning) =========================
+
+/*
+  Infrastructure overlays
+  -----------------------
+  Operators load local GeoJSON layers (settlements, roads, power lines,
+  facilities) and toggle them on the map. For each incident, every loaded
+  feature is checked against the impact zone and listed when it is inside it
+  or within the category's "near" distance.
+
+  Distances use a local flat projection around the incident: metre-accurate
+  enough at impact zone scale (tens of km). Analysis covers all loaded layers,
+  shown or hidden; the toggle only affects the map.
+
+  Layers are kept under their own storage key: they can be large, and a quota
+  failure there must not stop incidents from being saved.
+*/
+
+const OVERLAY_STORAGE_KEY = "aegisDetect.overlays";
+/** Longest exposure list shown in the panel (exports include every feature). */
+const EXPOSURE_LIST_LIMIT = 12;
+
+/** Categories: map color, and how far outside the impact zone still counts as "near". */
+const OVERLAY_CATEGORIES = {
+  settlements: { label: "Settlements", color: "#f472b6", nearMeters: 5000 },
+  roads: { label: "Roads", color: "#e2e8f0", nearMeters: 1000 },
+  power: { label: "Power lines", color: "#facc15", nearMeters: 1000 },
+  facilities: { label: "Facilities", color: "#34d399", nearMeters: 2000 },
+};
+
+/** @typedef {"settlements" | "roads" | "power" | "facilities"} OverlayCategory */
+
+/**
+ * @typedef {{kind: "point" | "line" | "polygon", coords: L.LatLng[]}} OverlayPart
+ * @typedef {{name: string, parts: OverlayPart[], bounds: L.LatLngBounds}} OverlayFeature
+ */
+
+/**
+ * @type {Array<{
+ *   id: string,
+ *   category: OverlayCategory,
+ *   name: string,
+ *   visible: boolean,
+ *   features: OverlayFeature[],
+ *   layer: L.LayerGroup | null
+ * }>}
+ */
+let overlays = [];
+
+/**
+ * GeoJSON geometry → overlay parts (polygon holes are ignored).
+ * @param {any} geometry
+ * @returns {OverlayPart[]}
+ */
+function overlayParts(geometry) {
+  if (!geometry) throw new Error("has no geometry");
+  const coords = geometry.coordinates;
+  const list = (value) => {
+    if (!Array.isArray(value) || value.length === 0) throw new Error(`${geometry.type} has no coordinates`);
+    return value;
+  };
+  const line = (positions) => {
+    const latLngs = list(positions).map(latLngFromPosition);
+    if (latLngs.length < 2) throw new Error("line has fewer than 2 vertices");
+    return { kind: "line", coords: latLngs };
+  };
+
+  if (geometry.type === "Point") return [{ kind: "point", coords: [latLngFromPosition(coords, 0)] }];
+  if (geometry.type === "MultiPoint") {
+    return list(coords).map((pos, i) => ({ kind: "point", coords: [latLngFromPosition(pos, i)] }));
+  }
+  if (geometry.type === "LineString") return [line(coords)];
+  if (geometry.type === "MultiLineString") return list(coords).map(line);
+  if (geometry.type === "Polygon") return [{ kind: "polygon", coords: ringFromPositions(list(coords)[0]) }];
+  if (geometry.type === "MultiPolygon") {
+    return list(coords).map((rings) => ({ kind: "polygon", coords: ringFromPositions(list(rings)[0]) }));
+  }
+  if (geometry.type === "GeometryCollection") return list(geometry.geometries).flatMap(overlayParts);
+  throw new Error(`unsupported geometry type ${geometry.type}`);
+}
+
+/**
+ * @param {string} name
+ * @param {OverlayPart[]} parts
+ * @returns {OverlayFeature}
+ */
+function makeOverlayFeature(name, parts) {
+  return { name, parts, bounds: L.latLngBounds(parts.flatMap((part) => part.coords)) };
+}
+
+/**
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {{features: OverlayFeature[], errors: string[]}}
+ */
+function parseOverlayGeoJson(text, fileName) {
+  let root;
+  try {
+    root = JSON.parse(text);
+  } catch {
+    return { features: [], errors: [`${fileName}: not valid JSON.`] };
+  }
+
+  /** @type {any[]} */
+  let items;
+  if (root && root.type === "FeatureCollection" && Array.isArray(root.features)) items = root.features;
+  else if (root && root.type === "Feature") items = [root];
+  else if (root && typeof root.type === "string") items = [{ type: "Feature", geometry: root, properties: {} }];
+  else return { features: [], errors: [`${fileName}: not a GeoJSON object.`] };
+
+  const features = [];
+  const errors = [];
+  items.forEach((feature, index) => {
+    const props = (feature && feature.properties) || {};
+    const name = String(props.name || props.NAME || props.title || `${fileName} #${index + 1}`);
+    try {
+      features.push(makeOverlayFeature(name, overlayParts(feature && feature.geometry)));
+    } catch (err) {
+      errors.push(`${name}: ${err instanceof Error ? err.message : String(err)}.`);
+    }
+  });
+  return { features, errors };
+}
+
+/** @param {typeof overlays[number]} overlay */
+function syncOverlayLayer(overlay) {
+  if (overlay.layer) {
+    map.removeLayer(overlay.layer);
+    overlay.layer = null;
+  }
+  if (!overlay.visible) return;
+
+  const color = OVERLAY_CATEGORIES[overlay.category].color;
+  const group = L.layerGroup();
+  for (const feature of overlay.features) {
+    for (const part of feature.parts) {
+      const layer =
+        part.kind === "point"
+          ? L.circleMarker(part.coords[0], { radius: 5, color, weight: 1.5, fillColor: color, fillOpacity: 0.6 })
+          : part.kind === "line"
+            ? L.polyline(part.coords, { color, weight: 2, opacity: 0.85 })
+            : L.polygon(part.coords, { color, weight: 1.5, opacity: 0.85, fillColor: color, fillOpacity: 0.12 });
+      layer.bindTooltip(feature.name);
+      group.addLayer(layer);
+    }
+  }
+  overlay.layer = group.addTo(map);
+}
+
+/** @param {typeof overlays[number]} overlay */
+function serializeOverlay(overlay) {
+  return {
+    id: overlay.id,
+    category: overlay.category,
+    name: overlay.name,
+    visible: overlay.visible,
+    features: overlay.features.map((feature) => ({
+      name: feature.name,
+      parts: feature.parts.map((part) => ({ kind: part.kind, coords: part.coords.map(serializeLatLng) })),
+    })),
+  };
+}
+
+function deserializeOverlay(data) {
+  const features = data.features.map((feature) =>
+    makeOverlayFeature(
+      feature.name,
+      feature.parts.map((part) => ({ kind: part.kind, coords: part.coords.map((p) => L.latLng(p.lat, p.lng)) }))
+    )
+  );
+  const overlay = { ...data, features, layer: null };
+  syncOverlayLayer(overlay);
+  return overlay;
+}
+
+function saveOverlays() {
+  try {
+    localStorage.setItem(OVERLAY_STORAGE_KEY, JSON.stringify(overlays.map(serializeOverlay)));
+  } catch (err) {
+    console.warn("Aegis Detect: could not save overlay layers.", err);
+    setInstruction("Overlay layers are too large to keep in this browser; they will be gone after a reload.");
+  }
+}
+
+function restoreOverlays() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(OVERLAY_STORAGE_KEY) || "[]");
+    overlays = Array.isArray(stored) ? stored.map(deserializeOverlay) : [];
+  } catch (err) {
+    console.warn("Aegis Detect: could not restore overlay layers.", err);
+    overlays = [];
+  }
+}
+
+/**
+ * @param {FileList|File[]} files
+ * @param {OverlayCategory} category
+ */
+async function loadOverlayFiles(files, category) {
+  if (!requirePermission("manage_overlays")) return;
+  const errors = [];
+  const added = [];
+  let loaded = 0;
+  for (const file of Array.from(files)) {
+    let result;
+    try {
+      result = parseOverlayGeoJson(await file.text(), file.name);
+    } catch (err) {
+      result = { features: [], errors: [`${file.name}: could not be read (${err instanceof Error ? err.message : String(err)}).`] };
+    }
+    errors.push(...result.errors);
+    if (result.features.length === 0) continue;
+
+    const overlay = {
+      id: `ovl_${Date.now()}_${overlays.length + 1}`,
+      category,
+      name: file.name,
+      visible: true,
+      features: result.features,
+      layer: null,
+    };
+    syncOverlayLayer(overlay);
+    overlays.push(overlay);
+    added.push(overlay);
+    loaded += result.features.length;
+  }
+
+  overlayErrors.innerHTML = "";
+  overlayErrors.hidden = errors.length === 0;
+  for (const message of errors) {
+    const li = document.createElement("li");
+    li.textContent = message;
+    overlayErrors.appendChild(li);
+  }
+
+  if (added.length > 0) {
+    recordAuditEvents(
+      added.map((overlay) => ({ type: "overlay_added", subjectId: overlay.id, after: overlayAuditValue(overlay) }))
+    );
+  }
+  saveOverlays();
+  renderOverlayList();
+  refreshExposureViews();
+  if (loaded > 0) {
+    setInstruction(`Loaded ${loaded} ${OVERLAY_CATEGORIES[category].label.toLowerCase()} feature(s).`);
+  }
+}
+
+/**
+ * What the audit trail keeps of a layer (not its features).
+ * @param {typeof overlays[number]} overlay
+ */
+function overlayAuditValue(overlay) {
+  return { name: overlay.name, category: overlay.category, features: overlay.features.length };
+}
+
+/** @param {typeof overlays[number]} overlay */
+function removeOverlay(overlay) {
+  if (!requirePermission("manage_overlays")) return;
+  recordAuditEvent({ type: "overlay_removed", subjectId: overlay.id, before: overlayAuditValue(overlay), after: null });
+  overlay.visible = false;
+  syncOverlayLayer(overlay);
+  overlays.splice(overlays.indexOf(overlay), 1);
+  saveOverlays();
+  renderOverlayList();
+  refreshExposureViews();
+}
+
+function renderOverlayList() {
+  const editable = can("manage_overlays");
+  loadOverlayBtn.disabled = !editable;
+  overlayCategorySelect.disabled = !editable;
+  overlayEmpty.hidden = overlays.length > 0;
+  overlayList.hidden = overlays.length === 0;
+  overlayList.innerHTML = "";
+
+  for (const overlay of overlays) {
+    const li = document.createElement("li");
+    li.className = "aoi-row overlay-row";
+    li.style.borderLeftColor = OVERLAY_CATEGORIES[overlay.category].color;
+
+    const top = document.createElement("div");
+    top.className = "aoi-row-top";
+
+    const name = document.createElement("span");
+    name.className = "overlay-name";
+    name.textContent = overlay.name;
+
+    const visibleLabel = document.createElement("label");
+    visibleLabel.className = "aoi-visible muted small";
+    const visible = document.createElement("input");
+    visible.type = "checkbox";
+    visible.checked = overlay.visible;
+    visible.addEventListener("change", () => {
+      overlay.visible = visible.checked;
+      syncOverlayLayer(overlay);
+      saveOverlays();
+    });
+    visibleLabel.appendChild(visible);
+    visibleLabel.append(" Show");
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "btn btn-secondary";
+    remove.textContent = "Remove";
+    remove.disabled = !editable;
+    remove.addEventListener("click", () => removeOverlay(overlay));
+
+    top.appendChild(name);
+    top.appendChild(visibleLabel);
+    top.appendChild(remove);
+
+    const meta = document.createElement("p");
+    meta.className = "muted small aoi-meta";
+    meta.textContent = `${OVERLAY_CATEGORIES[overlay.category].label} • ${overlay.features.length} feature(s)`;
+
+    li.appendChild(top);
+    li.appendChild(meta);
+    overlayList.appendChild(li);
+  }
+}
+
+// ----- Exposure analysis -----------------------------------------------------
+
+/**
+ * Local flat projection (metres east/north of the origin).
+ * @param {L.LatLng} origin
+ */
+function localProjector(origin) {
+  const metersPerDegree = (Math.PI / 180) * EARTH_RADIUS_METERS;
+  const cosLat = Math.cos((origin.lat * Math.PI) / 180);
+  return (p) => ({ x: (p.lng - origin.lng) * metersPerDegree * cosLat, y: (p.lat - origin.lat) * metersPerDegree });
+}
+
+function pointSegmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+function segmentsIntersect(a, b, c, d) {
+  const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+/**
+ * Segments of a part in projected metres (a point is a zero-length segment).
+ * @param {Array<{x:number, y:number}>} xy
+ * @param {"point"|"line"|"polygon"} kind
+ */
+function partSegments(xy, kind) {
+  if (kind === "point") return [[xy[0], xy[0]]];
+  const segments = [];
+  for (let i = 1; i < xy.length; i++) segments.push([xy[i - 1], xy[i]]);
+  if (kind === "polygon") segments.push([xy[xy.length - 1], xy[0]]);
+  return segments;
+}
+
+/**
+ * How one feature relates to an impact zone.
+ * @param {OverlayFeature} feature
+ * @param {L.LatLng[]} zoneRing
+ * @param {L.LatLng} fire ignition point
+ */
+function featureExposure(feature, zoneRing, fire) {
+  const project = localProjector(fire);
+  const origin = { x: 0, y: 0 };
+  const zoneSegments = partSegments(zoneRing.map(project), "polygon");
+  let inside = false;
+  let toZone = Infinity;
+  let fromFire = Infinity;
+
+  for (const part of feature.parts) {
+    if (part.coords.some((p) => isPointInRing(p, zoneRing))) inside = true;
+    // A settlement polygon can contain the whole zone without any vertex inside it.
+    if (part.kind === "polygon" && isPointInRing(zoneRing[0], part.coords)) inside = true;
+    if (part.kind === "polygon" && isPointInRing(fire, part.coords)) fromFire = 0;
+
+    for (const [a, b] of partSegments(part.coords.map(project), part.kind)) {
+      fromFire = Math.min(fromFire, pointSegmentDistance(origin, a, b));
+      if (inside) continue;
+      for (const [c, d] of zoneSegments) {
+        if (segmentsIntersect(a, b, c, d)) {
+          inside = true;
+          break;
+        }
+        toZone = Math.min(
+          toZone,
+          pointSegmentDistance(a, c, d),
+          pointSegmentDistance(b, c, d),
+          pointSegmentDistance(c, a, b),
+          pointSegmentDistance(d, a, b)
+        );
+      }
+    }
+  }
+
+  return { inside, distanceToZoneMeters: inside ? 0 : toZone, distanceFromFireMeters: fromFire };
+}
+
+/**
+ * Loaded features inside or near an incident's impact zone, closest first.
+ * @param {typeof incidents[number]} incident
+ * @returns {Array<{
+ *   category: OverlayCategory,
+ *   layer: string,
+ *   feature: string,
+ *   inside: boolean,
+ *   distanceToZoneMeters: number,
+ *   distanceFromFireMeters: number
+ * }>}
+ */
+function assessExposure(incident) {
+  const zoneRing = impactZoneRing(incident);
+  if (!zoneRing) return [];
+  const zoneBounds = L.latLngBounds(zoneRing);
+
+  const results = [];
+  for (const overlay of overlays) {
+    const { nearMeters } = OVERLAY_CATEGORIES[overlay.category];
+    // Cheap bounding-box pre-filter before the per-segment checks.
+    const padLat = nearMeters / ((Math.PI / 180) * EARTH_RADIUS_METERS);
+    const padLng = padLat / Math.cos((incident.location.lat * Math.PI) / 180);
+    const searchBounds = L.latLngBounds(
+      [zoneBounds.getSouth() - padLat, zoneBounds.getWest() - padLng],
+      [zoneBounds.getNorth() + padLat, zoneBounds.getEast() + padLng]
+    );
+
+    for (const feature of overlay.features) {
+      if (!searchBounds.intersects(feature.bounds)) continue;
+      const exposure = featureExposure(feature, zoneRing, incident.location);
+      if (!exposure.inside && exposure.distanceToZoneMeters > nearMeters) continue;
+      results.push({
+        category: overlay.category,
+        layer: overlay.name,
+        feature: feature.name,
+        inside: exposure.inside,
+        distanceToZoneMeters: Math.round(exposure.distanceToZoneMeters),
+        distanceFromFireMeters: Math.round(exposure.distanceFromFireMeters),
+      });
+    }
+  }
+
+  return results.sort(
+    (a, b) =>
+      Number(b.inside) - Number(a.inside) ||
+      a.distanceToZoneMeters - b.distanceToZoneMeters ||
+      a.distanceFromFireMeters - b.distanceFromFireMeters
+  );
+}
+
+/** @param {number} meters */
+function formatDistance(meters) {
+  return meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+/** @param {ReturnType<typeof assessExposure>[number]} item */
+function describeExposure(item) {
+  if (!item.inside) return `${formatDistance(item.distanceToZoneMeters)} outside zone`;
+  return item.distanceFromFireMeters === 0
+    ? "Inside zone • at the fire"
+    : `Inside zone • ${formatDistance(item.distanceFromFireMeters)} from fire`;
+}
+
+/**
+ * Render the exposure list for one incident into a panel container.
+ * @param {HTMLElement} container holds a `.exposure-summary` line and a `.exposure-list`
+ * @param {typeof incidents[number] | null} incident
+ */
+function renderExposure(container, incident) {
+  container.dataset.incidentId = incident ? incident.id : "";
+  container.hidden = !incident || !incident.impact;
+  if (container.hidden) return;
+
+  const summary = container.querySelector(".exposure-summary");
+  const list = container.querySelector(".exposure-list");
+  list.innerHTML = "";
+
+  if (overlays.length === 0) {
+    summary.textContent = "Load overlay layers to check settlements, roads, power lines and facilities.";
+    return;
+  }
+
+  const exposure = assessExposure(incident);
+  const insideCount = exposure.filter((item) => item.inside).length;
+  summary.textContent =
+    exposure.length === 0
+      ? "No loaded features inside or near the impact zone."
+      : `${insideCount} inside, ${exposure.length - insideCount} nearby.`;
+
+  for (const item of exposure.slice(0, EXPOSURE_LIST_LIMIT)) {
+    const li = document.createElement("li");
+    li.className = `exposure-row${item.inside ? " inside" : ""}`;
+
+    const name = document.createElement("span");
+    name.className = "exposure-name";
+    name.textContent = item.feature;
+
+    const meta = document.createElement("span");
+    meta.className = "muted small";
+    meta.textContent = `${OVERLAY_CATEGORIES[item.category].label} • ${describeExposure(item)}`;
+
+    li.appendChild(name);
+    li.appendChild(meta);
+    list.appendChild(li);
+  }
+  if (exposure.length > EXPOSURE_LIST_LIMIT) {
+    const more = document.createElement("li");
+    more.className = "muted small";
+    more.textContent = `+${exposure.length - EXPOSURE_LIST_LIMIT} more in the exported report.`;
+    list.appendChild(more);
+  }
+}
+
+/** Re-run the analysis for whichever incidents the panels currently show. */
+function refreshExposureViews() {
+  for (const container of [impactExposure, incidentExposure]) {
+    const incident = incidents.find((i) => i.id === container.dataset.incidentId);
+    renderExposure(container, incident || null);
+  }
+}
+
+loadOverlayBtn.addEventListener("click", () => overlayFileInput.click());
+overlayFileInput.addEventListener("change", () => {
+  const files = Array.from(overlayFileInput.files || []);
+  overlayFileInput.value = "";
+  if (files.length > 0) loadOverlayFiles(files, /** @type {OverlayCategory} */ (overlayCategorySelect.value));
+});
+
+// ===== Map display (marker clustering + heatmap) =============================
+
+/*
+  Map display
+  -----------
+  Dense incident sets make the emoji markers overlap. Three display modes:
+  - Clustered: incidents closer than CLUSTER_RADIUS_PX on screen share one badge
+    showing the count, colored by the most severe status in the group. Clicking
+    a badge zooms to its incidents. The focused incident is never clustered.
+  - Individual markers: every incident marker, as before.
+  - Heatmap: incident markers are hidden and a density surface is drawn for AI
+    detections, rejections or confirmed incidents within a time range.
+
+  Both are computed here without extra libraries; clusters are recomputed on
+  every map move, which is fine at demo scale (hundreds of incidents).
+*/
+
+const CLUSTER_RADIUS_PX = 40;
+/** At this zoom and closer, markers are shown individually. */
+const CLUSTER_MAX_ZOOM = 15;
+
+/**
+ * Most severe first: an incident nobody has responded to outranks an active one.
+ * @type {LifecycleStatus[]}
+ */
+const STATUS_SEVERITY_ORDER = [
+  "Confirmed — Awaiting response",
+  "Reopened",
+  "Confirmed — Response dispatched",
+  "Monitoring",
+  "Contained",
+  "Resolved",
+  "Closed",
+];
+
+const HEAT_RADIUS_PX = 22;
+const HEAT_BLUR_PX = 16;
+/** Opacity of one point before colorizing; a few overlapping points saturate. */
+const HEAT_POINT_ALPHA = 0.3;
+const HEAT_GRADIENT = [
+  [0.2, "#1d4ed8"],
+  [0.45, "#22d3ee"],
+  [0.65, "#a3e635"],
+  [0.85, "#facc15"],
+  [1, "#ef4444"],
+];
+
+const HEATMAP_SOURCES = {
+  detections: "AI detection(s)",
+  rejections: "rejection(s)",
+  incidents: "confirmed incident(s)",
+};
+
+const clusterLayer = L.layerGroup().addTo(map);
+
+/**
+ * Canvas density layer: points are stamped as blurred alpha circles, then the
+ * accumulated alpha is mapped through HEAT_GRADIENT. Redrawn after each move.
+ */
+const HeatLayer = L.Layer.extend({
+  initialize(latlngs) {
+    this._latlngs = latlngs;
+  },
+
+  setLatLngs(latlngs) {
+    this._latlngs = latlngs;
+    if (this._map) this._redraw();
+    return this;
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create("canvas", "heat-layer leaflet-zoom-hide");
+    map.getPanes().overlayPane.appendChild(this._canvas);
+    map.on("moveend resize", this._redraw, this);
+    this._redraw();
+  },
+
+  onRemove(map) {
+    L.DomUtil.remove(this._canvas);
+    map.off("moveend resize", this._redraw, this);
+  },
+
+  _redraw() {
+    const map = this._map;
+    const size = map.getSize();
+    const canvas = this._canvas;
+    canvas.width = size.x;
+    canvas.height = size.y;
+    L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return;
+    const stamp = heatStamp();
+    const reach = HEAT_RADIUS_PX + HEAT_BLUR_PX;
+
+    for (const latlng of this._latlngs) {
+      const p = map.latLngToContainerPoint(latlng);
+      if (p.x < -reach || p.y < -reach || p.x > size.x + reach || p.y > size.y + reach) continue;
+      ctx.globalAlpha = HEAT_POINT_ALPHA;
+      ctx.drawImage(stamp, p.x - reach, p.y - reach);
+    }
+    if (size.x === 0 || size.y === 0) return;
+
+    const image = ctx.getImageData(0, 0, size.x, size.y);
+    const palette = heatPalette();
+    const px = image.data;
+    for (let i = 0; i < px.length; i += 4) {
+      const alpha = px[i + 3];
+      if (!alpha) continue;
+      px[i] = palette[alpha * 4];
+      px[i + 1] = palette[alpha * 4 + 1];
+      px[i + 2] = palette[alpha * 4 + 2];
+      px[i + 3] = Math.min(255, alpha * 1.6);
+    }
+    ctx.putImageData(image, 0, 0);
+  },
+});
+
+/** @type {HTMLCanvasElement | null} */
+let heatStampCanvas = null;
+/** @type {Uint8ClampedArray | null} */
+let heatPaletteData = null;
+
+/** One blurred point, drawn once and reused. */
+function heatStamp() {
+  if (!heatStampCanvas) {
+    const reach = HEAT_RADIUS_PX + HEAT_BLUR_PX;
+    heatStampCanvas = document.createElement("canvas");
+    heatStampCanvas.width = heatStampCanvas.height = reach * 2;
+    const ctx = heatStampCanvas.getContext("2d");
+    if (ctx) {
+      const gradient = ctx.createRadialGradient(reach, reach, HEAT_RADIUS_PX - HEAT_BLUR_PX / 2, reach, reach, reach);
+      gradient.addColorStop(0, "rgba(0, 0, 0, 1)");
+      gradient.addColorStop(1, "rgba(0, 0, 0, 0)");
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, reach * 2, reach * 2);
+    }
+  }
+  return heatStampCanvas;
+}
+
+/** 256 RGBA entries, indexed by accumulated alpha. */
+function heatPalette() {
+  if (!heatPaletteData) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 256;
+    canvas.height = 1;
+    const ctx = canvas.getContext("2d");
+    const gradient = ctx.createLinearGradient(0, 0, 256, 0);
+    for (const [stop, color] of HEAT_GRADIENT) gradient.addColorStop(stop, color);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 256, 1);
+    heatPaletteData = ctx.getImageData(0, 0, 256, 1).data;
+  }
+  return heatPaletteData;
+}
+
+const heatLayer = new HeatLayer([]);
+
+/**
+ * Points for the heatmap from the chosen source within the last `hours` (0 = all time).
+ * Detections come from the audit trail, so they include ones later confirmed or rejected.
+ * @param {keyof typeof HEATMAP_SOURCES} source
+ * @param {number} hours
+ * @returns {L.LatLng[]}
+ */
+function heatmapPoints(source, hours) {
+  const since = hours ? Date.now() - hours * 60 * 60 * 1000 : -Infinity;
+  const within = (iso) => Date.parse(iso) >= since;
+
+  if (source === "rejections") {
+    return rejectedDetections.filter((d) => within(d.rejectedAtIso)).map((d) => d.location);
+  }
+  if (source === "incidents") {
+    return incidents.filter((i) => within(i.confirmedAtIso)).map((i) => i.location);
+  }
+  return auditLog
+    .filter((e) => e.type === "detection_created" && e.after && e.after.location)
+    .filter((e) => within(e.after.detectedAtIso || e.atIso))
+    .map((e) => L.latLng(e.after.location.lat, e.after.location.lng));
+}
+
+/** @param {LifecycleStatus} status */
+function statusSeverity(status) {
+  const rank = STATUS_SEVERITY_ORDER.indexOf(status);
+  return rank === -1 ? STATUS_SEVERITY_ORDER.length : rank;
+}
+
+/**
+ * Greedy screen-space clustering at the current zoom. Seeds are taken in severity
+ * order so the badge sits over the most severe incident's neighbourhood.
+ * @param {typeof incidents} items
+ * @returns {Array<typeof incidents>}
+ */
+function clusterIncidents(items) {
+  const points = items
+    .map((incident) => ({ incident, point: map.latLngToLayerPoint(incident.location) }))
+    .sort((a, b) => statusSeverity(a.incident.status) - statusSeverity(b.incident.status));
+  const assigned = new Set();
+  const groups = [];
+
+  for (const seed of points) {
+    if (assigned.has(seed)) continue;
+    const group = points.filter((p) => !assigned.has(p) && p.point.distanceTo(seed.point) <= CLUSTER_RADIUS_PX);
+    for (const p of group) assigned.add(p);
+    groups.push(group.map((p) => p.incident));
+  }
+  return groups;
+}
+
+/** @param {typeof incidents} group */
+function makeClusterIcon(group) {
+  const worst = group.reduce((a, b) => (statusSeverity(b.status) < statusSeverity(a.status) ? b : a));
+  const counts = new Map();
+  for (const incident of group) counts.set(incident.status, (counts.get(incident.status) || 0) + 1);
+  const title = `${group.length} incidents: ${[...counts]
+    .sort(([a], [b]) => statusSeverity(a) - statusSeverity(b))
+    .map(([status, n]) => `${n} ${status}`)
+    .join(", ")}`;
+
+  return L.divIcon({
+    className: "fire-marker-wrap",
+    html: `<div class="fire-marker cluster ${statusToBadgeClass(worst.status)}" title="${escapeXml(title)}">${group.length}</div>`,
+    iconSize: [38, 38],
+    iconAnchor: [19, 19],
+  });
+}
+
+/** @param {typeof incidents} group */
+function makeClusterMarker(group) {
+  const bounds = L.latLngBounds(group.map((i) => i.location));
+  const marker = L.marker(bounds.getCenter(), {
+    icon: makeClusterIcon(group),
+    keyboard: false,
+    title: `${group.length} incidents`,
+  });
+  marker.on("click", () => map.fitBounds(bounds.pad(0.5), { maxZoom: CLUSTER_MAX_ZOOM }));
+  return marker;
+}
+
+/** Show incident markers, clusters or the heatmap according to the Map Display card. */
+function refreshMapDisplay() {
+  const mode = mapViewSelect.value;
+  clusterLayer.clearLayers();
+  heatmapOptions.hidden = mode !== "heatmap";
+  heatLegend.hidden = mode !== "heatmap";
+
+  if (mode === "heatmap") {
+    for (const incident of incidents) incident.marker.remove();
+    const hours = Number(heatmapRangeSelect.value);
+    const points = heatmapPoints(heatmapSourceSelect.value, hours);
+    heatLayer.setLatLngs(points);
+    if (!map.hasLayer(heatLayer)) heatLayer.addTo(map);
+    const range = heatmapRangeSelect.options[heatmapRangeSelect.selectedIndex].textContent.toLowerCase();
+    mapViewSummary.textContent = `${points.length} ${HEATMAP_SOURCES[heatmapSourceSelect.value]}, ${range}. Incident markers are hidden.`;
+    return;
+  }
+
+  heatLayer.remove();
+  const clustering = mode === "clusters" && map.getZoom() < CLUSTER_MAX_ZOOM;
+  const groups = clustering
+    ? clusterIncidents(incidents.filter((i) => i.id !== focusedIncidentId))
+    : incidents.filter((i) => i.id !== focusedIncidentId).map((i) => [i]);
+  const focused = incidents.find((i) => i.id === focusedIncidentId);
+  if (focused) groups.push([focused]);
+
+  let clustered = 0;
+  for (const group of groups) {
+    if (group.length === 1) {
+      if (!map.hasLayer(group[0].marker)) group[0].marker.addTo(map);
+      continue;
+    }
+    clustered += 1;
+    for (const incident of group) incident.marker.remove();
+    clusterLayer.addLayer(makeClusterMarker(group));
+  }
+
+  mapViewSummary.textContent =
+    mode === "clusters"
+      ? `${incidents.length} incident(s) in ${groups.length} marker(s); ${clustered} cluster(s). Click a cluster to zoom in.`
+      : `${incidents.length} incident marker(s).`;
+}
+
+mapViewSelect.addEventListener("change", refreshMapDisplay);
+heatmapSourceSelect.addEventListener("change", refreshMapDisplay);
+heatmapRangeSelect.addEventListener("change", refreshMapDisplay);
+// Clusters depend on zoom and on which incidents are on screen together.
+map.on("zoomend", () => {
+  if (mapViewSelect.value === "clusters") refreshMapDisplay();
+});
+
+// ===== Basemaps + offline tiles (service worker) =============================
+
+/*
+  Basemaps and offline tiles
+  --------------------------
+  Field teams often work with poor or no connectivity. The Map Display card
+  switches the basemap (street, terrain, imagery or a local tile server), and
+  the Offline Tiles card pre-caches the current basemap's tiles for an AOI or
+  the selection over a zoom range.
+
+  sw.js does the downloading and keeps the tiles in its own cache. For every
+  image request it tries the network first and answers from that cache when
+  the network fails or is too slow. It also keeps the app shell (page, script,
+  styles, Leaflet), so a reload works offline. Service workers need http(s)
+  (localhost included); opened from disk, the card stays disabled.
+
+  Public tile services do not allow bulk downloads, so one download is capped
+  at OFFLINE_TILE_LIMIT tiles. Larger areas belong on a local tile server.
+*/
+
+const BASEMAP_STORAGE_KEY = "aegisDetect.basemap";
+/** Must match TILE_CACHE in sw.js. */
+const TILE_CACHE_NAME = "aegis-detect-tiles-v1";
+const OFFLINE_TILE_LIMIT = 2500;
+const OFFLINE_TILE_SIZE = 256;
+/** Leaflet's default tile subdomains, used for {s}. */
+const TILE_SUBDOMAINS = "abc";
+const TILE_URL_PLACEHOLDERS = ["{s}", "{x}", "{y}", "{z}", "{r}"];
+
+const offlineSupported =
+  "serviceWorker" in navigator && "caches" in window && window.isSecureContext && /^https?:$/.test(location.protocol);
+
+/**
+ * With no progress message for this long, the download is given up on: the browser may have
+ * stopped the service worker, and then no "precache-done" ever arrives.
+ */
+const TILE_DOWNLOAD_STALL_MS = 60_000;
+
+/** Download in progress, or null. @type {{id: string, label: string, total: number, done: number, failed: number} | null} */
+let tileDownload = null;
+/** Fires when the download in progress has gone quiet for TILE_DOWNLOAD_STALL_MS. */
+let tileDownloadStallTimer = 0;
+
+/**
+ * Tile URL as Leaflet builds it (same subdomain choice), so cached tiles match map requests.
+ * @param {Basemap} source
+ * @param {{x: number, y: number, z: number}} coords
+ */
+function basemapTileUrl(source, coords) {
+  const s = TILE_SUBDOMAINS[Math.abs(coords.x + coords.y) % TILE_SUBDOMAINS.length];
+  return L.Util.template(source.url, { ...coords, s, r: "" });
+}
+
+/**
+ * @param {string} url
+ * @returns {string | null} error message
+ */
+function tileUrlError(url) {
+  if (!/^https?:\/\//i.test(url)) return "Tile URL must start with http:// or https://.";
+  const placeholders = url.match(/\{[^}]*\}/g) || [];
+  const missing = ["{z}", "{x}", "{y}"].filter((p) => !placeholders.includes(p));
+  if (missing.length > 0) return `Tile URL needs ${missing.join(", ")}.`;
+  const unknown = placeholders.find((p) => !TILE_URL_PLACEHOLDERS.includes(p));
+  if (unknown) return `Unknown placeholder ${unknown} in the tile URL (use {z}, {x}, {y} and optionally {s}).`;
+  return null;
+}
+
+/** @param {string[]} errors */
+function showBasemapErrors(errors) {
+  basemapErrors.innerHTML = "";
+  basemapErrors.hidden = errors.length === 0;
+  for (const message of errors) {
+    const li = document.createElement("li");
+    li.textContent = message;
+    basemapErrors.appendChild(li);
+  }
+}
+
+/**
+ * Replace the basemap layer. An invalid custom URL leaves the current basemap in place.
+ * @param {string} id
+ * @param {string} customUrl
+ * @returns {boolean}
+ */
+function setBasemap(id, customUrl) {
+  const base = BASEMAPS[id] || BASEMAPS.street;
+  const next = base.id === "custom" ? { ...base, url: customUrl.trim() || base.url } : base;
+  const error = next.id === "custom" ? tileUrlError(next.url) : null;
+  showBasemapErrors(error ? [error] : []);
+  if (error) return false;
+
+  basemapLayer.remove();
+  basemap = next;
+  basemapLayer = makeBasemapLayer(next).addTo(map);
+  basemapLayer.bringToBack();
+  if (map.getZoom() > next.maxZoom) map.setZoom(next.maxZoom);
+  return true;
+}
+
+function applyBasemapForm() {
+  customTileField.hidden = basemapSelect.value !== "custom";
+  if (!setBasemap(basemapSelect.value, customTileUrlInput.value)) return;
+  try {
+    localStorage.setItem(
+      BASEMAP_STORAGE_KEY,
+      JSON.stringify({ id: basemap.id, customUrl: customTileUrlInput.value.trim() })
+    );
+  } catch (err) {
+    console.warn("Aegis Detect: could not save the basemap.", err);
+  }
+  renderOfflineCard();
+}
+
+function renderOfflineAreaOptions() {
+  const current = offlineAreaSelect.value;
+  offlineAreaSelect.innerHTML = "";
+  const selection = document.createElement("option");
+  selection.value = "";
+  selection.textContent = "Current selection";
+  offlineAreaSelect.appendChild(selection);
+  for (const aoi of aois) {
+    const option = document.createElement("option");
+    option.value = aoi.id;
+    option.textContent = `AOI: ${aoi.name}`;
+    offlineAreaSelect.appendChild(option);
+  }
+  offlineAreaSelect.value = aois.some((aoi) => aoi.id === current) ? current : "";
+}
+
+/** @returns {{name: string, bounds: L.LatLngBounds} | null} */
+function offlineArea() {
+  const aoi = aois.find((a) => a.id === offlineAreaSelect.value);
+  if (aoi) return { name: `AOI "${aoi.name}"`, bounds: aoi.area.bounds };
+  return selectedArea ? { name: "the selection", bounds: selectedArea.bounds } : null;
+}
+
+/**
+ * Tile index ranges covering the bounds, one per zoom level.
+ * @param {L.LatLngBounds} bounds
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ */
+function tileRanges(bounds, minZoom, maxZoom) {
+  const crs = map.options.crs;
+  const ranges = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const clamp = (value) => Math.min(Math.max(value, 0), 2 ** z - 1);
+    const nw = crs.latLngToPoint(bounds.getNorthWest(), z).divideBy(OFFLINE_TILE_SIZE).floor();
+    const se = crs.latLngToPoint(bounds.getSouthEast(), z).divideBy(OFFLINE_TILE_SIZE).floor();
+    ranges.push({ z, minX: clamp(nw.x), maxX: clamp(se.x), minY: clamp(nw.y), maxY: clamp(se.y) });
+  }
+  return ranges;
+}
+
+/**
+ * What the Offline Tiles card would download, or why it cannot.
+ * @returns {{plan: {area: {name: string}, minZoom: number, maxZoom: number, urls: string[]} | null, error: string | null}}
+ */
+function readOfflinePlan() {
+  const area = offlineArea();
+  if (!area) return { plan: null, error: "Select an area or choose an AOI to download its tiles." };
+
+  const minZoom = Number(offlineZoomMinInput.value);
+  const maxZoom = Number(offlineZoomMaxInput.value);
+  if (
+    !Number.isInteger(minZoom) ||
+    !Number.isInteger(maxZoom) ||
+    minZoom < 0 ||
+    maxZoom > basemap.maxZoom ||
+    minZoom > maxZoom
+  ) {
+    return { plan: null, error: `Zoom levels must be whole numbers from 0 to ${basemap.maxZoom}, lowest first.` };
+  }
+
+  const ranges = tileRanges(area.bounds, minZoom, maxZoom);
+  const count = ranges.reduce((sum, r) => sum + (r.maxX - r.minX + 1) * (r.maxY - r.minY + 1), 0);
+  if (count > OFFLINE_TILE_LIMIT) {
+    return {
+      plan: null,
+      error: `${count.toLocaleString()} tiles is over the limit of ${OFFLINE_TILE_LIMIT.toLocaleString()}. Choose a smaller area or a lower "To zoom".`,
+    };
+  }
+
+  const urls = [];
+  for (const r of ranges) {
+    for (let x = r.minX; x <= r.maxX; x++) {
+      for (let y = r.minY; y <= r.maxY; y++) urls.push(basemapTileUrl(basemap, { x, y, z: r.z }));
+    }
+  }
+  return { plan: { area, minZoom, maxZoom, urls }, error: null };
+}
+
+function renderOfflineCard() {
+  const busy = !!tileDownload;
+  cancelCacheBtn.hidden = !busy;
+  offlineProgress.hidden = !busy;
+  clearTileCacheBtn.disabled = !offlineSupported || busy;
+
+  if (tileDownload) {
+    const { label, total, done, failed } = tileDownload;
+    cacheTilesBtn.disabled = true;
+    offlineProgress.max = total;
+    offlineProgress.value = done + failed;
+    offlineEstimate.textContent = `Downloading ${label} tiles: ${done + failed} of ${total}${failed ? ` (${failed} failed)` : ""}…`;
+    return;
+  }
+
+  const { plan, error } = readOfflinePlan();
+  cacheTilesBtn.disabled = !offlineSupported || !plan;
+  if (!offlineSupported) {
+    offlineEstimate.textContent = "Offline tiles need the page served over http(s), e.g. python3 -m http.server.";
+  } else if (!plan) {
+    offlineEstimate.textContent = error || "—";
+  } else {
+    offlineEstimate.textContent = `${plan.urls.length} ${basemap.label} tile(s) for ${plan.area.name}, zoom ${plan.minZoom}–${plan.maxZoom}.`;
+  }
+}
+
+/** Tile count and the site's storage use (tiles, attachments, saved state). */
+async function renderOfflineStorage() {
+  if (!offlineSupported) {
+    offlineStorage.textContent = "No tile cache in this browser or when the page is opened from a file.";
+    return;
+  }
+  try {
+    const cache = await caches.open(TILE_CACHE_NAME);
+    const cached = (await cache.keys()).length;
+    const { usage = 0, quota = 0 } = navigator.storage && navigator.storage.estimate ? await navigator.storage.estimate() : {};
+    offlineStorage.textContent =
+      `${cached} tile(s) cached. Storage used by this site: ${formatBytes(usage)}` +
+      (quota ? ` of ${formatBytes(quota)} available.` : ".");
+  } catch (err) {
+    console.warn("Aegis Detect: could not read the tile cache.", err);
+    offlineStorage.textContent = "Could not read the tile cache.";
+  }
+}
+
+async function downloadOfflineTiles() {
+  const { plan, error } = readOfflinePlan();
+  if (!plan) {
+    setInstruction(error || "Nothing to download.");
+    return;
+  }
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.getRegistration();
+  } catch (err) {
+    console.warn("Aegis Detect: could not reach the service worker.", err);
+  }
+  if (!registration || !registration.active) {
+    setInstruction("Offline support is still starting. Try again in a moment.");
+    return;
+  }
+  // Ask the browser not to evict the cache under storage pressure (it may say no).
+  if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+
+  tileDownload = { id: `tiles_${Date.now()}`, label: basemap.label, total: plan.urls.length, done: 0, failed: 0 };
+  watchTileDownload();
+  renderOfflineCard();
+  registration.active.postMessage({ type: "precache-tiles", jobId: tileDownload.id, urls: plan.urls });
+}
+
+/** (Re)start the stall timer for the download in progress. */
+function watchTileDownload() {
+  clearTimeout(tileDownloadStallTimer);
+  tileDownloadStallTimer = setTimeout(() => {
+    if (!tileDownload) return;
+    const { done, total } = tileDownload;
+    endTileDownload();
+    setInstruction(`Tile download stopped responding after ${done} of ${total} tiles. Start it again to continue.`);
+  }, TILE_DOWNLOAD_STALL_MS);
+}
+
+function endTileDownload() {
+  clearTimeout(tileDownloadStallTimer);
+  tileDownload = null;
+  renderOfflineCard();
+  renderOfflineStorage();
+}
+
+/** Ask sw.js to stop, and stop showing the download either way: the worker may be gone. */
+async function cancelTileDownload() {
+  if (!tileDownload) return;
+  const { done, total } = tileDownload;
+  endTileDownload();
+  setInstruction(`Tile download cancelled after ${done} of ${total} tiles.`);
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (registration && registration.active) registration.active.postMessage({ type: "cancel-precache" });
+  } catch (err) {
+    console.warn("Aegis Detect: could not reach the service worker.", err);
+  }
+}
+
+/** Progress and completion messages from sw.js. */
+function onServiceWorkerMessage(event) {
+  const message = event.data || {};
+  if (!tileDownload || typeof message.type !== "string" || !message.type.startsWith("precache-")) return;
+  // Late reports from a download that was cancelled or gave up on.
+  if (message.jobId !== tileDownload.id) return;
+  tileDownload.done = message.done;
+  tileDownload.failed = message.failed;
+  if (message.type === "precache-progress") {
+    watchTileDownload();
+    renderOfflineCard();
+    return;
+  }
+
+  const { label, total, done, failed } = tileDownload;
+  endTileDownload();
+  if (message.type === "precache-cancelled") {
+    setInstruction(`Tile download cancelled after ${done} of ${total} tiles.`);
+  } else if (failed > 0) {
+    setInstruction(
+      `${done} of ${total} ${label} tiles cached; ${failed} could not be downloaded. The tile server must allow CORS.`
+    );
+  } else {
+    setInstruction(`${total} ${label} tiles cached for offline use.`);
+  }
+}
+
+async function clearTileCache() {
+  if (!window.confirm("Delete all cached map tiles from this browser?")) return;
+  try {
+    await caches.delete(TILE_CACHE_NAME);
+    setInstruction("Cached map tiles deleted.");
+  } catch (err) {
+    console.warn("Aegis Detect: could not clear the tile cache.", err);
+  }
+  renderOfflineStorage();
+}
+
+function renderNetworkStatus() {
+  networkStatus.textContent = navigator.onLine ? "Online" : "Offline";
+  networkStatus.title = navigator.onLine ? "" : "No network: the map shows cached tiles only.";
+  networkStatus.classList.toggle("pill-offline", !navigator.onLine);
+}
+
+basemapSelect.addEventListener("change", applyBasemapForm);
+customTileUrlInput.addEventListener("change", applyBasemapForm);
+offlineAreaSelect.addEventListener("change", renderOfflineCard);
+offlineZoomMinInput.addEventListener("input", renderOfflineCard);
+offlineZoomMaxInput.addEventListener("input", renderOfflineCard);
+cacheTilesBtn.addEventListener("click", downloadOfflineTiles);
+cancelCacheBtn.addEventListener("click", cancelTileDownload);
+clearTileCacheBtn.addEventListener("click", clearTileCache);
+window.addEventListener("online", renderNetworkStatus);
+window.addEventListener("offline", renderNetworkStatus);
+
+if (offlineSupported) {
+  navigator.serviceWorker.addEventListener("message", onServiceWorkerMessage);
+  navigator.serviceWorker
+    .register("sw.js")
+    .catch((err) => console.warn("Aegis Detect: could not register the service worker.", err));
+}
+
+// The basemap is a per-browser choice, like the fire conditions.
+try {
+  const stored = JSON.parse(localStorage.getItem(BASEMAP_STORAGE_KEY) || "null");
+  if (stored && Object.keys(BASEMAPS).includes(stored.id)) {
+    basemapSelect.value = stored.id;
+    customTileUrlInput.value = typeof stored.customUrl === "string" ? stored.customUrl : "";
+  }
+} catch (err) {
+  console.warn("Aegis Detect: could not restore the basemap.", err);
+}
+customTileField.hidden = basemapSelect.value !== "custom";
+setBasemap(basemapSelect.value, customTileUrlInput.value);
+renderNetworkStatus();
+renderOfflineStorage();
+
+// ===== Team sync (WebSocket + BroadcastChannel) ==============================
+
+/*
+  Team sync
+  ---------
+  Every browser keeps its own copy of the incidents. To share one picture, each
+  tab publishes its changes and applies everyone else's:
+  - BroadcastChannel keeps the tabs of this browser in step (always on).
+  - A WebSocket to the reference server (sync-server.js) reaches the other
+    operators. The server relays changes, keeps the latest copy of every record
+    for operators who join later, and reports who is online.
+
+  Shared: detections (queued, pending verification, decided), incidents
+  (lifecycle, details, notes, merges), triage policy versions and the audit
+  trail. AOIs and attachment images stay in the browser that made them.
+
+  Scheduled AOI scans run in one tab per browser (see Areas of interest), but the
+  AOI itself is not shared: two operators who schedule the same area both scan it
+  and queue the same hotspots twice. Agree who schedules each area; the others
+  keep it unscheduled and use it for manual scans only.
+
+  Changes are found at save time: saveState() compares every incident and queued
+  detection with the copy this tab last sent or received, so every path that
+  saves is covered without a hook of its own.
+
+  Conflicts: each record carries a version vector (edits per tab). Two copies
+  edited without seeing each other are merged the same way in every tab, so all
+  copies end up identical:
+  - incidents: the later edit wins (ties: higher tab ID); notes, attachments and
+    merged detections from both copies are kept
+  - detections: the stronger decision wins (confirm > merge > reject > pending),
+    then the earlier one, so a race cannot dismiss a possible fire
+  Operators are told in the status line and in the Team Sync card.
+*/
+
+const SYNC_STORAGE_KEY = "aegisDetect.sync";
+const SYNC_DEFAULT_URL = "ws://localhost:8090";
+const SYNC_CHANNEL_NAME = "aegisDetect.sync";
+const SYNC_RECONNECT_MIN_MS = 1000;
+const SYNC_RECONNECT_MAX_MS = 30_000;
+/** Conflict notices kept in the Team Sync card. */
+const SYNC_CONFLICT_LIMIT = 5;
+
+/** @type {SyncRecord["kind"][]} */
+const SYNC_RECORD_KINDS = ["incident", "detection", "policy"];
+
+/** Decision strength for detection conflicts. */
+const DETECTION_DECISION_RANK = {
+  unconfirmed: 0,
+  pending_verification: 1,
+  rejected: 2,
+  merged: 3,
+  confirmed: 4,
+};
+
+/** Completes "<operator> … while <operator> …" in conflict notices. */
+const DETECTION_DECISION_VERBS = {
+  unconfirmed: "left it unconfirmed",
+  pending_verification: "confirmed it (pending verification)",
+  rejected: "rejected it",
+  merged: "merged it",
+  confirmed: "confirmed it",
+};
+
+/**
+ * @typedef {{clock: Record<string, number>, updatedAtIso: string, updatedBy: string, clientId: string}} SyncMeta
+ * @typedef {{kind: "incident" | "detection" | "policy", id: string, data: any, meta: SyncMeta}} SyncRecord
+ * @typedef {{clientId: string, operatorId: string | null, role: OperatorRole | null, connectedAtIso: string}} SyncPeer
+ */
+
+/** This tab in version vectors and presence (new on every load). */
+const syncClientId = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+/** Last copy of each record this tab sent or applied, keyed "kind:id". @type {Map<string, SyncRecord & {json: string}>} */
+const syncRecords = new Map();
+/** Audit entries already shared or received. @type {Set<string>} */
+const syncedAuditIds = new Set();
+
+const syncChannel = "BroadcastChannel" in window ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+/** @type {WebSocket | null} */
+let syncSocket = null;
+let syncServerUrl = SYNC_DEFAULT_URL;
+let syncEnabled = false;
+let syncReconnectMs = SYNC_RECONNECT_MIN_MS;
+/** @type {number | null} */
+let syncReconnectTimer = null;
+/** @type {SyncPeer[]} */
+let syncPeers = [];
+/** Newest first. @type {Array<{atIso: string, message: string}>} */
+const syncConflicts = [];
+
+/** JSON with sorted object keys, so equal data compares equal whatever the key order. */
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, v) =>
+    v && typeof v === "object" && !Array.isArray(v)
+      ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+      : v
+  );
+}
+
+/** @param {typeof incidents[number]} incident */
+function incidentSyncData(incident) {
+  const { sync, ...data } = serializeIncident(incident);
+  return data;
+}
+
+/** @param {TriagePolicy} policy */
+function policySyncData(policy) {
+  const { sync, ...data } = policy;
+  return data;
+}
+
+/** @param {typeof reviewQueue[number]} detection */
+function detectionSyncData(detection) {
+  const { bounds, evidence } = detection;
+  return {
+    id: detection.id,
+    bounds: { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() },
+    location: serializeLatLng(detection.location),
+    confidencePct: detection.confidencePct,
+    detectedAtIso: detection.detectedAtIso,
+    evidence: evidence
+      ? {
+          ...evidence,
+          // Local folder images are blob: URLs, only valid in this tab.
+          chips: evidence.chips.filter((chip) => !chip.url.startsWith("blob:")),
+          outline: evidence.outline ? evidence.outline.map((p) => [p.lat, p.lng]) : null,
+        }
+      : null,
+    triage: detection.triage,
+    policyVersion: detection.policyVersion,
+    policyId: detection.policyId || null,
+    state: detection.state,
+    aoi: detection.aoi,
+    firstConfirmation: detection.firstConfirmation || null,
+    mergedIntoId: detection.mergedIntoId || null,
+    confirmedAtIso: detection.confirmedAtIso || null,
+    rejectedAtIso: detection.rejectedAtIso || null,
+  };
+}
+
+/**
+ * Metadata for a local edit: this tab's counter goes up by one.
+ * @param {SyncMeta | null | undefined} meta
+ * @returns {SyncMeta}
+ */
+function nextSyncMeta(meta) {
+  const clock = { ...(meta ? meta.clock : {}) };
+  clock[syncClientId] = (clock[syncClientId] || 0) + 1;
+  return { clock, updatedAtIso: new Date().toISOString(), updatedBy: getOperatorId(), clientId: syncClientId };
+}
+
+/**
+ * How version vector `a` relates to `b`.
+ * @param {Record<string, number>} a
+ * @param {Record<string, number>} b
+ * @returns {"same" | "newer" | "older" | "concurrent"}
+ */
+function compareClocks(a, b) {
+  let aAhead = false;
+  let bAhead = false;
+  for (const id of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if ((a[id] || 0) > (b[id] || 0)) aAhead = true;
+    if ((b[id] || 0) > (a[id] || 0)) bAhead = true;
+  }
+  if (aAhead && bAhead) return "concurrent";
+  return aAhead ? "newer" : bAhead ? "older" : "same";
+}
+
+/**
+ * @param {"incident" | "detection" | "policy"} kind
+ * @param {string} id
+ * @param {any} data
+ * @param {SyncMeta} meta
+ */
+function rememberSyncRecord(kind, id, data, meta) {
+  syncRecords.set(`${kind}:${id}`, { kind, id, data, meta, json: canonicalJson(data) });
+}
+
+/** Publish what changed in this tab since the last save. Called by saveState(). */
+function syncLocalChanges() {
+  /** @type {SyncRecord[]} */
+  const records = [];
+  const track = (kind, item, data) => {
+    const known = syncRecords.get(`${kind}:${item.id}`);
+    if (known && known.json === canonicalJson(data)) return;
+    item.sync = nextSyncMeta(item.sync);
+    rememberSyncRecord(kind, item.id, data, item.sync);
+    records.push({ kind, id: item.id, data, meta: item.sync });
+  };
+  for (const incident of incidents) track("incident", incident, incidentSyncData(incident));
+  for (const detection of reviewQueue) track("detection", detection, detectionSyncData(detection));
+  for (const policy of triagePolicyVersions) track("policy", policy, policySyncData(policy));
+
+  const entries = auditLog.filter((entry) => !syncedAuditIds.has(entry.id));
+  for (const entry of entries) syncedAuditIds.add(entry.id);
+
+  if (records.length > 0) publishSync({ type: "records", records });
+  if (entries.length > 0) publishSync({ type: "audit", entries });
+}
+
+/** Send to the other tabs and, when connected, to the server. */
+function publishSync(message) {
+  const envelope = { ...message, from: syncClientId };
+  if (syncChannel) syncChannel.postMessage(envelope);
+  if (syncSocket && syncSocket.readyState === WebSocket.OPEN) syncSocket.send(JSON.stringify(envelope));
+}
+
+/**
+ * Items of both lists, once each, in a fixed order.
+ * @template T
+ * @param {T[]} a
+ * @param {T[]} b
+ * @param {(item: T) => string} keyOf
+ * @param {(item: T) => string} timeOf
+ * @returns {T[]}
+ */
+function unionByKey(a, b, keyOf, timeOf) {
+  const byKey = new Map();
+  for (const item of [...a, ...b]) if (!byKey.has(keyOf(item))) byKey.set(keyOf(item), item);
+  return [...byKey.values()].sort((x, y) =>
+    timeOf(x) === timeOf(y) ? (keyOf(x) < keyOf(y) ? -1 : 1) : timeOf(x) < timeOf(y) ? -1 : 1
+  );
+}
+
+/**
+ * Deterministic winner of two concurrent copies (same answer in every tab).
+ * @param {SyncRecord} a
+ * @param {SyncRecord} b
+ */
+function syncConflictWinner(a, b) {
+  if (a.kind === "detection") {
+    const rankA = DETECTION_DECISION_RANK[a.data.state] || 0;
+    const rankB = DETECTION_DECISION_RANK[b.data.state] || 0;
+    if (rankA !== rankB) return rankA > rankB ? a : b;
+    // Same decision strength: the first decision stands.
+    if (a.meta.updatedAtIso !== b.meta.updatedAtIso) return a.meta.updatedAtIso < b.meta.updatedAtIso ? a : b;
+    return a.meta.clientId < b.meta.clientId ? a : b;
+  }
+  if (a.meta.updatedAtIso !== b.meta.updatedAtIso) return a.meta.updatedAtIso > b.meta.updatedAtIso ? a : b;
+  return a.meta.clientId > b.meta.clientId ? a : b;
+}
+
+/**
+ * Merge two concurrent copies: the winner's data, append-only lists from both,
+ * and a version vector that covers both edits.
+ * @param {SyncRecord} a
+ * @param {SyncRecord} b
+ * @returns {{record: SyncRecord, winner: SyncRecord, loser: SyncRecord}}
+ */
+function resolveSyncConflict(a, b) {
+  const winner = syncConflictWinner(a, b);
+  const loser = winner === a ? b : a;
+  const clock = { ...a.meta.clock };
+  for (const [id, count] of Object.entries(b.meta.clock)) clock[id] = Math.max(clock[id] || 0, count);
+
+  let data = winner.data;
+  if (winner.kind === "incident") {
+    data = {
+      ...winner.data,
+      notes: unionByKey(winner.data.notes, loser.data.notes, (n) => n.id, (n) => n.atIso),
+      attachments: unionByKey(winner.data.attachments, loser.data.attachments, (a) => a.id, (a) => a.addedAtIso),
+      mergedDetections: unionByKey(
+        winner.data.mergedDetections,
+        loser.data.mergedDetections,
+        (m) => m.detectionId,
+        (m) => m.mergedAtIso
+      ),
+    };
+  }
+  return { record: { kind: winner.kind, id: winner.id, data, meta: { ...winner.meta, clock } }, winner, loser };
+}
+
+/**
+ * Conflict notice, or null when the losing copy lost nothing.
+ * @param {SyncRecord} winner
+ * @param {SyncRecord} loser
+ */
+function describeSyncConflict(winner, loser) {
+  const listFree = ({ notes, attachments, mergedDetections, ...rest }) => rest;
+  const label = shortIncidentLabel(winner.id);
+  if (winner.kind === "detection") {
+    if (winner.data.state === loser.data.state) return null;
+    return (
+      `Detection ${label}: ${loser.meta.updatedBy} ${DETECTION_DECISION_VERBS[loser.data.state]} while ` +
+      `${winner.meta.updatedBy} ${DETECTION_DECISION_VERBS[winner.data.state]}. The stronger decision was kept.`
+    );
+  }
+  if (canonicalJson(listFree(winner.data)) === canonicalJson(listFree(loser.data))) return null;
+  const what = (record) =>
+    record.data.status !== winner.data.status || record.data.status !== loser.data.status
+      ? `status ${record.data.status}`
+      : "details";
+  return (
+    `${label}: ${loser.meta.updatedBy} (${what(loser)}) and ${winner.meta.updatedBy} (${what(winner)}) ` +
+    `edited it at the same time. ${winner.meta.updatedBy}'s later edit was kept.`
+  );
+}
+
+/** @param {SyncRecord} record */
+function applyIncidentRecord(record) {
+  const data = record.data;
+  const location = L.latLng(data.location.lat, data.location.lng);
+  let incident = incidents.find((i) => i.id === record.id);
+  if (incident) {
+    Object.assign(incident, data, { location, marker: incident.marker });
+    incident.marker.setLatLng(location);
+    incident.marker.setIcon(makeIncidentIcon(incident.status));
+    incident.marker.options.title = incident.status;
+  } else {
+    incident = deserializeIncident(data);
+    incidents.push(incident);
+  }
+  incident.sync = record.meta;
+  rememberSyncRecord("incident", incident.id, incidentSyncData(incident), record.meta);
+}
+
+/**
+ * @param {SyncRecord} record
+ * @returns {"added" | "decided" | null} what happened to this tab's review queue
+ */
+function applyDetectionRecord(record) {
+  const data = record.data;
+  const awaiting = data.state === "unconfirmed" || data.state === "pending_verification";
+  let detection = reviewQueue.find((d) => d.id === record.id);
+  let outcome = null;
+
+  if (!detection && awaiting) {
+    detection = deserializeDetection(data);
+    reviewQueue.push(detection);
+    addDraftMarker(detection);
+    outcome = "added";
+  } else if (detection) {
+    const { state, firstConfirmation, mergedIntoId, confirmedAtIso, rejectedAtIso } = data;
+    Object.assign(detection, { state, firstConfirmation, mergedIntoId, confirmedAtIso, rejectedAtIso });
+    if (!awaiting) {
+      // A confirmed incident arrives with a marker of its own.
+      if (detection.marker) map.removeLayer(detection.marker);
+      detection.marker = null;
+      outcome = "decided";
+    }
+  }
+
+  // The false-positive history follows the winning decision.
+  const rejectedIndex = rejectedDetections.findIndex((d) => d.id === record.id);
+  if (data.state === "rejected" && rejectedIndex === -1) {
+    rejectedDetections.push({
+      id: data.id,
+      location: L.latLng(data.location.lat, data.location.lng),
+      confidencePct: data.confidencePct,
+      detectedAtIso: data.detectedAtIso,
+      rejectedAtIso: data.rejectedAtIso,
+      triage: data.triage,
+      policyVersion: data.policyVersion,
+    });
+  } else if (data.state !== "rejected" && rejectedIndex !== -1) {
+    rejectedDetections.splice(rejectedIndex, 1);
+  }
+
+  if (detection) {
+    detection.sync = record.meta;
+    rememberSyncRecord("detection", detection.id, detectionSyncData(detection), record.meta);
+  } else {
+    rememberSyncRecord("detection", record.id, data, record.meta);
+  }
+  return outcome;
+}
+
+/** @param {string} message */
+function noteSyncConflict(message) {
+  syncConflicts.unshift({ atIso: new Date().toISOString(), message });
+  syncConflicts.length = Math.min(syncConflicts.length, SYNC_CONFLICT_LIMIT);
+}
+
+/**
+ * Apply records from another tab or the server. Older copies are ignored.
+ * @param {SyncRecord[]} records
+ */
+function applySyncRecords(records) {
+  if (!Array.isArray(records)) return;
+  const active = getActiveDetection();
+  const conflicts = [];
+  /** Merged copies; nothing else would send them, and the server keeps both heads until it sees one. */
+  const resolvedKeys = new Set();
+  /** Records this tab first hears of in this batch (a snapshot can hold several heads of one). */
+  const newKeys = new Set();
+  let applied = 0;
+  let added = 0;
+  let decidedActive = null;
+  let focusedChanged = false;
+  let policyAdded = false;
+
+  for (const incoming of records) {
+    if (!incoming || !SYNC_RECORD_KINDS.includes(incoming.kind) || !incoming.meta) continue;
+    const key = `${incoming.kind}:${incoming.id}`;
+    const known = syncRecords.get(key);
+    // Policy versions never change once saved: only new ones matter.
+    if (incoming.kind === "policy") {
+      if (!known && applyPolicyRecord(incoming)) policyAdded = true;
+      continue;
+    }
+    let record = incoming;
+    if (!known) newKeys.add(key);
+    else {
+      const order = compareClocks(incoming.meta.clock, known.meta.clock);
+      if (order === "same" || order === "older") continue;
+      if (order === "concurrent") {
+        const resolved = resolveSyncConflict(known, incoming);
+        record = resolved.record;
+        resolvedKeys.add(key);
+        // Nobody here worked on a record first seen in this batch: nothing to warn about.
+        const notice = newKeys.has(key) ? null : describeSyncConflict(resolved.winner, resolved.loser);
+        if (notice) conflicts.push(notice);
+      }
+    }
+
+    applied += 1;
+    if (record.kind === "incident") {
+      applyIncidentRecord(record);
+      if (record.id === focusedIncidentId) focusedChanged = true;
+      continue;
+    }
+    const outcome = applyDetectionRecord(record);
+    if (outcome === "added") added += 1;
+    if (outcome === "decided" && active && active.id === record.id) decidedActive = record;
+  }
+
+  if (policyAdded) {
+    saveTriagePolicies();
+    renderTriagePolicy();
+  }
+  if (applied === 0) {
+    if (policyAdded) setInstruction(describePolicyInForce());
+    return;
+  }
+  for (const notice of conflicts) noteSyncConflict(notice);
+  if (decidedActive) hideActionBar();
+  else if (active && isAwaitingDecision(active) && !detectionActionBar.hidden) showActionBar(active);
+  renderReviewQueue();
+  renderIncidentList();
+  if (focusedChanged) setIncidentControls(getFocusedIncident());
+  renderHandoverSummary();
+  renderSyncStatus();
+  saveState();
+  // The merged clock is newer than both heads, so the server drops them for this copy.
+  if (resolvedKeys.size > 0) {
+    const merged = [...resolvedKeys].map((key) => {
+      const { kind, id, data, meta } = syncRecords.get(key);
+      return { kind, id, data, meta };
+    });
+    publishSync({ type: "records", records: merged });
+  }
+
+  if (conflicts.length > 0) {
+    setStatus("alert", "Sync conflict");
+    setInstruction(conflicts.join(" "));
+  } else if (decidedActive) {
+    setInstruction(
+      `${decidedActive.meta.updatedBy} ${DETECTION_DECISION_VERBS[decidedActive.data.state]}. Choose the next detection in the review queue.`
+    );
+  } else if (added > 0) {
+    setInstruction(`${added} detection(s) from another operator joined the review queue.`);
+  } else if (policyAdded) {
+    setInstruction(describePolicyInForce());
+  }
+}
+
+/**
+ * Add a policy version saved elsewhere (invalid ones are ignored).
+ * @param {SyncRecord} record
+ * @returns {boolean} true when it was new here
+ */
+function applyPolicyRecord(record) {
+  rememberSyncRecord("policy", record.id, record.data, record.meta);
+  if (!isValidTriagePolicy(record.data) || record.data.id !== record.id) return false;
+  if (triagePolicyVersions.some((p) => p.id === record.id)) return false;
+  triagePolicyVersions.push({ ...record.data, sync: record.meta });
+  sortTriagePolicies(triagePolicyVersions);
+  return true;
+}
+
+function describePolicyInForce() {
+  const policy = currentTriagePolicy();
+  return `Triage policy version ${policy.version} (saved by ${policy.savedBy}) is in force for the team.`;
+}
+
+/** @param {any[]} entries */
+function applySyncAudit(entries) {
+  if (!Array.isArray(entries)) return;
+  const added = entries.filter((entry) => entry && typeof entry.id === "string" && !syncedAuditIds.has(entry.id));
+  if (added.length === 0) return;
+  for (const entry of added) {
+    syncedAuditIds.add(entry.id);
+    auditLog.push(Object.freeze(entry));
+  }
+  renderAuditLog();
+  renderHandoverSummary();
+  renderMetrics();
+  saveState();
+  if (mapViewSelect.value === "heatmap") refreshMapDisplay();
+}
+
+function onSyncMessage(message) {
+  if (!message || typeof message !== "object" || message.from === syncClientId) return;
+  if (message.type === "records") applySyncRecords(message.records);
+  else if (message.type === "audit") applySyncAudit(message.entries);
+  else if (message.type === "snapshot") {
+    applySyncRecords(message.records);
+    applySyncAudit(message.audit);
+  } else if (message.type === "presence" && Array.isArray(message.clients)) {
+    syncPeers = message.clients;
+    renderSyncStatus();
+  }
+}
+
+/** Tell the server who is at this console (after connecting and on sign-in / sign-out). */
+function announcePresence() {
+  if (!syncSocket || syncSocket.readyState !== WebSocket.OPEN) return;
+  const operator = operatorSession ? { operatorId: operatorSession.operatorId, role: operatorSession.role } : null;
+  syncSocket.send(JSON.stringify({ type: "hello", from: syncClientId, operator }));
+}
+
+function saveSyncSettings() {
+  try {
+    localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ url: syncServerUrl, enabled: syncEnabled }));
+  } catch (err) {
+    console.warn("Aegis Detect: could not save sync settings.", err);
+  }
+}
+
+function connectSync() {
+  clearTimeout(syncReconnectTimer);
+  syncReconnectTimer = null;
+  let socket;
+  try {
+    socket = new WebSocket(syncServerUrl);
+  } catch (err) {
+    syncEnabled = false;
+    saveSyncSettings();
+    renderSyncStatus(`Invalid sync server URL (${err instanceof Error ? err.message : String(err)}).`);
+    return;
+  }
+  syncSocket = socket;
+
+  socket.addEventListener("open", () => {
+    syncReconnectMs = SYNC_RECONNECT_MIN_MS;
+    announcePresence();
+    // Catch the server up on everything made here while disconnected.
+    syncLocalChanges();
+    const records = [...syncRecords.values()].map(({ kind, id, data, meta }) => ({ kind, id, data, meta }));
+    socket.send(JSON.stringify({ type: "records", from: syncClientId, records }));
+    socket.send(JSON.stringify({ type: "audit", from: syncClientId, entries: auditLog }));
+    renderSyncStatus();
+  });
+  socket.addEventListener("message", (event) => {
+    let message;
+    try {
+      message = JSON.parse(String(event.data));
+    } catch (err) {
+      console.warn("Aegis Detect: unreadable sync message.", err);
+      return;
+    }
+    onSyncMessage(message);
+  });
+  socket.addEventListener("close", () => {
+    if (syncSocket !== socket) return;
+    syncSocket = null;
+    syncPeers = [];
+    if (syncEnabled) {
+      syncReconnectTimer = setTimeout(connectSync, syncReconnectMs);
+      syncReconnectMs = Math.min(syncReconnectMs * 2, SYNC_RECONNECT_MAX_MS);
+    }
+    renderSyncStatus();
+  });
+  renderSyncStatus();
+}
+
+function disconnectSync() {
+  syncEnabled = false;
+  saveSyncSettings();
+  clearTimeout(syncReconnectTimer);
+  syncReconnectTimer = null;
+  const socket = syncSocket;
+  syncSocket = null;
+  syncPeers = [];
+  if (socket) socket.close();
+  renderSyncStatus();
+}
+
+/** @param {string} [error] */
+function renderSyncStatus(error) {
+  const state = syncSocket ? syncSocket.readyState : WebSocket.CLOSED;
+  syncConnectBtn.hidden = syncEnabled;
+  syncDisconnectBtn.hidden = !syncEnabled;
+  syncUrlInput.disabled = syncEnabled;
+
+  const tabs = syncChannel ? "Tabs in this browser stay in step." : "This browser cannot sync tabs.";
+  if (error) syncStatus.textContent = error;
+  else if (!syncEnabled) syncStatus.textContent = `Not connected. ${tabs}`;
+  else if (state === WebSocket.OPEN) syncStatus.textContent = `Connected to ${syncServerUrl}. ${syncPeers.length} online.`;
+  else if (state === WebSocket.CONNECTING) syncStatus.textContent = `Connecting to ${syncServerUrl}…`;
+  else {
+    syncStatus.textContent = `Cannot reach ${syncServerUrl}; retrying. Changes made meanwhile are sent on reconnect.`;
+  }
+
+  presenceList.innerHTML = "";
+  presenceList.hidden = syncPeers.length === 0;
+  for (const peer of syncPeers) {
+    const li = document.createElement("li");
+    li.classList.toggle("signed-out", !peer.operatorId);
+    const who = peer.operatorId
+      ? `${peer.operatorId} (${OPERATOR_ROLES[peer.role] ? OPERATOR_ROLES[peer.role].label : "unknown role"})`
+      : "Signed out";
+    li.textContent = `${who}${peer.clientId === syncClientId ? " — this tab" : ""}`;
+    li.title = `Online since ${formatDetectionTime(peer.connectedAtIso)}`;
+    presenceList.appendChild(li);
+  }
+
+  syncConflictList.innerHTML = "";
+  syncConflictList.hidden = syncConflicts.length === 0;
+  for (const conflict of syncConflicts) {
+    const li = document.createElement("li");
+    li.textContent = `${formatDetectionTime(conflict.atIso)}: ${conflict.message}`;
+    syncConflictList.appendChild(li);
+  }
+}
+
+/** Baseline from the restored state, then reconnect if sync was on. */
+function initSync() {
+  for (const incident of incidents) {
+    if (incident.sync) rememberSyncRecord("incident", incident.id, incidentSyncData(incident), incident.sync);
+  }
+  for (const detection of reviewQueue) {
+    if (detection.sync) rememberSyncRecord("detection", detection.id, detectionSyncData(detection), detection.sync);
+  }
+  // Versions saved before team sync get their metadata once, so reloads do not send new copies.
+  const unsynced = triagePolicyVersions.filter((policy) => !policy.sync);
+  for (const policy of unsynced) policy.sync = nextSyncMeta(null);
+  if (unsynced.length > 0) saveTriagePolicies();
+  for (const policy of triagePolicyVersions) rememberSyncRecord("policy", policy.id, policySyncData(policy), policy.sync);
+  for (const entry of auditLog) syncedAuditIds.add(entry.id);
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(SYNC_STORAGE_KEY) || "null");
+    if (stored && typeof stored.url === "string" && stored.url) syncServerUrl = stored.url;
+    syncEnabled = !!(stored && stored.enabled);
+  } catch (err) {
+    console.warn("Aegis Detect: could not restore sync settings.", err);
+  }
+  syncUrlInput.value = syncServerUrl;
+  if (syncEnabled) connectSync();
+  else renderSyncStatus();
+}
+
+if (syncChannel) syncChannel.addEventListener("message", (event) => onSyncMessage(event.data));
+
+syncConnectBtn.addEventListener("click", () => {
+  syncServerUrl = syncUrlInput.value.trim() || SYNC_DEFAULT_URL;
+  syncUrlInput.value = syncServerUrl;
+  if (!/^wss?:\/\//i.test(syncServerUrl)) {
+    renderSyncStatus("The sync server URL must start with ws:// or wss://.");
+    return;
+  }
+  syncEnabled = true;
+  saveSyncSettings();
+  connectSync();
+});
+syncDisconnectBtn.addEventListener("click", disconnectSync);
+
+// ===== Outbound alerts (CAP 1.2 + webhooks) ==================================
+
+/*
+  Outbound alerts
+  ---------------
+  Agencies exchange warnings as Common Alerting Protocol (CAP 1.2) messages.
+  One is generated when an operator confirms a fire ("Alert") and on every
+  lifecycle change after that ("Update", referencing the previous message):
+  - severity follows the impact risk (High → Severe, Medium → Moderate,
+    Low → Minor); urgency and response type follow the lifecycle status
+  - the area is the impact zone polygon, so receivers can map it directly
+  - certainty is always "Observed": a person confirmed the fire
+
+  Messages are POSTed to every enabled webhook endpoint. Network errors, time
+  outs and 5xx/408/429 answers are retried with growing delays; other 4xx
+  answers are final. Pending retries survive a reload. Receivers should drop
+  repeats by identifier (CAP identifiers are unique per message).
+
+  Any tab can issue an alert, but only the scheduler tab (see Areas of interest)
+  POSTs it, so a retry is not sent once per open tab. The tabs share one storage
+  key: every save merges what is stored first, and the other tabs merge the
+  saved copy when the storage event reports it.
+
+  Only the browser where the action happened sends the alert; changes that
+  arrive through team sync do not. The incident carries a reference to its
+  last message (lastAlert), so it syncs and persists with the incident: an
+  update sent from another browser, or after the log was trimmed, still
+  references the message it updates. Endpoints must allow cross-origin POSTs
+  (CORS); the test receiver (cap-receiver.js) does.
+*/
+
+const ALERT_STORAGE_KEY = "aegisDetect.alerts";
+const CAP_NAMESPACE = "urn:oasis:names:tc:emergency:cap:1.2";
+const CAP_STATUSES = ["Exercise", "Test", "Actual"];
+const ALERT_DEFAULT_SENDER = "aegis-detect@localhost";
+/** Waits before each retry; one attempt plus one retry per entry. */
+const ALERT_RETRY_DELAYS_MS = [5_000, 30_000, 120_000, 600_000];
+const ALERT_REQUEST_TIMEOUT_MS = 10_000;
+/** Issued messages kept (with their XML) for the delivery log and references. */
+const ALERT_HISTORY_LIMIT = 100;
+/** Entries shown in the delivery log. */
+const ALERT_LOG_LIMIT = 20;
+
+/** @type {Record<ImpactAssessment["risk"], string>} */
+const CAP_SEVERITY_BY_RISK = { High: "Severe", Medium: "Moderate", Low: "Minor" };
+
+/**
+ * CAP terms per lifecycle status. Evacuation orders are left to the receiving agency.
+ * @type {Record<LifecycleStatus, {urgency: string, responseType: string, instruction: string}>}
+ */
+const CAP_STATUS_TERMS = {
+  "Confirmed — Awaiting response": {
+    urgency: "Immediate",
+    responseType: "Prepare",
+    instruction: "Fire confirmed; no crews dispatched yet. Be ready to act on instructions from local authorities.",
+  },
+  "Confirmed — Response dispatched": {
+    urgency: "Immediate",
+    responseType: "Prepare",
+    instruction: "Crews are responding. Keep clear of the area and follow instructions from responders.",
+  },
+  Monitoring: {
+    urgency: "Expected",
+    responseType: "Monitor",
+    instruction: "The fire is being monitored. Stay alert for updates.",
+  },
+  Contained: {
+    urgency: "Expected",
+    responseType: "Monitor",
+    instruction: "The fire is contained. Stay alert for updates.",
+  },
+  Resolved: { urgency: "Past", responseType: "AllClear", instruction: "The fire is out. No further action is needed." },
+  Closed: { urgency: "Past", responseType: "AllClear", instruction: "The incident is closed." },
+  Reopened: {
+    urgency: "Immediate",
+    responseType: "Prepare",
+    instruction: "The fire is active again. Be ready to act on instructions from local authorities.",
+  },
+};
+
+/**
+ * @typedef {{id: string, url: string, enabled: boolean}} AlertEndpoint
+ * @typedef {{sender: string, identifier: string, sentIso: string}} AlertReference
+ * @typedef {{
+ *   identifier: string,
+ *   incidentId: string | null,
+ *   msgType: "Alert" | "Update",
+ *   capStatus: string,
+ *   severity: string,
+ *   headline: string,
+ *   sentIso: string,
+ *   xml: string
+ * }} IssuedAlert
+ * @typedef {{
+ *   id: string,
+ *   alertId: string,
+ *   url: string,
+ *   state: "pending" | "retrying" | "delivered" | "failed",
+ *   attempts: number,
+ *   lastAttemptIso: string | null,
+ *   nextAttemptIso: string | null,
+ *   result: string,
+ *   updatedAtIso: string
+ * }} AlertDelivery
+ */
+
+let alertSenderId = ALERT_DEFAULT_SENDER;
+let alertCapStatus = "Exercise";
+/** @type {AlertEndpoint[]} */
+let alertEndpoints = [];
+/** Oldest first. @type {IssuedAlert[]} */
+let issuedAlerts = [];
+/** @type {AlertDelivery[]} */
+let alertDeliveries = [];
+/** Scheduled retries by delivery ID. @type {Map<string, number>} */
+const alertRetryTimers = new Map();
+/** Deliveries with a POST under way. @type {Set<string>} */
+const alertDeliveriesInFlight = new Set();
+
+/** CAP date-time: no fractions, and UTC written as "-00:00" ("Z" is not allowed). */
+function capDateTime(iso) {
+  return `${iso.slice(0, 19)}-00:00`;
+}
+
+/** @param {string} name @param {unknown} value */
+function capElement(name, value) {
+  return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+/** @param {L.LatLng} point */
+function capPoint(point) {
+  return `${point.lat.toFixed(5)},${point.lng.toFixed(5)}`;
+}
+
+/**
+ * The <area> block: the impact zone as a closed polygon, or the bare point when
+ * the incident has no assessment.
+ * @param {typeof incidents[number]} incident
+ */
+function capArea(incident) {
+  const where = incident.aoi ? ` in ${incident.aoi.name}` : "";
+  if (!incident.impact) {
+    return [
+      "<area>",
+      capElement("areaDesc", `Fire location of ${shortIncidentLabel(incident.id)}${where}`),
+      capElement("circle", `${capPoint(incident.location)} 0`),
+      "</area>",
+    ];
+  }
+  const ring = impactOutline(incident.location, incident.impact);
+  const hours = incident.impact.inputs ? `${incident.impact.horizonHours} h ` : "";
+  return [
+    "<area>",
+    capElement(
+      "areaDesc",
+      `Projected ${hours}impact zone of ${shortIncidentLabel(incident.id)}${where}: ${describeImpactZone(incident.impact)}`
+    ),
+    capElement("polygon", [...ring, ring[0]].map(capPoint).join(" ")),
+    "</area>",
+  ];
+}
+
+/**
+ * CAP 1.2 XML for an incident's current state.
+ * @param {typeof incidents[number]} incident
+ * @param {Omit<IssuedAlert, "xml">} alert
+ * @param {AlertReference | null} previous message this one updates
+ */
+function buildCapAlert(incident, alert, previous) {
+  const terms = CAP_STATUS_TERMS[incident.status] || CAP_STATUS_TERMS[INITIAL_LIFECYCLE_STATUS];
+  const impact = incident.impact;
+  const description = [
+    `${incident.status}. AI confidence ${incident.confidencePct}%, confirmed by ${incident.confirmedBy} ` +
+      `at ${incident.confirmedAtIso}.`,
+    impact ? `${impact.risk} risk, ~${impact.areaKm2.toFixed(1)} km². ${impact.notes}` : "No impact assessment.",
+    incident.assignedUnit ? `Assigned unit: ${incident.assignedUnit}.` : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+  const parameter = (name, value) =>
+    `<parameter>${capElement("valueName", name)}${capElement("value", value)}</parameter>`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<alert xmlns="${CAP_NAMESPACE}">`,
+    capElement("identifier", alert.identifier),
+    capElement("sender", alertSenderId),
+    capElement("sent", capDateTime(alert.sentIso)),
+    capElement("status", alert.capStatus),
+    capElement("msgType", alert.msgType),
+    capElement("scope", "Public"),
+    capElement("note", "Demo / Non-operational data. Generated by Aegis Detect."),
+    previous
+      ? capElement("references", `${previous.sender},${previous.identifier},${capDateTime(previous.sentIso)}`)
+      : "",
+    capElement("incidents", incident.id),
+    "<info>",
+    capElement("language", "en-US"),
+    capElement("category", "Fire"),
+    capElement("event", "Wildfire"),
+    capElement("responseType", terms.responseType),
+    capElement("urgency", terms.urgency),
+    capElement("severity", alert.severity),
+    capElement("certainty", "Observed"),
+    capElement("senderName", `Aegis Detect (${getOperatorId()})`),
+    capElement("headline", alert.headline),
+    capElement("description", description),
+    capElement("instruction", terms.instruction),
+    parameter("lifecycleStatus", incident.status),
+    parameter("priority", incident.priority),
+    parameter("aiConfidencePct", incident.confidencePct),
+    ...capArea(incident),
+    "</info>",
+    "</alert>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/** Minimal "Test" message with no <info>: checks that endpoints accept CAP. */
+function buildCapTestAlert(alert) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<alert xmlns="${CAP_NAMESPACE}">`,
+    capElement("identifier", alert.identifier),
+    capElement("sender", alertSenderId),
+    capElement("sent", capDateTime(alert.sentIso)),
+    capElement("status", "Test"),
+    capElement("msgType", "Alert"),
+    capElement("scope", "Public"),
+    capElement("note", "Endpoint test from Aegis Detect. Ignore."),
+    "</alert>",
+  ].join("\n");
+}
+
+/** @param {string} stem */
+function newAlertIdentifier(stem) {
+  return `${alertSenderId}.${stem}.${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * The incident's newest message in this browser's log (incidents alerted before
+ * lastAlert was stored), or null.
+ * @param {string} incidentId
+ * @returns {AlertReference | null}
+ */
+function loggedAlertReference(incidentId) {
+  const logged = [...issuedAlerts].reverse().find((a) => a.incidentId === incidentId);
+  if (!logged) return null;
+  const sender = /<sender>([^<]*)<\/sender>/.exec(logged.xml);
+  return { sender: sender ? sender[1] : alertSenderId, identifier: logged.identifier, sentIso: logged.sentIso };
+}
+
+/**
+ * Generate the CAP message for the incident's current state and send it.
+ * Called after a confirmation or a lifecycle change made in this browser.
+ * @param {typeof incidents[number]} incident
+ */
+function issueIncidentAlert(incident) {
+  const previous = incident.lastAlert || loggedAlertReference(incident.id);
+  const severity = incident.impact ? CAP_SEVERITY_BY_RISK[incident.impact.risk] : "Unknown";
+  const alert = {
+    identifier: newAlertIdentifier(incident.id),
+    incidentId: incident.id,
+    msgType: previous ? "Update" : "Alert",
+    capStatus: alertCapStatus,
+    severity,
+    headline: `Wildfire ${incidentDisplayName(incident)}: ${incident.status}`.slice(0, 160),
+    sentIso: new Date().toISOString(),
+  };
+  const issued = { ...alert, xml: buildCapAlert(incident, alert, previous) };
+  // Saved and synced by the audit event below.
+  incident.lastAlert = { sender: alertSenderId, identifier: alert.identifier, sentIso: alert.sentIso };
+  const endpointCount = queueAlert(issued);
+  recordAuditEvent({
+    type: "alert_issued",
+    subjectId: incident.id,
+    after: {
+      identifier: issued.identifier,
+      msgType: issued.msgType,
+      severity,
+      capStatus: issued.capStatus,
+      endpointCount,
+    },
+  });
+}
+
+/**
+ * Keep the message and start a delivery to every enabled endpoint.
+ * @param {IssuedAlert} alert
+ * @returns {number} endpoints it goes to
+ */
+function queueAlert(alert) {
+  issuedAlerts.push(alert);
+  trimIssuedAlerts();
+
+  const nowIso = new Date().toISOString();
+  const targets = alertEndpoints.filter((endpoint) => endpoint.enabled);
+  const deliveries = targets.map((endpoint, i) => ({
+    // Other tabs merge deliveries by ID.
+    id: `dlv_${syncClientId}_${Date.now()}_${alertDeliveries.length + i + 1}`,
+    alertId: alert.identifier,
+    url: endpoint.url,
+    state: /** @type {AlertDelivery["state"]} */ ("pending"),
+    attempts: 0,
+    lastAttemptIso: null,
+    nextAttemptIso: null,
+    result: "",
+    updatedAtIso: nowIso,
+  }));
+  alertDeliveries.push(...deliveries);
+  saveAlerting();
+  renderAlertLog();
+  resumeAlertDeliveries();
+  return targets.length;
+}
+
+/** Oldest messages (and their deliveries) go first; running retries keep their own copy. */
+function trimIssuedAlerts() {
+  while (issuedAlerts.length > ALERT_HISTORY_LIMIT) {
+    const dropped = issuedAlerts.shift();
+    alertDeliveries = alertDeliveries.filter((d) => d.alertId !== dropped.identifier);
+  }
+}
+
+/** In the scheduler tab: start or schedule every delivery still owed (new, retrying or cut off by a reload). */
+function resumeAlertDeliveries() {
+  if (!schedulerLeader) return;
+  for (const delivery of alertDeliveries) {
+    if (delivery.state !== "pending" && delivery.state !== "retrying") continue;
+    if (!alertRetryTimers.has(delivery.id) && !alertDeliveriesInFlight.has(delivery.id)) scheduleDelivery(delivery);
+  }
+}
+
+/**
+ * POST the message once; schedule a retry when the failure may be temporary.
+ * @param {AlertDelivery} delivery
+ */
+async function attemptDelivery(delivery) {
+  clearTimeout(alertRetryTimers.get(delivery.id));
+  alertRetryTimers.delete(delivery.id);
+  const alert = issuedAlerts.find((a) => a.identifier === delivery.alertId);
+  if (!alert) return;
+
+  alertDeliveriesInFlight.add(delivery.id);
+  delivery.attempts += 1;
+  delivery.lastAttemptIso = new Date().toISOString();
+  delivery.updatedAtIso = delivery.lastAttemptIso;
+  delivery.nextAttemptIso = null;
+  delivery.state = "pending";
+  renderAlertLog();
+
+  let temporary = true;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ALERT_REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/xml; charset=utf-8" },
+      body: alert.xml,
+      signal: controller.signal,
+    });
+    const detail = response.ok ? "" : (await response.text().catch(() => "")).trim().split("\n")[0].slice(0, 160);
+    delivery.result = `HTTP ${response.status}${detail ? `: ${detail}` : ""}`;
+    if (response.ok) delivery.state = "delivered";
+    temporary = response.status >= 500 || response.status === 408 || response.status === 429;
+  } catch (err) {
+    delivery.result = controller.signal.aborted
+      ? `No answer within ${ALERT_REQUEST_TIMEOUT_MS / 1000} s`
+      : `Unreachable (${err instanceof Error ? err.message : String(err)})`;
+  } finally {
+    clearTimeout(timer);
+    alertDeliveriesInFlight.delete(delivery.id);
+  }
+
+  delivery.updatedAtIso = new Date().toISOString();
+  if (delivery.state !== "delivered") {
+    const waitMs = ALERT_RETRY_DELAYS_MS[delivery.attempts - 1];
+    if (temporary && waitMs !== undefined) {
+      delivery.state = "retrying";
+      delivery.nextAttemptIso = new Date(Date.now() + waitMs).toISOString();
+      scheduleDelivery(delivery);
+    } else {
+      delivery.state = "failed";
+    }
+  }
+  saveAlerting();
+  renderAlertLog();
+}
+
+/** @param {AlertDelivery} delivery */
+function scheduleDelivery(delivery) {
+  const waitMs = delivery.nextAttemptIso ? Math.max(0, Date.parse(delivery.nextAttemptIso) - Date.now()) : 0;
+  alertRetryTimers.set(delivery.id, setTimeout(() => attemptDelivery(delivery), waitMs));
+}
+
+/** @returns {any} the stored settings and log, or null */
+function readStoredAlerting() {
+  try {
+    return JSON.parse(localStorage.getItem(ALERT_STORAGE_KEY) || "null");
+  } catch (err) {
+    console.warn("Aegis Detect: could not read alert settings.", err);
+    return null;
+  }
+}
+
+/** @param {any} stored */
+function applyStoredAlertSettings(stored) {
+  if (typeof stored.senderId === "string" && stored.senderId) alertSenderId = stored.senderId;
+  if (CAP_STATUSES.includes(stored.capStatus)) alertCapStatus = stored.capStatus;
+  if (Array.isArray(stored.endpoints)) alertEndpoints = stored.endpoints;
+}
+
+/**
+ * Fold a stored log into this tab's: other tabs add messages, the scheduler tab
+ * updates deliveries. The newer copy of a delivery wins.
+ * @param {any} stored
  */
-exportIncidentBtn.addEventListener("click", () => {
-  // Do not allow export before confirmation.
-  const incident = incidents.find((i) => i.id === focusedIncidentId);
-  if (!incident) return;
-  if (!incident.impact) return;
+function mergeAlertLog(stored) {
+  const known = new Set(issuedAlerts.map((a) => a.identifier));
+  for (const alert of Array.isArray(stored.alerts) ? stored.alerts : []) {
+    if (!known.has(alert.identifier)) issuedAlerts.push(alert);
+  }
+  issuedAlerts.sort((a, b) => (a.sentIso === b.sentIso ? 0 : a.sentIso < b.sentIso ? -1 : 1));
+  trimIssuedAlerts();
+
+  const kept = new Set(issuedAlerts.map((a) => a.identifier));
+  const updatedIso = (d) => d.updatedAtIso || d.lastAttemptIso || "";
+  for (const theirs of Array.isArray(stored.deliveries) ? stored.deliveries : []) {
+    if (!kept.has(theirs.alertId)) continue;
+    const ours = alertDeliveries.find((d) => d.id === theirs.id);
+    if (!ours) {
+      alertDeliveries.push(theirs);
+    } else if (updatedIso(theirs) > updatedIso(ours) && !alertDeliveriesInFlight.has(ours.id)) {
+      // In place, and rescheduled by resumeAlertDeliveries (e.g. a Retry pressed in another tab).
+      Object.assign(ours, theirs);
+      clearTimeout(alertRetryTimers.get(ours.id));
+      alertRetryTimers.delete(ours.id);
+    }
+  }
+}
 
-  const report = {
-    incidentId: incident.id,
-    timestamp: new Date().toISOString(),
-    incidentStatus: "Confirmed Wildfire",
-    lifecycleStatus: incident.status,
-    aiDetection: {
+function saveAlerting() {
+  // Another tab may have issued or delivered alerts since this one last looked.
+  const stored = readStoredAlerting();
+  if (stored) mergeAlertLog(stored);
+  try {
+    localStorage.setItem(
+      ALERT_STORAGE_KEY,
+      JSON.stringify({
+        senderId: alertSenderId,
+        capStatus: alertCapStatus,
+        endpoints: alertEndpoints,
+        alerts: issuedAlerts,
+        deliveries: alertDeliveries,
+      })
+    );
+  } catch (err) {
+    console.warn("Aegis Detect: could not save alert settings.", err);
+  }
+}
+
+/**
+ * Validate a webhook URL.
+ * @param {string} url
+ * @returns {string | null} the problem, or null when it is usable
+ */
+function alertEndpointError(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "The endpoint must be a full URL, e.g. http://localhost:8091/cap.";
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return "The endpoint must use http:// or https://.";
+  if (alertEndpoints.some((endpoint) => endpoint.url === parsed.href)) return "This endpoint is already in the list.";
+  return null;
+}
+
+/** @param {string[]} errors */
+function showAlertErrors(errors) {
+  alertErrors.innerHTML = "";
+  alertErrors.hidden = errors.length === 0;
+  for (const message of errors) {
+    const li = document.createElement("li");
+    li.textContent = message;
+    alertErrors.appendChild(li);
+  }
+}
+
+function renderAlertSettings() {
+  const editable = can("manage_alerts");
+  alertSenderInput.value = alertSenderId;
+  alertStatusSelect.value = alertCapStatus;
+  alertSenderInput.disabled = !editable;
+  alertStatusSelect.disabled = !editable;
+  alertEndpointInput.disabled = !editable;
+  addAlertEndpointBtn.disabled = !editable || !alertEndpointInput.value.trim();
+  sendTestAlertBtn.disabled = !editable || !alertEndpoints.some((endpoint) => endpoint.enabled);
+
+  alertEndpointEmpty.hidden = alertEndpoints.length > 0;
+  alertEndpointList.hidden = alertEndpoints.length === 0;
+  alertEndpointList.innerHTML = "";
+  for (const endpoint of alertEndpoints) {
+    const li = document.createElement("li");
+    li.className = "aoi-row";
+
+    const top = document.createElement("div");
+    top.className = "aoi-row-top";
+
+    const url = document.createElement("span");
+    url.className = "overlay-name";
+    url.textContent = endpoint.url;
+
+    const enabledLabel = document.createElement("label");
+    enabledLabel.className = "aoi-visible muted small";
+    const enabled = document.createElement("input");
+    enabled.type = "checkbox";
+    enabled.checked = endpoint.enabled;
+    enabled.disabled = !editable;
+    enabled.addEventListener("change", () => {
+      endpoint.enabled = enabled.checked;
+      saveAlerting();
+      renderAlertSettings();
+    });
+    enabledLabel.appendChild(enabled);
+    enabledLabel.append(" Send");
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "btn btn-secondary";
+    remove.textContent = "Remove";
+    remove.disabled = !editable;
+    remove.addEventListener("click", () => {
+      if (!requirePermission("manage_alerts")) return;
+      alertEndpoints = alertEndpoints.filter((e) => e !== endpoint);
+      saveAlerting();
+      renderAlertSettings();
+    });
+
+    top.appendChild(url);
+    top.appendChild(enabledLabel);
+    top.appendChild(remove);
+    li.appendChild(top);
+    alertEndpointList.appendChild(li);
+  }
+}
+
+/** @param {AlertDelivery} delivery */
+function describeDelivery(delivery) {
+  const attempts = `${delivery.attempts} attempt(s)`;
+  if (delivery.state === "delivered") return `Delivered (${delivery.result}, ${attempts})`;
+  if (delivery.state === "failed") return `Failed after ${attempts}: ${delivery.result}`;
+  if (delivery.state === "retrying") {
+    return `Retrying at ${formatDetectionTime(delivery.nextAttemptIso)} (${delivery.result})`;
+  }
+  return "Sending…";
+}
+
+function renderAlertLog() {
+  const shown = issuedAlerts.slice(-ALERT_LOG_LIMIT).reverse();
+  alertLogEmpty.hidden = shown.length > 0;
+  alertLog.hidden = shown.length === 0;
+  alertLog.innerHTML = "";
+
+  for (const alert of shown) {
+    const li = document.createElement("li");
+    li.className = "audit-entry";
+
+    const head = document.createElement("div");
+    head.className = "audit-entry-head";
+    const title = document.createElement("span");
+    title.textContent = alert.incidentId
+      ? `${alert.msgType} • ${shortIncidentLabel(alert.incidentId)} • ${alert.severity}`
+      : "Endpoint test";
+    const time = document.createElement("time");
+    time.dateTime = alert.sentIso;
+    time.textContent = formatDetectionTime(alert.sentIso);
+    head.appendChild(title);
+    head.appendChild(time);
+    li.appendChild(head);
+
+    const meta = document.createElement("div");
+    meta.className = "audit-entry-meta";
+    meta.textContent = `${alert.headline} (${alert.capStatus})`;
+    li.appendChild(meta);
+
+    const deliveries = alertDeliveries.filter((d) => d.alertId === alert.identifier);
+    if (deliveries.length === 0) {
+      const none = document.createElement("div");
+      none.className = "audit-entry-change";
+      none.textContent = "Not sent: no endpoint was enabled.";
+      li.appendChild(none);
+    }
+    for (const delivery of deliveries) {
+      const line = document.createElement("div");
+      line.className = `audit-entry-change alert-delivery ${delivery.state}`;
+      line.textContent = `${delivery.url}: ${describeDelivery(delivery)}`;
+      line.title = delivery.lastAttemptIso ? `Last attempt ${formatDetectionTime(delivery.lastAttemptIso)}` : "";
+      li.appendChild(line);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "actions review-nav";
+    const download = document.createElement("button");
+    download.type = "button";
+    download.className = "btn btn-secondary";
+    download.textContent = "CAP XML";
+    download.addEventListener("click", () => downloadFile(`${alert.identifier}.cap.xml`, "application/xml", alert.xml));
+    actions.appendChild(download);
+
+    const failed = deliveries.filter((d) => d.state === "failed");
+    if (failed.length > 0) {
+      const retry = document.createElement("button");
+      retry.type = "button";
+      retry.className = "btn btn-secondary";
+      retry.textContent = "Retry";
+      retry.disabled = !can("manage_alerts");
+      retry.addEventListener("click", () => {
+        if (!requirePermission("manage_alerts")) return;
+        // The scheduler tab, possibly another one, makes the attempt.
+        const nowIso = new Date().toISOString();
+        for (const delivery of failed) {
+          Object.assign(delivery, { state: "retrying", nextAttemptIso: nowIso, updatedAtIso: nowIso });
+        }
+        saveAlerting();
+        renderAlertLog();
+        resumeAlertDeliveries();
+      });
+      actions.appendChild(retry);
+    }
+    li.appendChild(actions);
+    alertLog.appendChild(li);
+  }
+}
+
+/** Restore settings and the log, and pick up retries that were pending at the last reload. */
+function initAlerting() {
+  const stored = readStoredAlerting();
+  if (stored) {
+    applyStoredAlertSettings(stored);
+    mergeAlertLog(stored);
+  }
+  renderAlertSettings();
+  renderAlertLog();
+  resumeAlertDeliveries();
+}
+
+// Another tab saved: take its settings and log, and deliver what it queued.
+window.addEventListener("storage", (event) => {
+  if (event.key !== ALERT_STORAGE_KEY || !event.newValue) return;
+  let stored;
+  try {
+    stored = JSON.parse(event.newValue);
+  } catch {
+    return;
+  }
+  if (!stored) return;
+  applyStoredAlertSettings(stored);
+  mergeAlertLog(stored);
+  renderAlertSettings();
+  renderAlertLog();
+  resumeAlertDeliveries();
+});
+
+alertSenderInput.addEventListener("change", () => {
+  if (!requirePermission("manage_alerts")) return;
+  const senderId = alertSenderInput.value.trim();
+  // CAP forbids spaces, commas and XML-reserved characters in the sender.
+  if (!/^[^\s,&<>"']+$/.test(senderId)) {
+    showAlertErrors(["The sender ID cannot be empty or contain spaces, commas, quotes, & or angle brackets."]);
+    return;
+  }
+  showAlertErrors([]);
+  alertSenderId = senderId;
+  saveAlerting();
+});
+
+alertStatusSelect.addEventListener("change", () => {
+  if (!requirePermission("manage_alerts")) return;
+  alertCapStatus = alertStatusSelect.value;
+  saveAlerting();
+});
+
+alertEndpointInput.addEventListener("input", () => {
+  addAlertEndpointBtn.disabled = !can("manage_alerts") || !alertEndpointInput.value.trim();
+});
+alertEndpointInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter" && !addAlertEndpointBtn.disabled) addAlertEndpointBtn.click();
+});
+
+addAlertEndpointBtn.addEventListener("click", () => {
+  if (!requirePermission("manage_alerts")) return;
+  const url = alertEndpointInput.value.trim();
+  const error = alertEndpointError(url);
+  showAlertErrors(error ? [error] : []);
+  if (error) return;
+
+  alertEndpoints.push({ id: `hook_${Date.now()}`, url: new URL(url).href, enabled: true });
+  alertEndpointInput.value = "";
+  saveAlerting();
+  renderAlertSettings();
+});
+
+sendTestAlertBtn.addEventListener("click", () => {
+  if (!requirePermission("manage_alerts")) return;
+  const alert = {
+    identifier: newAlertIdentifier("test"),
+    incidentId: null,
+    msgType: /** @type {const} */ ("Alert"),
+    capStatus: "Test",
+    severity: "Unknown",
+    headline: "Endpoint test",
+    sentIso: new Date().toISOString(),
+  };
+  queueAlert({ ...alert, xml: buildCapTestAlert(alert) });
+  setInstruction("Test alert sent to the enabled endpoints; see the delivery log.");
+});
+
+// ===== Operational metrics (detector + team performance) =====================
+
+/*
+  Metrics
+  -------
+  Computed on demand from what this browser holds; nothing extra is recorded:
+  - every detection an operator decided on: incidents (confirmed), their merged
+    detections (repeat observations of a real fire) and rejected detections
+    (false positives), plus those still awaiting a decision
+  - suppressed detections, from the audit trail (never reviewed, so they are
+    left out of the false positive rate)
+
+  A detection counts in the date range by its detection time. Times:
+  - detection → decision: confirmation (the first one under two-person
+    confirmation), merge or rejection
+  - confirmation → dispatch / resolution: from the incident becoming active
+    (the approval under two-person confirmation) to the first move into that
+    status (a reopened incident keeps its first times)
+*/
+
+/** Lower bounds of the confidence bands (%); each band runs to the next bound. */
+const METRICS_BAND_FLOORS = [0, 50, 60, 70, 80, 90];
+const METRICS_DEFAULT_DAYS = 30;
+
+/** @typedef {"confirmed" | "merged" | "rejected" | "awaiting" | "suppressed"} DetectionOutcome */
+
+/**
+ * @typedef {{
+ *   confidencePct: number,
+ *   detectedAtIso: string,
+ *   outcome: DetectionOutcome,
+ *   decidedAtIso: string | null,
+ *   incident: typeof incidents[number] | null
+ * }} OutcomeRecord
+ */
+
+/**
+ * @typedef {{
+ *   label: string,
+ *   counts: Record<DetectionOutcome, number>,
+ *   falsePositiveRate: number | null,
+ *   toDecision: number[],
+ *   toDispatch: number[],
+ *   toResolve: number[]
+ * }} MetricsBand
+ */
+
+/** @returns {OutcomeRecord[]} */
+function detectionOutcomeRecords() {
+  const records = [];
+  for (const incident of incidents) {
+    records.push({
       confidencePct: incident.confidencePct,
       detectedAtIso: incident.detectedAtIso,
-    },
-    location: {
-      lat: Number(incident.location.lat.toFixed(6)),
-      lng: Number(incident.location.lng.toFixed(6)),
-    },
-    impactAssessment: {
-      spreadRiskLevel: incident.impact.risk,
-      estimatedAffectedAreaKm2: Number(incident.impact.areaKm2.toFixed(2)),
-    },
-    operatorNote: incident.operatorNote,
-    disclaimer: "Demo / Non-operational data",
+      outcome: "confirmed",
+      decidedAtIso: incident.confirmedAtIso,
+      incident,
+    });
+    for (const merged of incident.mergedDetections) {
+      records.push({
+        confidencePct: merged.confidencePct,
+        detectedAtIso: merged.detectedAtIso,
+        outcome: "merged",
+        decidedAtIso: merged.mergedAtIso,
+        incident: null,
+      });
+    }
+  }
+  for (const rejected of rejectedDetections) {
+    // Rejections saved before rejectedAtIso existed have no decision time.
+    records.push({
+      confidencePct: rejected.confidencePct,
+      detectedAtIso: rejected.detectedAtIso,
+      outcome: "rejected",
+      decidedAtIso: rejected.rejectedAtIso || null,
+      incident: null,
+    });
+  }
+  for (const detection of reviewQueue.filter(isAwaitingDecision)) {
+    records.push({
+      confidencePct: detection.confidencePct,
+      detectedAtIso: detection.detectedAtIso,
+      outcome: "awaiting",
+      decidedAtIso: null,
+      incident: null,
+    });
+  }
+  for (const entry of auditLog) {
+    if (entry.type !== "detection_created" || !entry.after || entry.after.state !== "suppressed") continue;
+    records.push({
+      confidencePct: entry.after.confidencePct,
+      detectedAtIso: entry.after.detectedAtIso,
+      outcome: "suppressed",
+      decidedAtIso: null,
+      incident: null,
+    });
+  }
+  return records;
+}
+
+/** @param {number[]} values */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Milliseconds from activation (incidentActiveSinceIso) to the first move into `status`, or null.
+ * @param {typeof incidents[number]} incident
+ * @param {LifecycleStatus} status
+ */
+function timeToStatus(incident, status) {
+  const entry = incident.statusHistory.find((e) => e.to === status);
+  return entry ? Math.max(0, Date.parse(entry.atIso) - Date.parse(incidentActiveSinceIso(incident))) : null;
+}
+
+/** @param {number} floor */
+function bandLabel(floor) {
+  const next = METRICS_BAND_FLOORS[METRICS_BAND_FLOORS.indexOf(floor) + 1];
+  if (floor === 0) return `< ${next}%`;
+  return next === undefined ? `${floor}–100%` : `${floor}–${next - 1}%`;
+}
+
+/** @returns {MetricsBand} */
+function emptyMetricsBand(label) {
+  return {
+    label,
+    counts: { confirmed: 0, merged: 0, rejected: 0, awaiting: 0, suppressed: 0 },
+    falsePositiveRate: null,
+    toDecision: [],
+    toDispatch: [],
+    toResolve: [],
   };
+}
 
-  const json = JSON.stringify(report, null, 2);
-  const blob = new Blob([json], { type: "application/json" });
-  const url = URL.createObjectURL(blob);
+/**
+ * Metrics per confidence band and overall for detections made in [fromMs, toMs).
+ * @param {number} fromMs
+ * @param {number} toMs
+ */
+function computeMetrics(fromMs, toMs) {
+  const bands = METRICS_BAND_FLOORS.map((floor) => emptyMetricsBand(bandLabel(floor)));
+  const all = emptyMetricsBand("All");
+
+  for (const record of detectionOutcomeRecords()) {
+    const detectedMs = Date.parse(record.detectedAtIso);
+    if (!(detectedMs >= fromMs && detectedMs < toMs) || typeof record.confidencePct !== "number") continue;
+    const floorIndex = METRICS_BAND_FLOORS.findLastIndex((floor) => record.confidencePct >= floor);
+    const band = bands[Math.max(floorIndex, 0)];
+
+    for (const target of [band, all]) {
+      target.counts[record.outcome] += 1;
+      const decidedMs = record.decidedAtIso ? Date.parse(record.decidedAtIso) : NaN;
+      if (Number.isFinite(decidedMs)) target.toDecision.push(Math.max(0, decidedMs - detectedMs));
+      if (!record.incident) continue;
+      const toDispatch = timeToStatus(record.incident, "Confirmed — Response dispatched");
+      const toResolve = timeToStatus(record.incident, "Resolved");
+      if (toDispatch !== null) target.toDispatch.push(toDispatch);
+      if (toResolve !== null) target.toResolve.push(toResolve);
+    }
+  }
 
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = `aegis_detect_incident_${incident.id}.json`;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
+  for (const band of [...bands, all]) {
+    const { confirmed, merged, rejected } = band.counts;
+    const decided = confirmed + merged + rejected;
+    band.falsePositiveRate = decided > 0 ? rejected / decided : null;
+  }
+  return { bands, all };
+}
 
-  // Revoke after a short delay to avoid interrupting the download in some browsers.
-  setTimeout(() => URL.revokeObjectURL(url), 1000);
+/** yyyy-mm-dd in local time, as date inputs use. @param {Date} date */
+function localDateValue(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * The chosen range as [start of the first day, start of the day after the last) in local time.
+ * @returns {{fromMs: number, toMs: number, errors: string[]}}
+ */
+function readMetricsRange() {
+  const fromMs = new Date(`${metricsFromInput.value}T00:00`).getTime();
+  const lastDayMs = new Date(`${metricsToInput.value}T00:00`).getTime();
+  const errors = [];
+  if (!Number.isFinite(fromMs) || !Number.isFinite(lastDayMs)) errors.push("Choose both a start and an end date.");
+  else if (fromMs > lastDayMs) errors.push("The start date must not be after the end date.");
+  // The day after, from the calendar rather than +24 h, so DST changes don't cut it short.
+  const to = new Date(lastDayMs);
+  to.setDate(to.getDate() + 1);
+  return { fromMs, toMs: to.getTime(), errors };
+}
+
+/** @param {number | null} rate */
+function formatRatePct(rate) {
+  return rate === null ? "—" : `${Math.round(rate * 100)}%`;
+}
+
+/** @param {string[]} errors */
+function showMetricsErrors(errors) {
+  metricsErrors.innerHTML = "";
+  metricsErrors.hidden = errors.length === 0;
+  for (const message of errors) {
+    const li = document.createElement("li");
+    li.textContent = message;
+    metricsErrors.appendChild(li);
+  }
+}
+
+/** Band chart segments, in stacking order. */
+const METRICS_CHART_OUTCOMES = {
+  confirmed: { label: "Confirmed", color: "#34d399" },
+  merged: { label: "Merged", color: "#7dd3fc" },
+  rejected: { label: "Rejected", color: "#f87171" },
+  awaiting: { label: "Pending", color: "rgba(255, 255, 255, 0.35)" },
+};
+
+/**
+ * Horizontal stacked bars: outcomes per band, false positive rate on the right.
+ * @param {MetricsBand[]} bands
+ */
+function bandChartSvg(bands) {
+  const width = 320;
+  const labelWidth = 58;
+  const rateWidth = 52;
+  const rowHeight = 22;
+  const legendHeight = 20;
+  const barMax = width - labelWidth - rateWidth;
+  const totals = bands.map((b) => b.counts.confirmed + b.counts.merged + b.counts.rejected + b.counts.awaiting);
+  const maxTotal = Math.max(1, ...totals);
+  const height = legendHeight + rowHeight * bands.length + 4;
+
+  const rows = bands.map((band, i) => {
+    const y = legendHeight + i * rowHeight;
+    let x = labelWidth;
+    const segments = Object.entries(METRICS_CHART_OUTCOMES).map(([outcome, { color }]) => {
+      const w = (band.counts[outcome] / maxTotal) * barMax;
+      const rect =
+        w > 0 ? `<rect x="${x.toFixed(1)}" y="${y + 4}" width="${w.toFixed(1)}" height="14" fill="${color}"/>` : "";
+      x += w;
+      return rect;
+    });
+    return (
+      `<text x="0" y="${y + 15}">${escapeXml(band.label)}</text>` +
+      segments.join("") +
+      `<text x="${width}" y="${y + 15}" text-anchor="end">FP ${formatRatePct(band.falsePositiveRate)}</text>`
+    );
+  });
+
+  const legend = Object.values(METRICS_CHART_OUTCOMES)
+    .map(
+      ({ label, color }, i) =>
+        `<rect x="${i * 80}" y="3" width="10" height="10" fill="${color}"/>` +
+        `<text x="${i * 80 + 14}" y="12">${label}</text>`
+    )
+    .join("");
+
+  return (
+    `<svg viewBox="0 0 ${width} ${height}" width="100%" font-size="10" fill="rgba(255, 255, 255, 0.75)" ` +
+    `xmlns="http://www.w3.org/2000/svg">${legend}${rows.join("")}</svg>`
+  );
+}
+
+/**
+ * Horizontal bars for the median times, scaled to the longest.
+ * @param {MetricsBand} all
+ */
+function timingChartSvg(all) {
+  const width = 320;
+  const labelWidth = 120;
+  const valueWidth = 92;
+  const rowHeight = 22;
+  const barMax = width - labelWidth - valueWidth;
+  const rows = [
+    { label: "Detection → decision", values: all.toDecision },
+    { label: "Confirmed → dispatched", values: all.toDispatch },
+    { label: "Confirmed → resolved", values: all.toResolve },
+  ].map((row) => ({ ...row, median: median(row.values) }));
+  const maxMedian = Math.max(1, ...rows.map((row) => row.median || 0));
+
+  const body = rows.map((row, i) => {
+    const y = i * rowHeight;
+    const w = row.median === null ? 0 : Math.max(2, (row.median / maxMedian) * barMax);
+    const value = row.median === null ? "—" : `${formatDuration(row.median)} (n=${row.values.length})`;
+    return (
+      `<text x="0" y="${y + 15}">${row.label}</text>` +
+      (w > 0 ? `<rect x="${labelWidth}" y="${y + 4}" width="${w.toFixed(1)}" height="14" fill="#60a5fa"/>` : "") +
+      `<text x="${width}" y="${y + 15}" text-anchor="end">${value}</text>`
+    );
+  });
+
+  return (
+    `<svg viewBox="0 0 ${width} ${rowHeight * rows.length + 4}" width="100%" font-size="10" ` +
+    `fill="rgba(255, 255, 255, 0.75)" xmlns="http://www.w3.org/2000/svg">${body.join("")}</svg>`
+  );
+}
+
+function renderMetrics() {
+  const { fromMs, toMs, errors } = readMetricsRange();
+  showMetricsErrors(errors);
+  exportMetricsBtn.disabled = errors.length > 0;
+  if (errors.length > 0) {
+    metricsSummary.textContent = "—";
+    metricsBandChart.innerHTML = "";
+    metricsTimingChart.innerHTML = "";
+    return;
+  }
+
+  const { bands, all } = computeMetrics(fromMs, toMs);
+  const { confirmed, merged, rejected, awaiting, suppressed } = all.counts;
+  const total = confirmed + merged + rejected + awaiting;
+  metricsSummary.textContent =
+    total === 0
+      ? `No reviewed detections in this range${suppressed ? ` (${suppressed} suppressed by the triage policy)` : ""}.`
+      : `${total} detection(s): ${confirmed} confirmed, ${merged} merged, ${rejected} rejected ` +
+        `(false positive rate ${formatRatePct(all.falsePositiveRate)}), ${awaiting} awaiting a decision. ` +
+        `${suppressed} suppressed by the triage policy.`;
+  metricsBandChart.innerHTML = bandChartSvg(bands);
+  metricsTimingChart.innerHTML = timingChartSvg(all);
+}
+
+/**
+ * One row per confidence band plus an "All" row.
+ * @param {number} fromMs
+ * @param {number} toMs
+ */
+function buildMetricsCsv(fromMs, toMs) {
+  const { bands, all } = computeMetrics(fromMs, toMs);
+  const minutes = (values) => {
+    const value = median(values);
+    return value === null ? "" : Math.round(value / 60_000);
+  };
+  const records = [...bands, all].map((band) => ({
+    fromDate: metricsFromInput.value,
+    toDate: metricsToInput.value,
+    confidenceBand: band.label,
+    confirmed: band.counts.confirmed,
+    merged: band.counts.merged,
+    rejected: band.counts.rejected,
+    awaitingDecision: band.counts.awaiting,
+    suppressed: band.counts.suppressed,
+    falsePositiveRatePct: band.falsePositiveRate === null ? "" : Number((band.falsePositiveRate * 100).toFixed(1)),
+    decisions: band.toDecision.length,
+    medianMinutesToDecision: minutes(band.toDecision),
+    dispatched: band.toDispatch.length,
+    medianMinutesToDispatch: minutes(band.toDispatch),
+    resolved: band.toResolve.length,
+    medianMinutesToResolve: minutes(band.toResolve),
+  }));
+  const columns = Object.keys(records[0]);
+  const lines = [columns.join(","), ...records.map((record) => columns.map((key) => csvCell(record[key])).join(","))];
+  return lines.join("\r\n") + "\r\n";
+}
+
+metricsFromInput.addEventListener("change", renderMetrics);
+metricsToInput.addEventListener("change", renderMetrics);
+
+exportMetricsBtn.addEventListener("click", () => {
+  const { fromMs, toMs, errors } = readMetricsRange();
+  if (errors.length > 0) return;
+  recordAuditEvent({
+    type: "metrics_exported",
+    after: { format: "csv", fromDate: metricsFromInput.value, toDate: metricsToInput.value },
+  });
+  downloadFile(
+    `aegis_detect_metrics_${metricsFromInput.value}_${metricsToInput.value}.csv`,
+    "text/csv",
+    buildMetricsCsv(fromMs, toMs)
+  );
 });
 
-// ===== Impact assessment (illustrative, explainable) =========================
+// Default range: the last METRICS_DEFAULT_DAYS days, today included.
+const metricsDefaultFrom = new Date();
+metricsDefaultFrom.setDate(metricsDefaultFrom.getDate() - (METRICS_DEFAULT_DAYS - 1));
+metricsFromInput.value = localDateValue(metricsDefaultFrom);
+metricsToInput.value = localDateValue(new Date());
+
+// ===== Persistence (localStorage) ============================================
+
+/*
+  Client-side persistence (demo-only)
+  -----------------------------------
+  Incidents, rejected detections, detections pending verification and the last
+  selection survive a page reload.
+  Leaflet objects are never stored: markers are rebuilt from plain data on load.
+
+  Every payload carries a schema version. When the shape changes, bump
+  STORAGE_SCHEMA_VERSION and add a migration from the previous version so
+  data saved by older builds is upgraded instead of discarded.
+
+  A real deployment would persist to a backend system-of-record instead.
+*/
+
+const STORAGE_KEY = "aegisDetect.state";
+const STORAGE_SCHEMA_VERSION = 14;
 
 /**
- * Generate a simple, explainable impact assessment.
- * This is a placeholder only — no real prediction is performed.
- * @param {{confidencePct:number, location:L.LatLng, bounds:L.LatLngBounds}} detection
- * @returns {{risk:"Low"|"Medium"|"High", radiusMeters:number, areaKm2:number, notes:string}}
+ * Migrations keyed by the version they upgrade FROM (n -> n + 1).
+ * @type {Record<number, (data:any) => any>}
  */
-function generateImpactAssessment(detection) {
-  // Simple, explainable mapping:
-  // - Higher confidence slightly increases the likelihood of higher risk.
-  const confidenceNudge = (detection.confidencePct - 82) / 10; // 0..1
-  const roll = Math.random() + confidenceNudge * 0.25;
+const storageMigrations = {
+  // v2: audit trail added.
+  1: (data) => ({ ...data, schemaVersion: 2, auditLog: [] }),
+  // v3: selection stored as a shape outline instead of a bounding box.
+  2: (data) => {
+    const b = data.selection;
+    const selection = b
+      ? {
+          type: "rectangle",
+          ring: [
+            [b.south, b.west],
+            [b.north, b.west],
+            [b.north, b.east],
+            [b.south, b.east],
+          ],
+        }
+      : null;
+    return { ...data, schemaVersion: 3, selection };
+  },
+  // v4: area-of-interest library.
+  3: (data) => ({ ...data, schemaVersion: 4, aois: [] }),
+  // v5: lifecycle state machine; each incident carries its status history.
+  4: (data) => ({
+    ...data,
+    schemaVersion: 5,
+    incidents: (data.incidents || []).map((incident) => ({
+      ...incident,
+      statusHistory: legacyStatusHistory(incident, data.auditLog || []),
+    })),
+  }),
+  // v6: incident details (name, assigned unit, priority, notes, attachments).
+  5: (data) => ({
+    ...data,
+    schemaVersion: 6,
+    incidents: (data.incidents || []).map((incident) => ({
+      ...incident,
+      name: "",
+      assignedUnit: "",
+      priority: DEFAULT_INCIDENT_PRIORITY,
+      notes: [],
+      attachments: [],
+    })),
+  }),
+  // v7: repeat detections merged into an existing incident.
+  6: (data) => ({
+    ...data,
+    schemaVersion: 7,
+    incidents: (data.incidents || []).map((incident) => ({ ...incident, mergedDetections: [] })),
+  }),
+  // v8: triage policy; incidents confirmed earlier have no triage level or policy version.
+  7: (data) => ({
+    ...data,
+    schemaVersion: 8,
+    incidents: (data.incidents || []).map((incident) => ({ ...incident, triage: null, policyVersion: null })),
+  }),
+  // v9: two-person confirmation; earlier incidents were confirmed by the operator who opened them.
+  8: (data) => ({
+    ...data,
+    schemaVersion: 9,
+    incidents: (data.incidents || []).map((incident) => ({
+      ...incident,
+      confirmedBy: incident.statusHistory[0].operator,
+      verifiedBy: null,
+      verifiedAtIso: null,
+    })),
+  }),
+  // v10: team sync; incidents saved before it have never been shared.
+  9: (data) => ({
+    ...data,
+    schemaVersion: 10,
+    incidents: (data.incidents || []).map((incident) => ({ ...incident, sync: null })),
+  }),
+  // v11: detections pending verification; earlier builds dropped them on reload.
+  10: (data) => ({ ...data, schemaVersion: 11, pendingVerifications: [] }),
+  // v12: spread rates named for their unit (meters per hour, not miles per hour).
+  11: (data) => ({
+    ...data,
+    schemaVersion: 12,
+    incidents: (data.incidents || []).map((incident) => {
+      if (!incident.impact || incident.impact.headRateMph === undefined) return incident;
+      const { headRateMph, backRateMph, ...impact } = incident.impact;
+      return {
+        ...incident,
+        impact: { ...impact, headRateMetersPerHour: headRateMph, backRateMetersPerHour: backRateMph },
+      };
+    }),
+  }),
+  // v13: the last CAP message per incident; earlier ones are looked up in the alert log.
+  12: (data) => ({
+    ...data,
+    schemaVersion: 13,
+    incidents: (data.incidents || []).map((incident) => ({ ...incident, lastAlert: null })),
+  }),  // v14: policy IDs; earlier incidents are looked up by policy version number.
+  13: (data) => ({
+    ...data,
+    schemaVersion: 14,
+    incidents: (data.incidents || []).map((incident) => ({ ...incident, policyId: null })),
+  }),
+};
 
-  /** @type {"Low"|"Medium"|"High"} */
-  let risk = "Medium";
-  if (roll < 0.55) risk = "Low";
-  else if (roll < 1.05) risk = "Medium";
-  else risk = "High";
-
-  // Choose an illustrative radius by risk band (meters).
-  const baseRadius = risk === "Low" ? 900 : risk === "Medium" ? 1400 : 2200;
-  const radiusMeters = Math.round(baseRadius + randomBetween(-120, 180));
-
-  // Area for the circle: A = π r^2. Convert m^2 -> km^2 (divide by 1e6).
-  const areaKm2 = Math.PI * radiusMeters * radiusMeters / 1_000_000;
-
-  // Notes referencing wind and terrain (demo copy, not computed).
-  const windNotes =
-    risk === "Low"
-      ? "Light winds are expected to limit short-term spread."
-      : risk === "Medium"
-        ? "Moderate winds may drive directional spread along exposed ridgelines."
-        : "Strong gusts may accelerate spread and spotting downwind.";
-  const terrainNotes =
-    risk === "Low"
-      ? "Terrain appears mixed; natural breaks may reduce continuity."
-      : risk === "Medium"
-        ? "Terrain and fuel continuity could support sustained spread."
-        : "Complex terrain (canyons/ridges) can amplify local wind effects.";
+function serializeLatLng(latlng) {
+  return { lat: latlng.lat, lng: latlng.lng };
+}
+
+/** @param {SelectionArea} area */
+function serializeArea(area) {
+  return { type: area.type, ring: area.ring.map((p) => [p.lat, p.lng]) };
+}
 
+/** @returns {SelectionArea} */
+function deserializeArea(data) {
+  return makeSelectionArea(
+    data.type,
+    data.ring.map(([lat, lng]) => L.latLng(lat, lng))
+  );
+}
+
+/**
+ * @param {typeof incidents[number]} incident
+ */
+function serializeIncident(incident) {
+  // Everything except the Leaflet marker.
+  const { marker, location, ...rest } = incident;
+  return { ...rest, location: serializeLatLng(location) };
+}
+
+function deserializeIncident(data) {
+  const location = L.latLng(data.location.lat, data.location.lng);
+  const marker = L.marker(location, {
+    icon: makeIncidentIcon(data.status),
+    keyboard: false,
+    title: data.status,
+  }).addTo(map);
+  return { ...data, location, marker };
+}
+
+/** @param {typeof reviewQueue[number]} detection */
+function serializeDetection(detection) {
+  return { ...detectionSyncData(detection), sync: detection.sync || null };
+}
+
+/** @returns {typeof reviewQueue[number]} a queue item without a marker */
+function deserializeDetection(data) {
+  const { bounds, location, evidence } = data;
   return {
-    risk,
-    radiusMeters,
-    areaKm2,
-    notes: `${windNotes} ${terrainNotes}`,
+    ...data,
+    bounds: L.latLngBounds([bounds.south, bounds.west], [bounds.north, bounds.east]),
+    location: L.latLng(location.lat, location.lng),
+    evidence: evidence
+      ? { ...evidence, outline: evidence.outline && evidence.outline.map(([lat, lng]) => L.latLng(lat, lng)) }
+      : null,
+    marker: null,
+  };
+}
+
+function saveState() {
+  syncLocalChanges();
+  const payload = {
+    schemaVersion: STORAGE_SCHEMA_VERSION,
+    savedAtIso: new Date().toISOString(),
+    selection: selectedArea ? serializeArea(selectedArea) : null,
+    incidents: incidents.map(serializeIncident),
+    rejectedDetections: rejectedDetections.map((d) => ({ ...d, location: serializeLatLng(d.location) })),
+    pendingVerifications: reviewQueue.filter((d) => d.state === "pending_verification").map(serializeDetection),
+    auditLog,
+    aois: aois.map(serializeAoi),
   };
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+  } catch (err) {
+    // Storage full or disabled (e.g. private mode): keep working in memory.
+    console.warn("Aegis Detect: could not save state.", err);
+  }
 }
 
 /**
- * Render the impact assessment into the panel (shown only after operator confirmation).
- * @param {{risk:"Low"|"Medium"|"High", radiusMeters:number, areaKm2:number, notes:string}} impact
+ * Read and migrate the stored payload.
+ * @returns {any|null} Current-schema data, or null if nothing usable is stored.
  */
-function renderImpactAssessment(impact) {
-  impactAssessment.hidden = false;
-  impactRiskText.textContent = impact.risk;
-  impactAreaText.textContent = `~${impact.areaKm2.toFixed(1)} km²`;
-  impactNotes.textContent = impact.notes;
+function loadState() {
+  let data;
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    data = JSON.parse(raw);
+  } catch (err) {
+    console.warn("Aegis Detect: stored state is unreadable; starting fresh.", err);
+    return null;
+  }
 
-  // Risk pill styling
-  impactRiskPill.textContent = impact.risk;
-  impactRiskPill.classList.remove("low", "medium", "high");
-  impactRiskPill.classList.add(impact.risk.toLowerCase());
+  let version = Number(data && data.schemaVersion);
+  if (!Number.isInteger(version) || version > STORAGE_SCHEMA_VERSION) {
+    console.warn(`Aegis Detect: unsupported stored schema version (${data && data.schemaVersion}).`);
+    return null;
+  }
+
+  while (version < STORAGE_SCHEMA_VERSION) {
+    const migrate = storageMigrations[version];
+    if (!migrate) {
+      console.warn(`Aegis Detect: no migration from schema version ${version}; starting fresh.`);
+      return null;
+    }
+    data = migrate(data);
+    version += 1;
+  }
+
+  return data;
 }
 
 /**
- * Draw a semi-transparent illustrative impact zone around the confirmed fire location.
- * @param {L.LatLng} center
- * @param {number} radiusMeters
+ * Rebuild in-memory state (and map layers) from storage.
+ * @returns {boolean} true when anything was restored
  */
-function drawImpactZone(center, radiusMeters) {
-  clearImpactZone();
-  impactZone = L.circle(center, {
-    radius: radiusMeters,
-    color: "#fb923c", // orange border
-    weight: 2,
-    opacity: 0.95,
-    fillColor: "#ef4444", // red fill
-    fillOpacity: 0.12,
-    dashArray: "6 6",
-  }).addTo(map);
+function restoreState() {
+  const data = loadState();
+  if (!data) return false;
+
+  for (const item of data.incidents || []) {
+    incidents.push(deserializeIncident(item));
+  }
+  for (const item of data.rejectedDetections || []) {
+    rejectedDetections.push({ ...item, location: L.latLng(item.location.lat, item.location.lng) });
+  }
+  for (const item of data.pendingVerifications || []) {
+    const detection = deserializeDetection(item);
+    reviewQueue.push(detection);
+    addDraftMarker(detection);
+  }
+  for (const entry of data.auditLog || []) {
+    auditLog.push(Object.freeze(entry));
+  }
+  for (const item of data.aois || []) {
+    aois.push(deserializeAoi(item));
+  }
+  if (data.selection) {
+    selectedArea = deserializeArea(data.selection);
+    selectionLayer = L.polygon(selectedArea.ring, selectionStyle).addTo(map);
+  }
+
+  return (
+    incidents.length > 0 || rejectedDetections.length > 0 || reviewQueue.length > 0 || aois.length > 0 || !!selectedArea
+  );
 }
 
+// ===== Initialize UI =========================================================
+
+const restored = restoreState();
+setStatus("idle", "Idle");
+updateSelectionUI();
+setInstruction(
+  selectedArea
+    ? "Area selected. You may run detection when ready."
+    : "Select an area on the map to begin detection."
+);
+hideDetectionCard();
+renderIncidentList();
+setIncidentControls(null);
+renderAuditLog();
+renderOperatorSession();
+renderAoiList();
+restoreOverlays();
+renderOverlayList();
+initSync();
+initAlerting();
+if (restored && incidents.length > 0) {
+  setInstruction(`Restored ${incidents.length} incident(s) saved in this browser. Select one to focus it.`);
+}
+if (reviewQueue.length > 0) {
+  setActiveDetection(0);
+  setStatus("alert", `${countPendingReviews()} awaiting review`);
+  setInstruction(
+    `Restored ${reviewQueue.length} detection(s) pending verification. A second operator must Approve or Reject each one.`
+  );
+}
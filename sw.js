@@ -0,0 +1,158 @@
+/*
+  Aegis Detect — Service worker (offline map tiles)
+  -------------------------------------------------
+  - Keeps the app shell (page, script, styles, Leaflet) so a reload works offline
+  - Pre-caches basemap tiles on request from the page ("precache-tiles" message)
+  - Image requests go to the network first and fall back to the tile cache when
+    the network fails or is slower than NETWORK_TIMEOUT_MS
+
+  Registered by script.js (see "Basemaps + offline tiles").
+*/
+
+const SHELL_CACHE = "aegis-detect-shell-v1";
+/** Must match TILE_CACHE_NAME in script.js. */
+const TILE_CACHE = "aegis-detect-tiles-v1";
+
+const SHELL_URLS = [
+  "./",
+  "index.html",
+  "styles.css",
+  "script.js",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js",
+];
+
+/** After this long without a network answer, a cached tile is used instead. */
+const NETWORK_TIMEOUT_MS = 4000;
+/** Parallel downloads while pre-caching; low to stay polite to tile servers. */
+const PRECACHE_CONCURRENCY = 4;
+/** Progress is posted to the page every this many tiles. */
+const PROGRESS_EVERY = 10;
+
+/** Running pre-cache job, or null. @type {{cancelled: boolean} | null} */
+let precacheJob = null;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(names.filter((name) => name !== SHELL_CACHE && name !== TILE_CACHE).map((n) => caches.delete(n)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/** @param {URL} url */
+function isShellRequest(url) {
+  return url.origin === self.location.origin || SHELL_URLS.includes(url.href);
+}
+
+/**
+ * Network first; successful answers refresh the shell cache.
+ * @param {Request} request
+ */
+async function shellResponse(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached =
+      (await cache.match(request, { ignoreSearch: true })) ||
+      (request.mode === "navigate" ? await cache.match("index.html") : undefined);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/**
+ * Network first with a timeout; the tile cache answers when the network cannot.
+ * A slow network still wins when the tile was never cached.
+ * @param {Request} request
+ */
+async function imageResponse(request) {
+  const network = fetch(request);
+  const timeout = new Promise((resolve) => setTimeout(resolve, NETWORK_TIMEOUT_MS, null));
+  // Offline or the server is unreachable: fall through to the cache. Handling the
+  // failure here also covers a network answer that fails after the timeout won.
+  const response = await Promise.race([network.catch(() => null), timeout]);
+  if (response) return response;
+
+  const cached = await caches.match(request, { cacheName: TILE_CACHE, ignoreVary: true });
+  return cached || network;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.protocol !== "http:" && url.protocol !== "https:") return;
+
+  if (request.destination === "image") {
+    event.respondWith(imageResponse(request));
+  } else if (isShellRequest(url)) {
+    event.respondWith(shellResponse(request));
+  }
+});
+
+/**
+ * Download tiles into the tile cache, skipping those already there.
+ * Posts "precache-progress", then "precache-done" or "precache-cancelled" to the page,
+ * each carrying the page's job ID so it can tell a cancelled job from a newer one.
+ * @param {string[]} urls
+ * @param {Client} client
+ * @param {string} [jobId]
+ */
+async function precacheTiles(urls, client, jobId) {
+  if (precacheJob) precacheJob.cancelled = true;
+  const job = { cancelled: false };
+  precacheJob = job;
+
+  const cache = await caches.open(TILE_CACHE);
+  let next = 0;
+  let done = 0;
+  let failed = 0;
+  const report = (type) => client.postMessage({ type, jobId, total: urls.length, done, failed });
+
+  async function worker() {
+    while (!job.cancelled && next < urls.length) {
+      const url = urls[next++];
+      try {
+        if (!(await cache.match(url, { ignoreVary: true }))) {
+          // CORS, not opaque: opaque responses count several MB each against the storage quota.
+          const response = await fetch(url, { mode: "cors", credentials: "omit" });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          await cache.put(url, response);
+        }
+        done += 1;
+      } catch {
+        failed += 1;
+      }
+      if ((done + failed) % PROGRESS_EVERY === 0) report("precache-progress");
+    }
+  }
+
+  await Promise.all(Array.from({ length: PRECACHE_CONCURRENCY }, worker));
+  if (precacheJob === job) precacheJob = null;
+  report(job.cancelled ? "precache-cancelled" : "precache-done");
+}
+
+self.addEventListener("message", (event) => {
+  const message = event.data || {};
+  if (message.type === "precache-tiles" && Array.isArray(message.urls) && event.source) {
+    event.waitUntil(precacheTiles(message.urls.map(String), event.source, message.jobId));
+  } else if (message.type === "cancel-precache" && precacheJob) {
+    precacheJob.cancelled = true;
+  }
+});
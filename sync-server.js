@@ -0,0 +1,269 @@
+/*
+  Aegis Detect — Reference sync server (demo-only)
+  ------------------------------------------------
+  Relays team sync messages between browsers over WebSocket. Node.js only,
+  no dependencies:
+
+    node sync-server.js            (listens on ws://localhost:8090)
+    PORT=9000 node sync-server.js
+
+  - Keeps the latest copy of every record (incident / detection) and the audit
+    trail in memory; a browser that connects gets them as a "snapshot"
+  - Concurrent copies of a record are all kept and sent; the browsers merge
+    them with the same deterministic rules (see "Team sync" in script.js) and
+    send the merge back, which replaces the copies it covers
+  - Tracks who is connected and broadcasts a "presence" list on every change
+
+  Nothing is written to disk: after a restart, browsers send their records
+  again when they reconnect. No authentication; run it on a trusted network.
+*/
+
+"use strict";
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 8090;
+/** RFC 6455 handshake constant. */
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+/** Largest accepted message (snapshots with evidence images can be big). */
+const MAX_MESSAGE_BYTES = 32 * 1024 * 1024;
+
+/** "kind:id" -> concurrent copies of the record (usually one). @type {Map<string, any[]>} */
+const records = new Map();
+/** Audit entries by id, in arrival order. @type {Map<string, any>} */
+const auditEntries = new Map();
+/** @type {Set<{socket: import("net").Socket, clientId: string | null, operator: any, connectedAtIso: string}>} */
+const clients = new Set();
+
+// ===== Records ===============================================================
+
+/**
+ * How version vector `a` relates to `b` (same rules as the browser).
+ * @returns {"same" | "newer" | "older" | "concurrent"}
+ */
+function compareClocks(a, b) {
+  let aAhead = false;
+  let bAhead = false;
+  for (const id of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if ((a[id] || 0) > (b[id] || 0)) aAhead = true;
+    if ((b[id] || 0) > (a[id] || 0)) bAhead = true;
+  }
+  if (aAhead && bAhead) return "concurrent";
+  return aAhead ? "newer" : bAhead ? "older" : "same";
+}
+
+/**
+ * Store a record unless a copy already covers it. Copies it supersedes are dropped.
+ * @returns {boolean} true when the record was new to the server
+ */
+function storeRecord(record) {
+  if (!record || typeof record.id !== "string" || !record.meta || typeof record.meta.clock !== "object") return false;
+  const key = `${record.kind}:${record.id}`;
+  const heads = records.get(key) || [];
+  const known = heads.some((head) => {
+    const order = compareClocks(head.meta.clock, record.meta.clock);
+    return order === "same" || order === "newer";
+  });
+  if (known) return false;
+  const kept = heads.filter((head) => compareClocks(record.meta.clock, head.meta.clock) !== "newer");
+  records.set(key, [...kept, record]);
+  return true;
+}
+
+// ===== WebSocket framing (RFC 6455, text frames only) ========================
+
+/** @param {string} text */
+function encodeFrame(text) {
+  const payload = Buffer.from(text, "utf8");
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Parse complete frames from the buffer.
+ * @param {Buffer} buffer
+ * @returns {{frames: Array<{fin: boolean, opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const fin = (buffer[offset] & 0x80) !== 0;
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+    if (length > MAX_MESSAGE_BYTES) throw new Error("Message too large.");
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    cursor += maskLength;
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    frames.push({ fin, opcode, payload });
+    offset = cursor + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+// ===== Clients ===============================================================
+
+function send(client, message) {
+  if (!client.socket.destroyed) client.socket.write(encodeFrame(JSON.stringify(message)));
+}
+
+/** Send to every client except `from`. */
+function broadcast(message, from = null) {
+  for (const client of clients) if (client !== from) send(client, message);
+}
+
+function broadcastPresence() {
+  const list = [...clients]
+    .filter((client) => client.clientId)
+    .map((client) => ({
+      clientId: client.clientId,
+      operatorId: client.operator ? client.operator.operatorId : null,
+      role: client.operator ? client.operator.role : null,
+      connectedAtIso: client.connectedAtIso,
+    }));
+  broadcast({ type: "presence", clients: list });
+}
+
+function handleMessage(client, message) {
+  if (!message || typeof message !== "object") return;
+
+  if (message.type === "hello") {
+    const first = !client.clientId;
+    client.clientId = String(message.from || "");
+    client.operator =
+      message.operator && typeof message.operator.operatorId === "string"
+        ? { operatorId: message.operator.operatorId, role: String(message.operator.role || "") }
+        : null;
+    if (first) {
+      send(client, {
+        type: "snapshot",
+        records: [...records.values()].flat(),
+        audit: [...auditEntries.values()],
+      });
+    }
+    broadcastPresence();
+    return;
+  }
+
+  if (message.type === "records" && Array.isArray(message.records)) {
+    const fresh = message.records.filter(storeRecord);
+    if (fresh.length > 0) broadcast({ type: "records", from: message.from, records: fresh }, client);
+    return;
+  }
+
+  if (message.type === "audit" && Array.isArray(message.entries)) {
+    const fresh = message.entries.filter(
+      (entry) => entry && typeof entry.id === "string" && !auditEntries.has(entry.id)
+    );
+    for (const entry of fresh) auditEntries.set(entry.id, entry);
+    if (fresh.length > 0) broadcast({ type: "audit", from: message.from, entries: fresh }, client);
+  }
+}
+
+/** @param {import("net").Socket} socket */
+function acceptClient(socket) {
+  const client = { socket, clientId: null, operator: null, connectedAtIso: new Date().toISOString() };
+  clients.add(client);
+  let buffer = Buffer.alloc(0);
+  /** Fragments of a message split over several frames. @type {Buffer[]} */
+  let fragments = [];
+
+  const drop = () => {
+    if (!clients.delete(client)) return;
+    socket.destroy();
+    broadcastPresence();
+  };
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let parsed;
+    try {
+      parsed = decodeFrames(buffer);
+    } catch (err) {
+      console.warn(`Dropping client: ${err.message}`);
+      drop();
+      return;
+    }
+    buffer = parsed.rest;
+
+    for (const frame of parsed.frames) {
+      if (frame.opcode === 0x8) {
+        socket.end(Buffer.from([0x88, 0]));
+        drop();
+        return;
+      }
+      if (frame.opcode === 0x9) {
+        socket.write(Buffer.concat([Buffer.from([0x8a, frame.payload.length]), frame.payload]));
+        continue;
+      }
+      if (frame.opcode !== 0x1 && frame.opcode !== 0x0) continue;
+      fragments.push(frame.payload);
+      if (!frame.fin) continue;
+
+      const text = Buffer.concat(fragments).toString("utf8");
+      fragments = [];
+      try {
+        handleMessage(client, JSON.parse(text));
+      } catch (err) {
+        console.warn(`Ignoring unreadable message: ${err.message}`);
+      }
+    }
+  });
+  socket.on("close", drop);
+  socket.on("error", drop);
+}
+
+// ===== Server ================================================================
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end(`Aegis Detect sync server. ${clients.size} client(s) connected, ${records.size} record(s).\n`);
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (req.headers.upgrade.toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  acceptClient(socket);
+});
+
+server.listen(PORT, () => {
+  console.log(`Aegis Detect sync server on ws://localhost:${PORT}`);
+});